@@ -11,467 +11,2239 @@ const mysql = require('mysql2/promise');
 const axios = require('axios');
 const glob = require('glob');
 const util = require('util');
+const Ajv = require('ajv');
+const dotenv = require('dotenv');
+const crypto = require('crypto');
+const YAML = require('yaml');
+const zlib = require('zlib');
+const { pipeline, PassThrough, Transform } = require('stream');
+const yauzl = require('yauzl');
+const unbzip2 = require('unbzip2-stream');
+const bcrypt = require('bcryptjs');
+const { XMLParser } = require('fast-xml-parser');
 
 const program = new Command();
 
 // Configuration
-const SERVER_PATH = path.join(require('os').homedir(), 'Server');
 const CONFIG_FILE = path.join(__dirname, 'config.json');
+const STATE_DIR = path.join(__dirname, '.state');
+const REGISTRY_FILE = path.join(__dirname, 'sites.json');
+const SCHEMA_FILE = path.join(__dirname, 'config.schema.json');
+const USER_CONFIG_DIR = path.join(require('os').homedir(), '.config', 'wp-script');
+const USER_CONFIG_FILE = path.join(USER_CONFIG_DIR, 'config.json');
+const SITE_CONFIG_DIR = path.join(USER_CONFIG_DIR, 'sites');
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const USER_TEMPLATES_DIR = path.join(USER_CONFIG_DIR, 'templates');
+const TEMPLATE_FILE_NAMES = ['template.json', 'template.yaml', 'template.yml'];
+// Template keys that point at files which can be bundled next to the template
+const TEMPLATE_ASSETS = {
+  'sql.source': 'sql',
+  'uploads.source': 'uploads',
+  'plugins.local': 'plugins',
+  'plugins.zip': 'plugins',
+  'themes.local': 'themes',
+  'themes.zip': 'themes'
+};
+const PROJECT_CONFIG_NAME = '.wp-script.json';
+const ENV_FILE = path.join(__dirname, '.env');
+const SECRETS_FILE = path.join(__dirname, 'secrets.enc.json');
+const SECRET_KEY_FILE = path.join(USER_CONFIG_DIR, 'secret.key');
+
+// Website names double as directory, database and Valet names
+const WEBSITE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+// Column types the search-replace engine looks into
+const SEARCH_REPLACE_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext'];
+const SEARCH_REPLACE_BATCH_SIZE = 1000;
+// Spellings of the old site URL the URL migration rewrites
+const URL_VARIANTS = ['scheme', 'escaped', 'encoded', 'protocolRelative', 'www', 'domain'];
+const DUMP_BATCH_SIZE = 500;
+// user_level WordPress stores next to each core role
+const USER_LEVELS = { administrator: 10, editor: 7, author: 2, contributor: 1, subscriber: 0 };
+// Vocabulary of generated test content
+const LOREM_WORDS = ('lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et dolore '
+  + 'magna aliqua enim ad minim veniam quis nostrud exercitation ullamco laboris nisi aliquip ex ea commodo consequat duis aute '
+  + 'irure in reprehenderit voluptate velit esse cillum fugiat nulla pariatur excepteur sint occaecat cupidatat non proident sunt '
+  + 'culpa qui officia deserunt mollit anim id est laborum').split(' ');
+// WXR elements that may repeat and are always read as lists
+const WXR_LIST_TAGS = ['item', 'category', 'wp:author', 'wp:category', 'wp:tag', 'wp:term', 'wp:postmeta', 'wp:comment', 'wp:commentmeta'];
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+// Alphabet of phpass' base64 variant
+const PHPASS_ITOA64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// CLI flags that pre-fill each prompt, used to explain missing answers
+const ANSWER_FLAGS = {
+  template: '--template',
+  websiteName: '--name',
+  adminEmail: '--admin-email',
+  adminPassword: '--admin-password',
+  overwrite: '--force',
+  confirm: '--yes'
+};
+
+// Compiled once, on first validation
+let configValidator = null;
 
 class WordPressSetup {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
+    this.answers = {};
     this.config = null;
+    this.configLayers = [];
+    this.configSources = {};
+    this.secrets = null;
+    this.secretValues = new Set();
     this.websiteName = null;
     this.websitePath = null;
     this.dbName = null;
+    this.tablePrefix = null;
     this.selectedTemplate = null;
+    this.templateVariables = {};
+    this.variableValues = {};
+    this.dryRun = false;
+    this.pools = new Map();
+    this.seededUsers = [];
+    this.plan = [];
+    this.state = { completedSteps: [], failedStep: null };
+    this.currentStep = null;
   }
 
   async loadConfig() {
     try {
-      if (await fs.pathExists(CONFIG_FILE)) {
-        this.config = await fs.readJson(CONFIG_FILE);
-      } else {
+      if (!await fs.pathExists(CONFIG_FILE)) {
         console.log(chalk.yellow('Config file not found. Creating default config...'));
         await this.createDefaultConfig();
-        this.config = await fs.readJson(CONFIG_FILE);
+      }
+
+      // Values from .env never override variables already set in the environment
+      dotenv.config({ path: ENV_FILE });
+
+      // Layers from lowest to highest precedence; template, site and CLI layers follow later
+      this.config = {};
+      this.configLayers = [];
+      this.configSources = {};
+      this.applyConfigLayer('global', await fs.readJson(CONFIG_FILE), CONFIG_FILE);
+      await this.loadTemplateFiles(TEMPLATES_DIR, 'template-file');
+
+      if (await fs.pathExists(USER_CONFIG_FILE)) {
+        this.applyConfigLayer('user', await fs.readJson(USER_CONFIG_FILE), USER_CONFIG_FILE);
+      }
+      await this.loadTemplateFiles(USER_TEMPLATES_DIR, 'user-template-file');
+
+      const projectConfigFile = await this.findProjectConfig();
+      if (projectConfigFile) {
+        this.applyConfigLayer('project', await fs.readJson(projectConfigFile), projectConfigFile);
       }
     } catch (error) {
       console.error(chalk.red('Error loading config:'), error.message);
       process.exit(1);
     }
+
+    const errors = this.validateConfig(this.config);
+    if (errors.length > 0) {
+      this.printConfigErrors(errors, this.configLayers.length > 1 ? 'merged configuration layers' : CONFIG_FILE);
+      process.exit(1);
+    }
   }
 
-  async selectTemplate() {
-    // Check if templates are enabled and available
-    if (!this.config.templates || !this.config.templates.enabled || !this.config.templates.list) {
-      console.log(chalk.gray('Templates not configured. Using default configuration.'));
-      return;
+  async findProjectConfig(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+      const candidate = path.join(dir, PROJECT_CONFIG_NAME);
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
     }
+  }
 
-    const templates = this.config.templates.list;
-    const templateKeys = Object.keys(templates);
+  applyConfigLayer(name, rawLayerConfig, file = null) {
+    const layerConfig = this.interpolateConfig(rawLayerConfig, name);
+    this.config = this.resolveListDirectives(this.deepMerge(this.config, layerConfig));
+    this.configLayers.push({ name, file });
+
+    // Remember which layer set each value so `config show` can explain it
+    const record = (value, prefix) => {
+      for (const key of Object.keys(value)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const child = value[key];
+        if (child && typeof child === 'object' && !Array.isArray(child) && !this.isListDirective(child) && Object.keys(child).length > 0) {
+          record(child, keyPath);
+        } else {
+          this.configSources[keyPath] = name;
+        }
+      }
+    };
+    record(layerConfig, '');
+  }
 
-    if (templateKeys.length === 0) {
-      console.log(chalk.gray('No templates available. Using default configuration.'));
-      return;
+  interpolateConfig(value, layerName, keyPath = '') {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.interpolateConfig(item, layerName, `${keyPath}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const key of Object.keys(value)) {
+        result[key] = this.interpolateConfig(value[key], layerName, keyPath ? `${keyPath}.${key}` : key);
+      }
+      return result;
+    }
+    if (typeof value !== 'string') {
+      return value;
     }
 
-    // If only one template, use it automatically
-    if (templateKeys.length === 1) {
-      this.selectedTemplate = templateKeys[0];
-      console.log(chalk.cyan(`Using template: ${templates[this.selectedTemplate].name}`));
-      return;
+    const where = `${keyPath} (${layerName})`;
+    const sensitive = /pass|secret|token|key/i.test(keyPath.split('.').pop());
+
+    if (value.startsWith('secret:')) {
+      const secret = this.getSecret(value.slice('secret:'.length), where);
+      this.secretValues.add(secret);
+      return secret;
     }
 
-    // Multiple templates - ask user to choose
-    const questions = [
-      {
-        type: 'list',
-        name: 'template',
-        message: 'Select a WordPress site template:',
-        choices: templateKeys.map(key => ({
-          name: `${templates[key].name} - ${templates[key].description}`,
-          value: key
-        })),
-        default: this.config.templates.default || templateKeys[0]
+    // A value that is exactly one placeholder keeps the type of what it resolves to
+    const single = value.match(/^\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}$/);
+
+    // $${NAME} escapes a placeholder, e.g. for shell variables in hooks
+    const interpolated = value.replace(/\$?\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      if (match.startsWith('$$')) {
+        return match.slice(1);
       }
-    ];
+      const envValue = process.env[name];
+      if (envValue !== undefined && envValue !== '') {
+        if (sensitive) this.secretValues.add(envValue);
+        return envValue;
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      throw new Error(`Environment variable ${name} is not set (used in ${where})`);
+    });
 
-    const answers = await prompt(questions);
-    this.selectedTemplate = answers.template;
-    
-    console.log(chalk.cyan(`Selected template: ${templates[this.selectedTemplate].name}`));
+    if (single) {
+      if (interpolated === 'true' || interpolated === 'false') return interpolated === 'true';
+      if (/^-?\d+(\.\d+)?$/.test(interpolated)) return Number(interpolated);
+    }
+    return interpolated;
   }
 
-  mergeTemplateConfig() {
-    if (!this.selectedTemplate || !this.config.templates || !this.config.templates.list) {
-      return;
+  getSecretKey(create = false) {
+    if (process.env.WP_SCRIPT_SECRET_KEY) {
+      return process.env.WP_SCRIPT_SECRET_KEY;
+    }
+    if (fs.pathExistsSync(SECRET_KEY_FILE)) {
+      return fs.readFileSync(SECRET_KEY_FILE, 'utf8').trim();
+    }
+    if (!create) {
+      throw new Error(`No secret key found. Set WP_SCRIPT_SECRET_KEY or create ${SECRET_KEY_FILE}`);
     }
 
-    const template = this.config.templates.list[this.selectedTemplate];
-    if (!template) {
-      console.warn(chalk.yellow(`Template '${this.selectedTemplate}' not found. Using default configuration.`));
+    const key = crypto.randomBytes(32).toString('base64');
+    fs.ensureDirSync(USER_CONFIG_DIR);
+    fs.writeFileSync(SECRET_KEY_FILE, `${key}\n`, { mode: 0o600 });
+    console.log(chalk.yellow(`Created a new secret key at ${SECRET_KEY_FILE}. Keep it safe: secrets cannot be read without it.`));
+    return key;
+  }
+
+  loadSecrets(createKey = false) {
+    if (this.secrets) {
+      return this.secrets;
+    }
+    if (!fs.pathExistsSync(SECRETS_FILE)) {
+      this.secrets = {};
+      return this.secrets;
+    }
+
+    // AES-256-GCM with a key derived from the passphrase, so tampering is detected
+    const envelope = fs.readJsonSync(SECRETS_FILE);
+    const key = crypto.scryptSync(this.getSecretKey(createKey), Buffer.from(envelope.salt, 'base64'), 32);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    try {
+      const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      this.secrets = JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Could not decrypt ${SECRETS_FILE}: wrong secret key or corrupted file`);
+    }
+    return this.secrets;
+  }
+
+  saveSecrets(secrets) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = crypto.scryptSync(this.getSecretKey(true), salt, 32);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    fs.writeJsonSync(SECRETS_FILE, {
+      version: 1,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, { spaces: 2, mode: 0o600 });
+    this.secrets = secrets;
+  }
+
+  getSecret(name, where) {
+    const secrets = this.loadSecrets();
+    if (!Object.prototype.hasOwnProperty.call(secrets, name)) {
+      throw new Error(`Secret '${name}' not found in ${SECRETS_FILE} (used in ${where})`);
+    }
+    return secrets[name];
+  }
+
+  getSiteConfigPath(websiteName) {
+    return path.join(SITE_CONFIG_DIR, `${websiteName}.json`);
+  }
+
+  async applySiteConfig(websiteName) {
+    const siteConfigFile = this.getSiteConfigPath(websiteName);
+    if (!await fs.pathExists(siteConfigFile)) {
       return;
     }
 
-    console.log(chalk.gray(`Applying template configuration: ${template.name}`));
+    console.log(chalk.gray(`Applying site overrides: ${siteConfigFile}`));
+    this.applyConfigLayer('site', await fs.readJson(siteConfigFile), siteConfigFile);
 
-    // Deep merge template configuration with default config
-    this.config = this.deepMerge(this.config, template);
+    const errors = this.validateConfig(this.config);
+    if (errors.length > 0) {
+      this.printConfigErrors(errors, siteConfigFile);
+      throw new Error('Invalid site configuration');
+    }
   }
 
-  deepMerge(target, source) {
-    const result = { ...target };
+  applyCliConfig() {
+    const advanced = {};
+    if (this.options.force) {
+      advanced.forceOverwrite = true;
+    }
+    if (this.options.dryRun) {
+      advanced.dryRun = true;
+    }
 
-    for (const key in source) {
-      if (source.hasOwnProperty(key)) {
-        if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-          // Recursively merge objects
-          result[key] = this.deepMerge(target[key] || {}, source[key]);
-        } else {
-          // Override with source value (including arrays and primitives)
-          result[key] = source[key];
-        }
-      }
+    const sql = {};
+    if (this.options.skipTables) {
+      sql.skipTables = this.parseTableList(this.options.skipTables);
+    }
+    if (this.options.onlyTables) {
+      sql.onlyTables = this.parseTableList(this.options.onlyTables);
     }
 
-    return result;
+    const cliConfig = {};
+    if (Object.keys(advanced).length > 0) cliConfig.advanced = advanced;
+    if (Object.keys(sql).length > 0) cliConfig.sql = sql;
+    if (Object.keys(cliConfig).length > 0) {
+      this.applyConfigLayer('cli', cliConfig);
+    }
   }
 
-  async analyzeWordPressSite(sitePath) {
-    const analysis = {
-      siteTitle: null,
-      siteDescription: null,
-      adminUser: null,
-      adminEmail: null,
-      siteUrl: null,
-      siteDomain: null,
-      activeTheme: null,
-      wordpressOrgPlugins: [],
-      localPlugins: [],
-      wordpressOrgThemes: [],
-      localThemes: [],
-      uploadsPath: null,
-      databasePath: null
-    };
+  // Comma-separated table names from a CLI flag
+  parseTableList(value) {
+    return value ? value.split(',').map(table => table.trim()).filter(Boolean) : [];
+  }
+
+  getConfigSource(keyPath) {
+    // Values inside a replaced array or object belong to the layer that set their parent
+    let current = keyPath;
+    while (current) {
+      if (this.configSources[current]) {
+        return this.configSources[current];
+      }
+      const lastDot = current.lastIndexOf('.');
+      current = lastDot === -1 ? '' : current.slice(0, lastDot);
+    }
+    return null;
+  }
 
+  async saveTemplate(key, template) {
+    const templateFile = path.join(TEMPLATES_DIR, `${key}.json`);
+    await fs.ensureDir(TEMPLATES_DIR);
+    await fs.writeJson(templateFile, template, { spaces: 2 });
+    return templateFile;
+  }
+
+  async readTemplateFile(file) {
+    const content = await fs.readFile(file, 'utf8');
     try {
-      // Analyze wp-config.php for database settings
-      const wpConfigPath = path.join(sitePath, 'wp-config.php');
-      if (await fs.pathExists(wpConfigPath)) {
-        const wpConfig = await fs.readFile(wpConfigPath, 'utf8');
-        
-        // Extract database settings
-        const dbNameMatch = wpConfig.match(/define\s*\(\s*['"]DB_NAME['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
-        const dbUserMatch = wpConfig.match(/define\s*\(\s*['"]DB_USER['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
-        const dbHostMatch = wpConfig.match(/define\s*\(\s*['"]DB_HOST['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
-        const dbPasswordMatch = wpConfig.match(/define\s*\(\s*['"]DB_PASSWORD['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
-        const dbPortMatch = wpConfig.match(/define\s*\(\s*['"]DB_PORT['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
-        const tablePrefixMatch = wpConfig.match(/\$table_prefix\s*=\s*['"]([^'"]*)['"]/);
-        
-        if (dbNameMatch && dbUserMatch && dbHostMatch) {
-          analysis.databaseName = dbNameMatch[1];
-          analysis.databaseUser = dbUserMatch[1];
-          analysis.databaseHost = dbHostMatch[1];
-          analysis.databasePassword = dbPasswordMatch ? dbPasswordMatch[1] : '';
-          analysis.databasePort = dbPortMatch ? parseInt(dbPortMatch[1]) : 3306;
-          analysis.databasePrefix = tablePrefixMatch ? tablePrefixMatch[1] : 'wp_';
-          
-          console.log(chalk.gray(`  Database: ${analysis.databaseName}@${analysis.databaseHost}:${analysis.databasePort}`));
-          console.log(chalk.gray(`  Table prefix: ${analysis.databasePrefix}`));
+      return /\.ya?ml$/i.test(file) ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Could not parse template ${file}: ${error.message}`);
+    }
+  }
+
+  async writeTemplateFile(file, template) {
+    if (/\.ya?ml$/i.test(file)) {
+      await fs.writeFile(file, YAML.stringify(template));
+    } else {
+      await fs.writeJson(file, template, { spaces: 2 });
+    }
+  }
+
+  // A template is either <key>.json/.yaml/.yml or a <key>/ folder holding
+  // template.json/.yaml/.yml plus its bundled assets
+  async findTemplateFile(templatePath) {
+    if ((await fs.stat(templatePath)).isDirectory()) {
+      for (const name of TEMPLATE_FILE_NAMES) {
+        const candidate = path.join(templatePath, name);
+        if (await fs.pathExists(candidate)) {
+          return candidate;
         }
       }
+      return null;
+    }
+    return /\.(json|ya?ml)$/i.test(templatePath) ? templatePath : null;
+  }
 
-      // Analyze plugins
-      const pluginsPath = path.join(sitePath, 'wp-content', 'plugins');
-      if (await fs.pathExists(pluginsPath)) {
-        const pluginDirs = await fs.readdir(pluginsPath);
-        
-        for (const pluginDir of pluginDirs) {
-          const pluginPath = path.join(pluginsPath, pluginDir);
-          const pluginStat = await fs.stat(pluginPath);
-          
-          if (pluginStat.isDirectory()) {
-            // Check if it's a WordPress.org plugin by looking for readme.txt
-            const readmePath = path.join(pluginPath, 'readme.txt');
-            if (await fs.pathExists(readmePath)) {
-              const readme = await fs.readFile(readmePath, 'utf8');
-              const slugMatch = readme.match(/^=== (.+) ===/m);
-              if (slugMatch) {
-                // This is likely a WordPress.org plugin
-                analysis.wordpressOrgPlugins.push(pluginDir);
-              } else {
-                // Local plugin
-                analysis.localPlugins.push(pluginPath);
-              }
-            } else {
-              // No readme.txt, likely a local plugin
-              analysis.localPlugins.push(pluginPath);
-            }
-          }
+  async loadTemplateFiles(dir, layerName) {
+    if (!(await fs.pathExists(dir))) {
+      return;
+    }
+
+    for (const entry of (await fs.readdir(dir)).sort()) {
+      const file = await this.findTemplateFile(path.join(dir, entry));
+      if (!file) continue;
+
+      const key = path.basename(entry, path.extname(entry));
+      const template = this.mapTemplateAssets(await this.readTemplateFile(file), (assetPath) =>
+        this.isBundledAssetPath(assetPath) ? path.resolve(path.dirname(file), assetPath) : assetPath
+      );
+      this.applyConfigLayer(`${layerName}:${key}`, { templates: { list: { [key]: template } } }, file);
+    }
+  }
+
+  isBundledAssetPath(assetPath) {
+    return typeof assetPath === 'string' && !path.isAbsolute(assetPath) && !assetPath.startsWith('~') &&
+      !/^[a-z][a-z0-9+.-]*:/i.test(assetPath) && !assetPath.includes('${');
+  }
+
+  mapTemplateAssets(template, mapper) {
+    const result = JSON.parse(JSON.stringify(template));
+
+    for (const [keyPath, kind] of Object.entries(TEMPLATE_ASSETS)) {
+      const [section, key] = keyPath.split('.');
+      const value = result[section] && result[section][key];
+      if (!value) continue;
+
+      const mapList = (list) => list.map(item => mapper(item, kind));
+      if (typeof value === 'string') {
+        result[section][key] = mapper(value, kind);
+      } else if (Array.isArray(value)) {
+        result[section][key] = mapList(value);
+      } else if (this.isListDirective(value)) {
+        for (const directive of Object.keys(value)) {
+          value[directive] = mapList(value[directive]);
         }
       }
+    }
+
+    return result;
+  }
+
+  getTemplateOrigin(key) {
+    const source = this.getConfigSource(`templates.list.${key}.name`);
+    const layer = this.configLayers.find(entry => entry.name === source);
+    return layer && layer.file ? layer.file : source;
+  }
+
+  async exportTemplate(key, target) {
+    const { extends: parents, name, description, ...overrides } = this.resolveTemplate(key);
+    const template = { name, description, ...overrides };
+
+    // Single-file exports keep asset paths as they are
+    if (/\.(json|ya?ml)$/i.test(target)) {
+      await fs.ensureDir(path.dirname(target));
+      await this.writeTemplateFile(target, template);
+      return { file: target, assets: [] };
+    }
+
+    const assets = [];
+    const copies = [];
+    const bundled = this.mapTemplateAssets(template, (assetPath, kind) => {
+      if (typeof assetPath !== 'string') {
+        return assetPath;
+      }
+      const source = path.resolve(assetPath.replace(/^~(?=$|\/)/, require('os').homedir()));
+      if (!fs.pathExistsSync(source)) {
+        console.log(chalk.yellow(`⚠️  Asset not found, keeping its path as is: ${assetPath}`));
+        return assetPath;
+      }
+      const relativePath = kind === 'uploads' ? 'uploads' : `${kind}/${path.basename(source)}`;
+      copies.push({ source, destination: path.join(target, relativePath) });
+      assets.push(relativePath);
+      return relativePath;
+    });
+
+    await fs.ensureDir(target);
+    for (const { source, destination } of copies) {
+      await fs.copy(source, destination);
+    }
+
+    const file = path.join(target, 'template.json');
+    await this.writeTemplateFile(file, bundled);
+    return { file, assets };
+  }
+
+  async importTemplate(source, options = {}) {
+    if (!(await fs.pathExists(source))) {
+      throw new Error(`${source} does not exist`);
+    }
+
+    const templateFile = await this.findTemplateFile(source);
+    if (!templateFile) {
+      throw new Error(`No template found at ${source}. Expected a .json/.yaml file or a folder with ${TEMPLATE_FILE_NAMES.join(', ')}`);
+    }
+
+    const isBundle = templateFile !== source;
+    const key = options.key || path.basename(source, path.extname(source));
+    if (!/^[a-z0-9-_]+$/i.test(key)) {
+      throw new Error(`Invalid template key '${key}'. Use letters, numbers, hyphens and underscores only, or pass --key.`);
+    }
+
+    const template = await this.readTemplateFile(templateFile);
+    const candidate = this.deepMerge(this.config, { templates: { list: { [key]: template } } });
+    const prefix = `templates.list.${key}`;
+    const errors = this.validateConfig(candidate).filter(error => error.path === prefix || error.path.startsWith(`${prefix}.`));
+    if (errors.length > 0) {
+      throw new Error(`Template is invalid:\n${errors.map(error => `  • ${error.path.slice(prefix.length + 1) || '(template)'}: ${error.message}`).join('\n')}`);
+    }
+
+    const destination = isBundle
+      ? path.join(TEMPLATES_DIR, key)
+      : path.join(TEMPLATES_DIR, `${key}${path.extname(templateFile).toLowerCase()}`);
+    const existing = this.config.templates && this.config.templates.list && this.config.templates.list[key];
+    if (existing && !options.force) {
+      throw new Error(`Template '${key}' already exists (${this.getTemplateOrigin(key)}). Use --force to replace it or --key to import it under another name.`);
+    }
+
+    await fs.ensureDir(TEMPLATES_DIR);
+    for (const name of [`${key}.json`, `${key}.yaml`, `${key}.yml`, key]) {
+      await fs.remove(path.join(TEMPLATES_DIR, name));
+    }
+    await fs.copy(isBundle ? source : templateFile, destination);
+    return { key, destination };
+  }
+
+  validateConfig(config) {
+    if (!configValidator) {
+      const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+      configValidator = ajv.compile(require(SCHEMA_FILE));
+    }
+
+    const errors = [];
+    const seen = new Set();
+    const addError = (jsonPath, message) => {
+      const key = `${jsonPath}: ${message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        errors.push({ path: jsonPath, message, source: config === this.config ? this.getConfigSource(jsonPath.replace(/\[(\d+)\]/g, '.$1')) : null });
+      }
+    };
 
-      // Analyze themes
-      const themesPath = path.join(sitePath, 'wp-content', 'themes');
-      if (await fs.pathExists(themesPath)) {
-        const themeDirs = await fs.readdir(themesPath);
-        
-        for (const themeDir of themeDirs) {
-          const themePath = path.join(themesPath, themeDir);
-          const themeStat = await fs.stat(themePath);
-          
-          if (themeStat.isDirectory()) {
-            // Check if it's a WordPress.org theme by looking for style.css with proper header
-            const stylePath = path.join(themePath, 'style.css');
-            if (await fs.pathExists(stylePath)) {
-              const style = await fs.readFile(stylePath, 'utf8');
-              const themeNameMatch = style.match(/Theme Name:\s*(.+)/);
-              const themeUriMatch = style.match(/Theme URI:\s*(.+)/);
-              
-              if (themeNameMatch) {
-                if (themeUriMatch && themeUriMatch[1].includes('wordpress.org')) {
-                  // WordPress.org theme
-                  analysis.wordpressOrgThemes.push(themeDir);
-                } else {
-                  // Local theme
-                  analysis.localThemes.push(themePath);
-                }
-              }
-            }
+    if (!configValidator(config)) {
+      for (const error of configValidator.errors) {
+        const segments = error.instancePath
+          .split('/')
+          .slice(1)
+          .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+        switch (error.keyword) {
+          case 'additionalProperties': {
+            const key = error.params.additionalProperty;
+            const known = Object.keys((error.parentSchema && error.parentSchema.properties) || {});
+            const suggestion = this.findClosestKey(key, known);
+            addError(this.formatConfigPath([...segments, key]), `unknown key${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+            break;
           }
+          case 'required':
+            addError(this.formatConfigPath([...segments, error.params.missingProperty]), 'is required');
+            break;
+          case 'enum':
+            addError(this.formatConfigPath(segments), `must be one of: ${error.params.allowedValues.join(', ')}`);
+            break;
+          case 'anyOf':
+            addError(this.formatConfigPath(segments), 'must be a list or a merge directive with $append, $remove or $replace');
+            break;
+          default:
+            // Branch failures are summarised by the anyOf error above
+            if (!error.schemaPath.includes('/anyOf/')) {
+              addError(this.formatConfigPath(segments), error.message);
+            }
         }
       }
+    }
 
-      // Check for uploads folder
-      const uploadsPath = path.join(sitePath, 'wp-content', 'uploads');
-      if (await fs.pathExists(uploadsPath)) {
-        analysis.uploadsPath = uploadsPath;
+    // Cross-field checks the schema cannot express
+    const templates = config.templates;
+    if (templates && templates.default && templates.list && !templates.list[templates.default]) {
+      const suggestion = this.findClosestKey(templates.default, Object.keys(templates.list));
+      addError('templates.default', `refers to unknown template '${templates.default}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+    }
+    if (templates && templates.list) {
+      for (const key of Object.keys(templates.list)) {
+        try {
+          this.resolveTemplate(key, templates.list);
+        } catch (error) {
+          addError(this.formatConfigPath(['templates', 'list', key, 'extends']), error.message);
+        }
       }
+    }
 
-      // Try to get site information from database if possible
-      try {
-        if (analysis.databaseName && analysis.databaseUser) {
-          await this.analyzeDatabase(analysis);
-        }
-      } catch (error) {
-        console.log(chalk.yellow(`⚠️  Could not analyze database: ${error.message}`));
-        
-        // Fallback: Try to extract URL from wp-config.php constants
-        if (wpConfig) {
-          const wpUrlMatch = wpConfig.match(/define\s*\(\s*['"]WP_HOME['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
-          const wpSiteUrlMatch = wpConfig.match(/define\s*\(\s*['"]WP_SITEURL['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
-          
-          if (wpUrlMatch) {
-            analysis.siteUrl = wpUrlMatch[1];
-            try {
-              const url = new URL(analysis.siteUrl);
-              analysis.siteDomain = url.hostname;
-              console.log(chalk.green(`  ✅ Detected site URL from wp-config: ${analysis.siteUrl}`));
-            } catch (e) {
-              console.log(chalk.yellow(`  ⚠️  Invalid URL format in wp-config: ${analysis.siteUrl}`));
-            }
-          } else if (wpSiteUrlMatch) {
-            analysis.siteUrl = wpSiteUrlMatch[1];
-            try {
-              const url = new URL(analysis.siteUrl);
-              analysis.siteDomain = url.hostname;
-              console.log(chalk.green(`  ✅ Detected site URL from wp-config: ${analysis.siteUrl}`));
-            } catch (e) {
-              console.log(chalk.yellow(`  ⚠️  Invalid URL format in wp-config: ${analysis.siteUrl}`));
-            }
-          }
+    return errors;
+  }
+
+  describeConfigLayer(name) {
+    const layer = this.configLayers.find(entry => entry.name === name);
+    return layer && layer.file ? `${name} ${layer.file}` : name;
+  }
+
+  formatConfigPath(segments) {
+    if (segments.length === 0) {
+      return '(root)';
+    }
+    return segments
+      .map((segment, index) => {
+        if (/^\d+$/.test(segment)) return `[${segment}]`;
+        return index === 0 ? segment : `.${segment}`;
+      })
+      .join('');
+  }
+
+  findClosestKey(key, candidates) {
+    // Levenshtein distance, case-insensitive, to catch typos such as 'wordpresOrg'
+    const distance = (a, b) => {
+      const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+      for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const above = previous[j];
+          previous[j] = Math.min(
+            previous[j] + 1,
+            previous[j - 1] + 1,
+            diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+          );
+          diagonal = above;
         }
       }
+      return previous[b.length];
+    };
 
-      // Try to get active theme from database or wp-config
-      if (!analysis.activeTheme && analysis.wordpressOrgThemes.length > 0) {
-        analysis.activeTheme = analysis.wordpressOrgThemes[0];
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+      const candidateDistance = distance(key.toLowerCase(), candidate.toLowerCase());
+      if (candidateDistance < bestDistance) {
+        best = candidate;
+        bestDistance = candidateDistance;
       }
-
-    } catch (error) {
-      console.warn(chalk.yellow(`Warning during site analysis: ${error.message}`));
     }
 
-    return analysis;
+    const threshold = Math.max(2, Math.floor(key.length / 3));
+    return bestDistance <= threshold ? best : null;
   }
 
-  async analyzeDatabase(analysis) {
-    try {
-      // Create database connection using the source site's database credentials
-      const connection = await mysql.createConnection({
-        host: analysis.databaseHost || 'localhost',
-        user: analysis.databaseUser,
-        password: analysis.databasePassword || '', // Use the source site's password
-        port: analysis.databasePort || 3306,
-        database: analysis.databaseName
-      });
+  printConfigErrors(errors, origin) {
+    console.error(chalk.red.bold(`❌ Invalid configuration (${origin}):`));
+    errors.forEach(error => {
+      const layer = error.source ? chalk.gray(` (from ${this.describeConfigLayer(error.source)})`) : '';
+      console.error(chalk.red(`  • ${error.path}: ${error.message}`) + layer);
+    });
+    console.error(chalk.gray('Run `node index.js config validate` after fixing the errors above.'));
+  }
 
-      // Get site information
-      const [siteRows] = await connection.execute(
-        `SELECT option_name, option_value FROM ${analysis.databasePrefix || 'wp_'}options 
-         WHERE option_name IN ('blogname', 'blogdescription', 'admin_email', 'home', 'siteurl')`
-      );
+  async loadAnswers() {
+    let fileAnswers = {};
 
-      let homeUrl = null;
-      let siteUrl = null;
+    if (this.options.answers) {
+      const answersPath = path.resolve(this.options.answers);
+      if (!await fs.pathExists(answersPath)) {
+        throw new Error(`Answers file not found: ${answersPath}`);
+      }
+      fileAnswers = await fs.readJson(answersPath);
+    }
 
-      for (const row of siteRows) {
-        switch (row.option_name) {
-          case 'blogname':
-            analysis.siteTitle = row.option_value;
-            break;
-          case 'blogdescription':
-            analysis.siteDescription = row.option_value;
-            break;
-          case 'admin_email':
-            analysis.adminEmail = row.option_value;
-            break;
-          case 'home':
-            homeUrl = row.option_value;
-            break;
-          case 'siteurl':
-            siteUrl = row.option_value;
-            break;
-        }
+    // CLI flags take precedence over the answers file
+    const flagAnswers = {
+      template: this.options.template,
+      websiteName: this.options.name,
+      adminEmail: this.options.adminEmail,
+      adminPassword: this.options.adminPassword
+    };
+
+    const { vars: fileVars, ...otherFileAnswers } = fileAnswers;
+    this.answers = { ...otherFileAnswers };
+    for (const [key, value] of Object.entries(flagAnswers)) {
+      if (value !== undefined) {
+        this.answers[key] = value;
       }
+    }
 
-      // Use home URL as primary, fallback to siteurl
-      analysis.siteUrl = homeUrl || siteUrl;
-      
-      if (analysis.siteUrl) {
-        try {
-          const url = new URL(analysis.siteUrl);
-          analysis.siteDomain = url.hostname;
-          console.log(chalk.green(`  ✅ Detected site URL: ${analysis.siteUrl}`));
-          console.log(chalk.green(`  ✅ Detected domain: ${analysis.siteDomain}`));
-        } catch (e) {
-          console.log(chalk.yellow(`  ⚠️  Invalid URL format: ${analysis.siteUrl}`));
+    // Template variables are answered as var:<name>, from `vars` in the file or --var name=value
+    const vars = { ...(fileVars || {}) };
+    for (const assignment of this.options.var || []) {
+      const separator = assignment.indexOf('=');
+      if (separator < 1) {
+        throw new Error(`Invalid --var '${assignment}'. Use --var name=value`);
+      }
+      vars[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+    }
+    for (const [key, value] of Object.entries(vars)) {
+      this.answers[`var:${key}`] = value;
+    }
+
+  }
+
+  async ask(questions) {
+    const answers = {};
+    const pending = [];
+
+    for (const question of questions) {
+      const value = this.answers[question.name];
+
+      if (value !== undefined) {
+        // Pre-filled answers go through the same checks as typed ones
+        if (question.choices && !question.choices.some(choice => choice.value === value)) {
+          const allowed = question.choices.map(choice => choice.value).join(', ');
+          throw new Error(`Invalid value for ${question.name}: '${value}' (expected one of: ${allowed})`);
+        }
+        if (question.validate) {
+          const result = question.validate(String(value), answers);
+          if (result !== true) {
+            throw new Error(`Invalid value for ${question.name}: ${result}`);
+          }
         }
+        answers[question.name] = value;
+      } else if (this.options.yes && question.default !== undefined) {
+        answers[question.name] = question.default;
       } else {
-        console.log(chalk.yellow(`  ⚠️  No site URL found in database`));
+        pending.push(question);
       }
+    }
 
-      // Get active theme
-      const [themeRows] = await connection.execute(
-        `SELECT option_value FROM ${analysis.databasePrefix || 'wp_'}options 
-         WHERE option_name = 'stylesheet'`
-      );
+    if (pending.length === 0) {
+      return answers;
+    }
 
-      if (themeRows.length > 0) {
-        analysis.activeTheme = themeRows[0].option_value;
-      }
+    // Never hang waiting for input that cannot arrive
+    if (!process.stdin.isTTY) {
+      const missing = pending.map(question => {
+        const flag = question.name.startsWith('var:') ? `--var ${question.name.slice(4)}=...` : ANSWER_FLAGS[question.name];
+        return flag ? `${question.name} (${flag})` : question.name;
+      });
+      throw new Error(`Missing required answers: ${missing.join(', ')}. Pass them as flags or in an --answers file.`);
+    }
 
-      // Get admin user
-      const [userRows] = await connection.execute(
-        `SELECT user_login FROM ${this.config.database.prefix || 'wp_'}users 
-         WHERE ID = 1`
-      );
+    return prompt(pending, answers);
+  }
 
-      if (userRows.length > 0) {
-        analysis.adminUser = userRows[0].user_login;
-      }
+  maskSecrets(text) {
+    const secrets = [
+      this.config && this.config.database.password,
+      this.config && this.config.database.docker && this.config.database.docker.rootPassword,
+      this.dbPassword,
+      this.adminPassword,
+      ...this.secretValues
+    ].filter(secret => typeof secret === 'string' && secret.length > 0);
+
+    let masked = String(text);
+    for (const secret of secrets) {
+      masked = masked.split(secret).join('****');
+    }
 
-      await connection.end();
-    } catch (error) {
-      // Database analysis failed, continue with file-based analysis
-      console.log(chalk.yellow(`Database analysis failed: ${error.message}`));
+    // Catch password arguments whose values are not known up front
+    return masked
+      .replace(/(\s-p)(?!\*{4})\S+/g, '$1****')
+      .replace(/(--(?:admin_password|user_pass)=)("[^"]*"|\S+)/g, '$1"****"')
+      .replace(/(IDENTIFIED BY\s+)'[^']*'/gi, "$1'****'")
+      .replace(/(MYSQL_ROOT_PASSWORD=)\S+/g, '$1****');
+  }
+
+  recordPlan(type, detail) {
+    this.plan.push({ step: this.currentStep, type, detail: this.maskSecrets(detail) });
+  }
+
+  exec(command, options = {}) {
+    if (this.dryRun) {
+      this.recordPlan('shell', command);
+      return Buffer.from('');
     }
+    return execSync(command, options);
   }
 
-  async exportDatabase(analysis, outputPath) {
+  async fsAction(description, action) {
+    if (this.dryRun) {
+      this.recordPlan('file', description);
+      return;
+    }
+    return action();
+  }
+
+  // Credentials for a role: 'root' is the configured MySQL account, 'site' the
+  // dedicated user created for this site (falling back to root without one)
+  getDatabaseCredentials(role = 'site') {
+    const useSiteUser = role === 'site' && this.dbUser;
+    return {
+      host: this.config.database.host,
+      port: this.config.database.port,
+      user: useSiteUser ? this.dbUser : this.config.database.user,
+      password: useSiteUser ? this.dbPassword : this.config.database.password
+    };
+  }
+
+  getDatabasePool(options) {
+    const key = JSON.stringify([options.host, options.port, options.user, options.database || null]);
+    if (!this.pools.has(key)) {
+      this.pools.set(key, mysql.createPool({ ...options, waitForConnections: true, connectionLimit: 4 }));
+    }
+    return this.pools.get(key);
+  }
+
+  // Run a parameterized query. `??` placeholders take identifiers, `?` values.
+  // Pass `connection` to reach a database other than the configured server.
+  async query(sql, params = [], options = {}) {
+    if (this.dryRun) {
+      // Record statements instead of sending them to the server
+      this.recordPlan('sql', mysql.format(sql, params));
+      return [];
+    }
+
+    const role = options.role || 'site';
+    const database = options.database !== undefined ? options.database : (role === 'site' ? this.dbName : null);
+    const connection = options.connection || { ...this.getDatabaseCredentials(role), database: database || undefined };
+    const [rows] = await this.getDatabasePool(connection).query(sql, params);
+    return rows;
+  }
+
+  // Stream a .sql, .sql.gz, .bz2 or .zip dump into the database one statement at a time
+  async importSqlFile(sqlPath, options = {}) {
+    const skipTables = options.skipTables || [];
+    const onlyTables = options.onlyTables || [];
+
+    if (this.dryRun) {
+      const filters = [
+        skipTables.length > 0 ? `skipping ${skipTables.join(', ')}` : null,
+        onlyTables.length > 0 ? `only ${onlyTables.join(', ')}` : null
+      ].filter(Boolean);
+      this.recordPlan('sql', `SOURCE ${sqlPath}${filters.length > 0 ? ` (${filters.join('; ')})` : ''}`);
+      return { statements: 0, skipped: 0, tables: [] };
+    }
+
+    const role = options.role || 'site';
+    const source = await this.openSqlSource(sqlPath);
+    const connection = await mysql.createConnection({
+      ...this.getDatabaseCredentials(role),
+      database: options.database || this.dbName
+    });
+
+    const spinner = options.spinner;
+    const label = spinner ? spinner.text.replace(/\.*$/, '') : '';
+    let statements = 0;
+    let skipped = 0;
+    let lastUpdate = 0;
+    const tables = new Set();
+
     try {
-      const passwordParam = this.config.database.password === '' ? '' : `-p${this.config.database.password}`;
-      
-      let command;
-      if (this.config.database.docker.enabled) {
-        // For Docker MySQL
-        command = `docker exec ${this.config.database.docker.containerName} mysqldump -hlocalhost -u${analysis.databaseUser} ${passwordParam} -P3306 --single-transaction --routines --triggers ${analysis.databaseName} > "${outputPath}"`;
-      } else {
-        // For regular MySQL
-        command = `mysqldump -h${analysis.databaseHost || 'localhost'} -u${analysis.databaseUser} ${passwordParam} -P${this.config.database.port || 3306} --single-transaction --routines --triggers ${analysis.databaseName} > "${outputPath}"`;
-      }
-      
-      execSync(command, { stdio: 'pipe' });
-      
-      // Verify the export was successful
-      if (await fs.pathExists(outputPath)) {
-        const stats = await fs.stat(outputPath);
-        if (stats.size > 0) {
-          return true;
-        } else {
-          throw new Error('Database export file is empty');
+      for await (const { sql, line } of this.readSqlStatements(source.stream)) {
+        const table = this.getStatementTable(sql);
+        if (table && !this.isTableIncluded(table, skipTables, onlyTables)) {
+          skipped++;
+          continue;
+        }
+        if (table) {
+          tables.add(table);
+        }
+
+        try {
+          await connection.query(sql);
+        } catch (error) {
+          const preview = sql.length > 200 ? `${sql.slice(0, 200)}...` : sql;
+          throw new Error(`Statement at line ${line} of ${path.basename(sqlPath)} failed: ${error.message}\n  ${preview}`);
+        }
+        statements++;
+
+        if (spinner && Date.now() - lastUpdate > 250) {
+          lastUpdate = Date.now();
+          const percent = source.total > 0 ? Math.min(100, Math.floor((source.bytesRead() / source.total) * 100)) : 0;
+          spinner.text = `${label}... ${percent}% (${this.formatBytes(source.bytesRead())} of ${this.formatBytes(source.total)}, ${statements.toLocaleString()} statements)`;
         }
-      } else {
-        throw new Error('Database export file was not created');
       }
-    } catch (error) {
-      throw new Error(`Failed to export database: ${error.message}`);
+    } finally {
+      source.stream.destroy();
+      await connection.end();
+    }
+
+    if (spinner) {
+      spinner.text = `${label}... ${statements.toLocaleString()} statements${skipped > 0 ? `, ${skipped.toLocaleString()} skipped` : ''}`;
     }
+    return { statements, skipped, tables: [...tables] };
   }
 
-  async importDatabaseFromFile(sqlPath) {
-    try {
-      if (!await fs.pathExists(sqlPath)) {
-        throw new Error(`SQL file not found: ${sqlPath}`);
-      }
+  // Returns the decompressed stream plus how far through the file it has read
+  async openSqlSource(sqlPath) {
+    let bytesRead = 0;
+    const counter = () => new Transform({
+      transform(chunk, encoding, callback) {
+        bytesRead += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    if (/\.zip$/i.test(sqlPath)) {
+      const zipfile = await util.promisify(yauzl.open)(sqlPath, { lazyEntries: true });
+      const entry = await new Promise((resolve, reject) => {
+        zipfile.on('entry', (candidate) => {
+          if (/\.sql$/i.test(candidate.fileName)) {
+            resolve(candidate);
+          } else {
+            zipfile.readEntry();
+          }
+        });
+        zipfile.on('end', () => reject(new Error(`No .sql file found in ${sqlPath}`)));
+        zipfile.on('error', reject);
+        zipfile.readEntry();
+      });
+      const entryStream = await util.promisify(zipfile.openReadStream.bind(zipfile))(entry);
+      entryStream.on('end', () => zipfile.close());
+      return { stream: this.chainStreams(entryStream, counter()), total: entry.uncompressedSize, bytesRead: () => bytesRead };
+    }
 
-      // Use dedicated user credentials if created, otherwise use root
-      const dbUser = this.dbUser || this.config.database.user;
-      const dbPassword = this.dbPassword || this.config.database.password;
+    const { size } = await fs.stat(sqlPath);
+    const stages = [fs.createReadStream(sqlPath), counter()];
+    if (/\.gz$/i.test(sqlPath)) {
+      stages.push(zlib.createGunzip());
+    } else if (/\.bz2$/i.test(sqlPath)) {
+      stages.push(unbzip2());
+    }
+    return { stream: this.chainStreams(...stages), total: size, bytesRead: () => bytesRead };
+  }
 
-      let command;
-      if (this.config.database.docker.enabled) {
-        // For Docker, use docker exec with input redirection
-        const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-        command = `docker exec -i ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} < "${sqlPath}"`;
-      } else {
-        // For regular MySQL
-        const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-        command = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} < "${sqlPath}"`;
-      }
-      
-      execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-      
-      // Optimize database if configured
-      if (this.config.sql && this.config.sql.optimizeAfterImport) {
-        let optimizeCommand;
-        if (this.config.database.docker.enabled) {
-          const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-          optimizeCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "OPTIMIZE TABLE wp_posts, wp_postmeta, wp_options, wp_usermeta, wp_users, wp_terms, wp_term_taxonomy, wp_term_relationships, wp_termmeta, wp_comments, wp_commentmeta;"`;
-        } else {
-          const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-          optimizeCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "OPTIMIZE TABLE wp_posts, wp_postmeta, wp_options, wp_usermeta, wp_users, wp_terms, wp_term_taxonomy, wp_term_relationships, wp_termmeta, wp_comments, wp_commentmeta;"`;
+  // Pipe the streams together and return the last one for reading. A failure anywhere
+  // in the chain destroys it with that error, so the reader sees the real cause.
+  chainStreams(...streams) {
+    // Old-style streams such as unbzip2-stream can't be iterated, so they pipe into one that can
+    if (typeof streams[streams.length - 1][Symbol.asyncIterator] !== 'function') {
+      streams.push(new PassThrough());
+    }
+    const output = streams[streams.length - 1];
+    pipeline(...streams, (error) => {
+      if (error) output.destroy(error);
+    });
+    return output;
+  }
+
+  // Split a dump into statements, honouring quotes, comments and DELIMITER
+  // changes, and remember the line each statement starts on
+  async *readSqlStatements(input) {
+    let delimiter = ';';
+    let statement = '';
+    let quote = null;
+    let blockComment = false;
+    let hasCode = false;
+    let lineNumber = 0;
+    let startLine = 1;
+    let carry = '';
+
+    const parseLine = function* (line) {
+      lineNumber++;
+
+      if (!hasCode && !quote && !blockComment) {
+        const match = line.trim().match(/^DELIMITER\s+(\S+)$/i);
+        if (match) {
+          delimiter = match[1];
+          statement = '';
+          return;
         }
-        execSync(optimizeCommand, { stdio: 'pipe' });
       }
-      
-      // Repair database if configured
-      if (this.config.sql && this.config.sql.repairAfterImport) {
-        let repairCommand;
-        if (this.config.database.docker.enabled) {
-          const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-          repairCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "REPAIR TABLE wp_posts, wp_postmeta, wp_options, wp_usermeta, wp_users, wp_terms, wp_term_taxonomy, wp_term_relationships, wp_termmeta, wp_comments, wp_commentmeta;"`;
-        } else {
-          const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-          repairCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "REPAIR TABLE wp_posts, wp_postmeta, wp_options, wp_usermeta, wp_users, wp_terms, wp_term_taxonomy, wp_term_relationships, wp_termmeta, wp_comments, wp_commentmeta;"`;
+
+      let segmentStart = 0;
+      let i = 0;
+      while (i < line.length) {
+        const char = line[i];
+
+        if (quote) {
+          if (char === '\\' && quote !== '`') {
+            i += 2;
+          } else if (char === quote && line[i + 1] === quote) {
+            i += 2;
+          } else {
+            if (char === quote) quote = null;
+            i++;
+          }
+          continue;
         }
-        execSync(repairCommand, { stdio: 'pipe' });
-      }
-      
-    } catch (error) {
-      throw new Error(`Failed to import database: ${error.message}`);
-    }
-  }
 
-  async updateWordPressUrls(newUrl) {
-    try {
-      // Use dedicated user credentials if created, otherwise use root
-      const dbUser = this.dbUser || this.config.database.user;
-      const dbPassword = this.dbPassword || this.config.database.password;
-      const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-      
-      // Update home and siteurl options
-      const updateCommands = [
-        `UPDATE \\\`${this.config.database.prefix}options\\\` SET option_value = '${newUrl}' WHERE option_name = 'home'`,
-        `UPDATE \\\`${this.config.database.prefix}options\\\` SET option_value = '${newUrl}' WHERE option_name = 'siteurl'`
-      ];
-      
-      for (const updateCommand of updateCommands) {
-        let command;
-        if (this.config.database.docker.enabled) {
-          command = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "${updateCommand}"`;
-        } else {
-          command = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "${updateCommand}"`;
+        if (blockComment) {
+          if (char === '*' && line[i + 1] === '/') {
+            blockComment = false;
+            i += 2;
+          } else {
+            i++;
+          }
+          continue;
         }
-        
-        execSync(command, { stdio: 'pipe' });
+
+        if (char === '/' && line[i + 1] === '*') {
+          blockComment = true;
+          // /*!40101 ... */ comments are executed by MySQL
+          if (line[i + 2] === '!' && !hasCode) {
+            hasCode = true;
+            startLine = lineNumber;
+          }
+          i += 2;
+          continue;
+        }
+
+        if (char === '#' || (char === '-' && line[i + 1] === '-' && /\s/.test(line[i + 2] || '\n'))) {
+          // Drop comments between statements; keep those inside one
+          if (!hasCode) {
+            statement += line.slice(segmentStart, i);
+            segmentStart = line.length;
+          }
+          break;
+        }
+
+        if (line.startsWith(delimiter, i)) {
+          statement += line.slice(segmentStart, i);
+          if (hasCode) {
+            yield { sql: statement.trim(), line: startLine };
+          }
+          statement = '';
+          hasCode = false;
+          i += delimiter.length;
+          segmentStart = i;
+          continue;
+        }
+
+        if (char === "'" || char === '"' || char === '`') {
+          quote = char;
+        }
+        if (!hasCode && !/\s/.test(char)) {
+          hasCode = true;
+          startLine = lineNumber;
+        }
+        i++;
       }
-      
-      console.log(chalk.green(`✅ WordPress URLs updated to: ${newUrl}`));
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠️  Failed to update WordPress URLs: ${error.message}`));
+
+      statement += line.slice(segmentStart);
+    };
+
+    input.setEncoding('utf8');
+    for await (const chunk of input) {
+      const lines = (carry + chunk).split('\n');
+      carry = lines.pop();
+      for (const line of lines) {
+        yield* parseLine(`${line}\n`);
+      }
+    }
+    if (carry) {
+      yield* parseLine(carry);
+    }
+
+    // A last statement without a trailing delimiter
+    if (hasCode && statement.trim()) {
+      yield { sql: statement.trim(), line: startLine };
+    }
+  }
+
+  getStatementTable(sql) {
+    // Skip plain comments and open version comments, since MySQL runs the body of
+    // /*!40000 ALTER TABLE `wp_x` DISABLE KEYS */
+    const head = sql.replace(/^(?:\s+|\/\*(?!!)[\s\S]*?\*\/|\/\*!\d*)+/, '');
+    const identifier = '(?:`(?:[^`]|``)+`|[^`\\s(,;.*]+)';
+    const match = head.match(new RegExp(
+      `^(?:INSERT\\s+(?:IGNORE\\s+)?INTO|REPLACE\\s+INTO|CREATE\\s+TABLE(?:\\s+IF\\s+NOT\\s+EXISTS)?|DROP\\s+TABLE(?:\\s+IF\\s+EXISTS)?|ALTER\\s+TABLE|LOCK\\s+TABLES|TRUNCATE(?:\\s+TABLE)?)\\s+(${identifier}(?:\\s*\\.\\s*${identifier})?)`,
+      'i'
+    ));
+    if (!match) return null;
+
+    // `db`.`table` names the table last
+    const table = match[1].match(new RegExp(`${identifier}$`))[0];
+    return table.startsWith('`') ? table.slice(1, -1).replace(/``/g, '`') : table;
+  }
+
+  // The WordPress table prefix of a set of tables, e.g. "wp_" from wp_options and wp_posts.
+  // The shortest candidate wins so multisite tables like wp_2_options are not picked.
+  detectTablePrefix(tables) {
+    const candidates = tables
+      .filter(table => table.endsWith('options'))
+      .map(table => table.slice(0, -'options'.length))
+      .filter(prefix => /^[A-Za-z0-9_]+$/.test(prefix) && tables.includes(`${prefix}posts`))
+      .sort((a, b) => a.length - b.length);
+    return candidates[0] || null;
+  }
+
+  // Table filters accept exact names or * wildcards, e.g. "wp_wc_*"
+  isTableIncluded(table, skipTables = [], onlyTables = []) {
+    const matches = (pattern) => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i').test(table);
+    if (skipTables.some(matches)) {
+      return false;
+    }
+    return onlyTables.length === 0 || onlyTables.some(matches);
+  }
+
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  }
+
+  // Write a plain SQL dump of a database, like `mysqldump` without needing it installed.
+  // `gzip` compresses the file and `skipTables`/`onlyTables` pick the tables. With
+  // `searchReplace` ({ pairs, caseSensitive, regex, skipTables, onlyTables }) the dump
+  // gets the replaced values while the database stays untouched; the report is returned.
+  // Triggers and routines follow the data, as mysqldump --triggers --routines writes them.
+  async dumpDatabase(outputPath, options = {}) {
+    const role = options.role || 'site';
+    const credentials = options.connection || { ...this.getDatabaseCredentials(role), database: options.database || this.dbName };
+    const replace = options.searchReplace;
+    const matcher = replace ? this.compileReplacements(replace.pairs, replace) : null;
+    const report = matcher ? this.createSearchReplaceReport(matcher) : null;
+
+    if (this.dryRun) {
+      this.recordPlan('file', `Export database ${credentials.database} to ${outputPath}`);
+      return report;
+    }
+
+    // Keep dates and big numbers exactly as stored
+    const connection = await mysql.createConnection({ ...credentials, dateStrings: true, supportBigNumbers: true, bigNumberStrings: true });
+    const file = fs.createWriteStream(outputPath);
+    const output = options.gzip ? zlib.createGzip() : file;
+    if (options.gzip) {
+      output.pipe(file);
+    }
+    const write = (chunk) => new Promise((resolve, reject) => {
+      output.write(chunk, (error) => (error ? reject(error) : resolve()));
+    });
+
+    const writeRows = async (table, rows, replaceColumns) => {
+      if (replaceColumns.length > 0) {
+        rows.forEach(record => Object.assign(record, this.replaceInRow(table, record, replaceColumns, matcher, report)));
+      }
+
+      const values = rows.map(record => `(${Object.values(record).map(value => mysql.escape(value)).join(',')})`);
+      await write(`INSERT INTO ${mysql.escapeId(table)} VALUES\n${values.join(',\n')};\n`);
+    };
+
+    let failed = false;
+    try {
+      // Read every table from one snapshot so rows written meanwhile can't tear the dump
+      await connection.query('SET SESSION TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+      await connection.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+
+      await write(`-- Dump of ${credentials.database} created ${new Date().toISOString()}\n`);
+      await write('SET NAMES utf8mb4;\nSET FOREIGN_KEY_CHECKS = 0;\n\n');
+
+      const [tableRows] = await connection.query('SHOW FULL TABLES WHERE Table_type = ?', ['BASE TABLE']);
+      const tables = tableRows
+        .map(row => Object.values(row)[0])
+        .filter(table => this.isTableIncluded(table, options.skipTables || [], options.onlyTables || []));
+      for (const table of tables) {
+        const [[create]] = await connection.query('SHOW CREATE TABLE ??', [table]);
+        await write(`DROP TABLE IF EXISTS ${mysql.escapeId(table)};\n${create['Create Table']};\n\n`);
+
+        const { primaryKey, columns } = await this.getSearchReplaceColumns(connection, credentials.database, table);
+        const replaceColumns = matcher && matcher.rules.length > 0 && this.isTableIncluded(table, replace.skipTables || [], replace.onlyTables || [])
+          ? columns
+          : [];
+
+        if (primaryKey.length > 0) {
+          const keyList = primaryKey.map(column => mysql.escapeId(column)).join(', ');
+          let cursor = null;
+          for (;;) {
+            const [rows] = cursor
+              ? await connection.query(`SELECT * FROM ?? WHERE (${keyList}) > (?) ORDER BY ${keyList} LIMIT ?`, [table, cursor, DUMP_BATCH_SIZE])
+              : await connection.query(`SELECT * FROM ?? ORDER BY ${keyList} LIMIT ?`, [table, DUMP_BATCH_SIZE]);
+            if (rows.length === 0) break;
+
+            cursor = primaryKey.map(column => rows[rows.length - 1][column]);
+            await writeRows(table, rows, replaceColumns);
+            if (rows.length < DUMP_BATCH_SIZE) break;
+          }
+        } else {
+          // Nothing to page by, so stream the whole table through a single SELECT
+          let rows = [];
+          for await (const record of connection.connection.query('SELECT * FROM ??', [table]).stream()) {
+            rows.push(record);
+            if (rows.length === DUMP_BATCH_SIZE) {
+              await writeRows(table, rows, replaceColumns);
+              rows = [];
+            }
+          }
+          if (rows.length > 0) {
+            await writeRows(table, rows, replaceColumns);
+          }
+        }
+        await write('\n');
+      }
+
+      await this.writeDumpRoutines(connection, credentials.database, tables, write);
+
+      await write('SET FOREIGN_KEY_CHECKS = 1;\n');
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      await connection.end();
+      await new Promise(resolve => {
+        file.on('close', resolve);
+        output.end();
+      });
+      // Never leave a truncated dump behind
+      if (failed) {
+        await fs.remove(outputPath);
+      }
+    }
+
+    return report;
+  }
+
+  // Append the triggers of the dumped tables plus the stored procedures and functions.
+  // DEFINER clauses are dropped so the dump imports under any account.
+  async writeDumpRoutines(connection, database, tables, write) {
+    const withoutDefiner = (sql) => sql.replace(/\s+DEFINER\s*=\s*(?:`[^`]*`|'[^']*'|[^\s@]+)@(?:`[^`]*`|'[^']*'|\S+)/i, '');
+    const definitions = [];
+
+    const [triggers] = await connection.query('SHOW TRIGGERS');
+    for (const trigger of triggers.filter(row => tables.includes(row.Table))) {
+      const [[create]] = await connection.query('SHOW CREATE TRIGGER ??', [trigger.Trigger]);
+      definitions.push({ type: 'TRIGGER', name: trigger.Trigger, sql: create['SQL Original Statement'] });
+    }
+
+    for (const type of ['PROCEDURE', 'FUNCTION']) {
+      const [routines] = await connection.query(`SHOW ${type} STATUS WHERE Db = ?`, [database]);
+      for (const routine of routines) {
+        const [[create]] = await connection.query(`SHOW CREATE ${type} ??`, [routine.Name]);
+        const sql = create[type === 'PROCEDURE' ? 'Create Procedure' : 'Create Function'];
+        if (!sql) {
+          throw new Error(`Cannot read the definition of ${type.toLowerCase()} ${routine.Name}; the database user needs SHOW_ROUTINE or SELECT on mysql.proc`);
+        }
+        definitions.push({ type, name: routine.Name, sql });
+      }
+    }
+
+    for (const { type, name, sql } of definitions) {
+      await write(`DROP ${type} IF EXISTS ${mysql.escapeId(name)};\nDELIMITER ;;\n${withoutDefiner(sql)};;\nDELIMITER ;\n\n`);
+    }
+  }
+
+  // Compile search/replace pairs. Plain strings are matched in a single pass so a
+  // replacement is never matched again by a later pair; regexes run in order.
+  compileReplacements(pairs, options = {}) {
+    const flags = options.caseSensitive ? 'g' : 'gi';
+    const rules = pairs
+      .filter(pair => pair && typeof pair.search === 'string' && pair.search !== '')
+      .map(pair => {
+        const replace = pair.replace === undefined || pair.replace === null ? '' : String(pair.replace);
+        if (!options.regex) {
+          return { search: pair.search, replace, source: pair.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+        }
+        try {
+          return { search: pair.search, replace, pattern: new RegExp(pair.search, flags) };
+        } catch (error) {
+          throw new Error(`Invalid search pattern "${pair.search}": ${error.message}`);
+        }
+      });
+
+    return {
+      rules,
+      combined: !options.regex && rules.length > 0
+        ? new RegExp(rules.map(rule => `(${rule.source})`).join('|'), flags)
+        : null
+    };
+  }
+
+  replaceText(value, matcher, counts) {
+    if (matcher.combined) {
+      return value.replace(matcher.combined, (...args) => {
+        const index = args.slice(1, matcher.rules.length + 1).findIndex(group => group !== undefined);
+        counts[index]++;
+        return matcher.rules[index].replace;
+      });
+    }
+
+    let result = value;
+    matcher.rules.forEach((rule, index) => {
+      const matches = result.match(rule.pattern);
+      if (!matches) return;
+      counts[index] += matches.length;
+      result = result.replace(rule.pattern, rule.replace);
+    });
+    return result;
+  }
+
+  // Replace inside a database value, keeping PHP-serialized and JSON data valid.
+  // Unchanged values are returned as-is so they are never rewritten.
+  replaceInValue(value, matcher, counts) {
+    if (typeof value !== 'string' || value === '') return value;
+
+    const before = counts.reduce((sum, count) => sum + count, 0);
+    let result;
+
+    const serialized = this.unserializePhp(value);
+    if (serialized) {
+      result = this.serializePhp(this.replaceInSerialized(serialized, matcher, counts));
+    } else {
+      result = this.isJsonValue(value)
+        ? this.replaceInJson(value, matcher, counts)
+        : this.replaceText(value, matcher, counts);
+    }
+
+    return counts.reduce((sum, count) => sum + count, 0) === before ? value : result;
+  }
+
+  replaceInSerialized(node, matcher, counts) {
+    if (node.type === 's') {
+      // Strings are often serialized or JSON themselves
+      node.value = this.replaceInValue(node.value, matcher, counts);
+    } else if (node.type === 'a' || node.type === 'O') {
+      for (const entry of node.entries) {
+        entry[1] = this.replaceInSerialized(entry[1], matcher, counts);
+      }
+    }
+    return node;
+  }
+
+  // Replace inside the string values of a JSON text. Only changed string tokens are
+  // re-encoded, so numbers, keys, spacing and escapes elsewhere keep their exact bytes.
+  replaceInJson(json, matcher, counts) {
+    // PHP's json_encode escapes slashes and unicode by default; follow what the text does
+    const escapeSlashes = json.includes('\\/');
+    const escapeUnicode = /\\u[0-9a-fA-F]{4}/.test(json);
+
+    return json.replace(/"(?:[^"\\]|\\.)*"(?=(\s*:)?)/g, (token, key) => {
+      if (key) return token;
+
+      const text = JSON.parse(token);
+      const replaced = this.replaceInValue(text, matcher, counts);
+      if (replaced === text) return token;
+
+      let encoded = JSON.stringify(replaced);
+      if (escapeSlashes) {
+        encoded = encoded.replace(/\//g, '\\/');
+      }
+      if (escapeUnicode) {
+        encoded = encoded.replace(/[\u0080-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+      }
+      return encoded;
+    });
+  }
+
+  isJsonValue(value) {
+    if (!/^\s*[[{]/.test(value)) return false;
+    try {
+      JSON.parse(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Parse a PHP-serialized string into nodes, or return null when it isn't one.
+  // String lengths are UTF-8 byte counts, so parsing works on a buffer.
+  unserializePhp(value) {
+    if (!/^(?:[aOCsidbrRE]:|N;)/.test(value)) return null;
+
+    const buffer = Buffer.from(value, 'utf8');
+    try {
+      const { node, offset } = this.readSerialized(buffer, 0);
+      return offset === buffer.length ? node : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  readSerialized(buffer, offset) {
+    const type = String.fromCharCode(buffer[offset]);
+    const expect = (text, at) => {
+      if (buffer.toString('latin1', at, at + text.length) !== text) {
+        throw new Error(`Expected '${text}' at offset ${at}`);
+      }
+      return at + text.length;
+    };
+    const readUntil = (char, start, pattern) => {
+      const end = buffer.indexOf(char, start);
+      const text = end === -1 ? '' : buffer.toString('latin1', start, end);
+      if (!pattern.test(text)) throw new Error(`Invalid serialized value at offset ${start}`);
+      return { text, end };
+    };
+    const readString = (start) => {
+      const { text, end } = readUntil(':', start, /^\d+$/);
+      const from = expect(':"', end);
+      const to = from + Number(text);
+      expect('"', to);
+      const value = buffer.toString('utf8', from, to);
+      if (Buffer.byteLength(value) !== Number(text)) throw new Error(`Broken string at offset ${from}`);
+      return { value, end: to + 1 };
+    };
+    const readEntries = (start, count) => {
+      const entries = [];
+      let position = expect('{', start);
+      for (let i = 0; i < count; i++) {
+        const key = this.readSerialized(buffer, position);
+        const item = this.readSerialized(buffer, key.offset);
+        entries.push([key.node, item.node]);
+        position = item.offset;
+      }
+      return { entries, end: expect('}', position) };
+    };
+    const raw = (end) => ({ node: { type: 'raw', text: buffer.toString('utf8', offset, end) }, offset: end });
+
+    switch (type) {
+      case 'N':
+        return raw(expect('N;', offset));
+      case 'b':
+      case 'i':
+      case 'd':
+      case 'r':
+      case 'R': {
+        const patterns = { b: /^[01]$/, i: /^-?\d+$/, d: /^(?:-?(?:\d+(?:\.\d*)?|\.\d+)(?:E[+-]?\d+)?|-?INF|NAN)$/i, r: /^\d+$/, R: /^\d+$/ };
+        const { end } = readUntil(';', expect(':', offset + 1), patterns[type]);
+        return raw(end + 1);
+      }
+      case 's': {
+        const { value, end } = readString(expect(':', offset + 1));
+        return { node: { type: 's', value }, offset: expect(';', end) };
+      }
+      case 'E': {
+        const { end } = readString(expect(':', offset + 1));
+        return raw(expect(';', end));
+      }
+      case 'a': {
+        const { text, end } = readUntil(':', expect(':', offset + 1), /^\d+$/);
+        const { entries, end: last } = readEntries(end + 1, Number(text));
+        return { node: { type: 'a', entries }, offset: last };
+      }
+      case 'O': {
+        const { value: className, end } = readString(expect(':', offset + 1));
+        const count = readUntil(':', expect(':', end), /^\d+$/);
+        const { entries, end: last } = readEntries(count.end + 1, Number(count.text));
+        return { node: { type: 'O', className, entries }, offset: last };
+      }
+      case 'C': {
+        // Custom-serialized objects are kept untouched
+        const { end } = readString(expect(':', offset + 1));
+        const length = readUntil(':', expect(':', end), /^\d+$/);
+        const from = expect('{', length.end + 1);
+        return raw(expect('}', from + Number(length.text)));
+      }
+      default:
+        throw new Error(`Unknown serialized type '${type}' at offset ${offset}`);
+    }
+  }
+
+  serializePhp(node) {
+    const entries = (list) => list.map(([key, item]) => this.serializePhp(key) + this.serializePhp(item)).join('');
+    switch (node.type) {
+      case 's':
+        return `s:${Buffer.byteLength(node.value)}:"${node.value}";`;
+      case 'a':
+        return `a:${node.entries.length}:{${entries(node.entries)}}`;
+      case 'O':
+        return `O:${Buffer.byteLength(node.className)}:"${node.className}":${node.entries.length}:{${entries(node.entries)}}`;
+      default:
+        return node.text;
+    }
+  }
+
+  createSearchReplaceReport(matcher) {
+    return {
+      tables: {},
+      pairs: matcher.rules.map(rule => ({ search: rule.search, replace: rule.replace, replacements: 0 })),
+      rows: 0,
+      replacements: 0,
+      skipped: []
+    };
+  }
+
+  // Primary key and text columns of a table, the ones search-replace looks into
+  async getSearchReplaceColumns(connection, database, table) {
+    const [keyRows] = await connection.query(
+      'SELECT COLUMN_NAME AS name FROM information_schema.KEY_COLUMN_USAGE WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? ORDER BY ORDINAL_POSITION',
+      [database, table, 'PRIMARY']
+    );
+    const primaryKey = keyRows.map(row => row.name);
+    const [columnRows] = await connection.query(
+      'SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND DATA_TYPE IN (?) ORDER BY ORDINAL_POSITION',
+      [database, table, SEARCH_REPLACE_TYPES]
+    );
+    const columns = columnRows.map(row => row.name).filter(column => !primaryKey.includes(column));
+    return { primaryKey, columns };
+  }
+
+  // Replace in the given columns of one row and count into the report.
+  // Returns only the columns whose value changed.
+  replaceInRow(table, row, columns, matcher, report) {
+    const changes = {};
+
+    for (const column of columns) {
+      const counts = matcher.rules.map(() => 0);
+      const result = this.replaceInValue(row[column], matcher, counts);
+      const replacements = counts.reduce((sum, count) => sum + count, 0);
+      if (replacements === 0) continue;
+
+      const tableReport = report.tables[table] || (report.tables[table] = { rows: 0, replacements: 0, columns: {}, pairs: matcher.rules.map(() => 0) });
+      const columnReport = tableReport.columns[column] || (tableReport.columns[column] = { rows: 0, replacements: 0 });
+      columnReport.rows++;
+      columnReport.replacements += replacements;
+      tableReport.replacements += replacements;
+      report.replacements += replacements;
+      counts.forEach((count, index) => {
+        tableReport.pairs[index] += count;
+        report.pairs[index].replacements += count;
+      });
+
+      if (result !== row[column]) {
+        changes[column] = result;
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      report.tables[table].rows++;
+      report.rows++;
+    }
+    return changes;
+  }
+
+  // Search-replace across every table of a database, row by row in primary key order.
+  // Returns replacement counts per table, column and pair.
+  async searchReplaceDatabase(pairs, options = {}) {
+    const matcher = this.compileReplacements(pairs, options);
+    const report = this.createSearchReplaceReport(matcher);
+    const database = options.database || this.dbName;
+
+    if (matcher.rules.length === 0) return report;
+
+    if (this.dryRun) {
+      const list = matcher.rules.map(rule => `"${rule.search}" → "${rule.replace}"`).join(', ');
+      this.recordPlan('sql', `Search-replace in ${database}: ${list}`);
+      return report;
+    }
+
+    // Big numbers as strings so primary keys survive the round trip
+    const connection = await mysql.createConnection({
+      ...this.getDatabaseCredentials(options.role || 'site'),
+      database,
+      supportBigNumbers: true,
+      bigNumberStrings: true
+    });
+
+    const spinner = options.spinner;
+    const label = spinner ? spinner.text.replace(/\.*$/, '') : '';
+
+    try {
+      const [tableRows] = await connection.query('SHOW FULL TABLES WHERE Table_type = ?', ['BASE TABLE']);
+      const tables = tableRows
+        .map(row => Object.values(row)[0])
+        .filter(table => this.isTableIncluded(table, options.skipTables || [], options.onlyTables || []));
+
+      for (const [tableIndex, table] of tables.entries()) {
+        if (spinner) {
+          spinner.text = `${label}... ${table} (${tableIndex + 1} of ${tables.length})`;
+        }
+
+        const { primaryKey, columns } = await this.getSearchReplaceColumns(connection, database, table);
+        if (columns.length === 0) continue;
+        if (primaryKey.length === 0) {
+          report.skipped.push({ table, reason: 'no primary key' });
+          continue;
+        }
+
+        const keyList = primaryKey.map(column => mysql.escapeId(column)).join(', ');
+        const select = `SELECT ${[...primaryKey, ...columns].map(column => mysql.escapeId(column)).join(', ')} FROM ??`;
+        let cursor = null;
+
+        for (;;) {
+          const [rows] = cursor
+            ? await connection.query(`${select} WHERE (${keyList}) > (?) ORDER BY ${keyList} LIMIT ?`, [table, cursor, SEARCH_REPLACE_BATCH_SIZE])
+            : await connection.query(`${select} ORDER BY ${keyList} LIMIT ?`, [table, SEARCH_REPLACE_BATCH_SIZE]);
+          if (rows.length === 0) break;
+
+          for (const row of rows) {
+            const changes = this.replaceInRow(table, row, columns, matcher, report);
+            if (Object.keys(changes).length === 0 || options.dryRun) continue;
+
+            await connection.query(
+              `UPDATE ?? SET ? WHERE (${keyList}) = (?)`,
+              [table, changes, primaryKey.map(column => row[column])]
+            );
+          }
+
+          if (rows.length < SEARCH_REPLACE_BATCH_SIZE) break;
+          cursor = primaryKey.map(column => rows[rows.length - 1][column]);
+        }
+      }
+    } finally {
+      await connection.end();
+    }
+
+    return report;
+  }
+
+  printSearchReplaceReport(report) {
+    const rows = [];
+    for (const [table, tableReport] of Object.entries(report.tables)) {
+      for (const [column, stats] of Object.entries(tableReport.columns)) {
+        rows.push([table, column, String(stats.rows), String(stats.replacements)]);
+      }
+    }
+
+    if (rows.length > 0) {
+      const header = ['Table', 'Column', 'Rows', 'Replacements'];
+      const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+      const format = (row) => row.map((cell, index) => (index < 2 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  ');
+      console.log(chalk.cyan(`  ${format(header)}`));
+      rows.forEach(row => console.log(chalk.gray(`  ${format(row)}`)));
+    }
+
+    for (const { table, reason } of report.skipped) {
+      console.log(chalk.yellow(`  ⚠️  Skipped ${table} (${reason})`));
+    }
+  }
+
+  async closeDatabase() {
+    const pools = [...this.pools.values()];
+    this.pools.clear();
+    await Promise.all(pools.map(pool => pool.end()));
+  }
+
+  printPlan() {
+    console.log(chalk.blue.bold('\n📋 Execution plan (dry run - nothing was changed):'));
+
+    if (this.plan.length === 0) {
+      console.log(chalk.gray('  No actions would be performed.'));
+      return;
+    }
+
+    const width = String(this.plan.length).length;
+    let lastStep;
+    this.plan.forEach((entry, index) => {
+      if (entry.step && entry.step !== lastStep) {
+        console.log(chalk.blue(`\n  ${entry.step}`));
+        lastStep = entry.step;
+      }
+      const number = String(index + 1).padStart(width, ' ');
+      const label = `[${entry.type}]`.padEnd(7, ' ');
+      console.log(`${chalk.gray(`${number}.`)} ${chalk.cyan(label)} ${entry.detail}`);
+    });
+  }
+
+  async selectTemplate() {
+    // Check if templates are enabled and available
+    if (!this.config.templates || !this.config.templates.enabled || !this.config.templates.list) {
+      console.log(chalk.gray('Templates not configured. Using default configuration.'));
+      return;
+    }
+
+    const templates = this.config.templates.list;
+    const templateKeys = Object.keys(templates);
+
+    if (templateKeys.length === 0) {
+      console.log(chalk.gray('No templates available. Using default configuration.'));
+      return;
+    }
+
+    if (this.answers.template && !templates[this.answers.template]) {
+      throw new Error(`Template '${this.answers.template}' not found. Available templates: ${templateKeys.join(', ')}`);
+    }
+
+    // If only one template, use it automatically
+    if (templateKeys.length === 1) {
+      this.selectedTemplate = templateKeys[0];
+      console.log(chalk.cyan(`Using template: ${templates[this.selectedTemplate].name}`));
+      return;
+    }
+
+    // Multiple templates - ask user to choose
+    const questions = [
+      {
+        type: 'list',
+        name: 'template',
+        message: 'Select a WordPress site template:',
+        choices: templateKeys.map(key => ({
+          name: `${templates[key].name} - ${templates[key].description}`,
+          value: key
+        })),
+        default: this.config.templates.default || templateKeys[0]
+      }
+    ];
+
+    const answers = await this.ask(questions);
+    this.selectedTemplate = answers.template;
+    
+    console.log(chalk.cyan(`Selected template: ${templates[this.selectedTemplate].name}`));
+  }
+
+  mergeTemplateConfig() {
+    if (!this.selectedTemplate || !this.config.templates || !this.config.templates.list) {
+      return;
+    }
+
+    if (!this.config.templates.list[this.selectedTemplate]) {
+      console.warn(chalk.yellow(`Template '${this.selectedTemplate}' not found. Using default configuration.`));
+      return;
+    }
+
+    const template = this.resolveTemplate(this.selectedTemplate);
+    console.log(chalk.gray(`Applying template configuration: ${template.name}`));
+
+    // Deep merge template configuration with default config
+    const { name, description, extends: parents, variables, ...overrides } = template;
+    this.templateVariables = variables || {};
+    this.applyConfigLayer(`template:${this.selectedTemplate}`, overrides);
+  }
+
+  // Flatten a template's `extends` chain into a single template. Lists from
+  // several parents are combined; the template's own values are applied last.
+  resolveTemplate(key, list = this.config.templates.list, chain = []) {
+    if (chain.includes(key)) {
+      throw new Error(`Template inheritance cycle: ${[...chain, key].join(' → ')}`);
+    }
+
+    const template = list[key];
+    if (!template) {
+      const suggestion = this.findClosestKey(key, Object.keys(list));
+      throw new Error(`Template '${chain[chain.length - 1]}' extends unknown template '${key}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+    }
+
+    const parents = [].concat(template.extends || []);
+    if (parents.length === 0) {
+      return template;
+    }
+
+    let inherited = {};
+    for (const parent of parents) {
+      const { name, description, extends: grandparents, ...parentConfig } = this.resolveTemplate(parent, list, [...chain, key]);
+      inherited = this.deepMerge(inherited, parentConfig, { combineLists: true });
+    }
+
+    return this.deepMerge(inherited, template);
+  }
+
+  isListDirective(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return false;
+    }
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => ['$append', '$remove', '$replace'].includes(key));
+  }
+
+  applyListDirective(list, directive) {
+    const result = Array.isArray(directive.$replace) ? [...directive.$replace] : [...(list || [])];
+    const removals = directive.$remove || [];
+    const kept = result.filter(item => !removals.some(removal => util.isDeepStrictEqual(item, removal)));
+    return [...kept, ...(directive.$append || [])];
+  }
+
+  // A directive merged onto another unresolved directive (e.g. between two
+  // templates) is combined so it can still be applied to the base list later.
+  combineListDirectives(target, source) {
+    if (source.$replace) {
+      return source;
+    }
+    if (target.$replace) {
+      return { $replace: this.applyListDirective(target.$replace, source) };
+    }
+    return {
+      $remove: [...(target.$remove || []), ...(source.$remove || [])],
+      $append: [
+        ...(target.$append || []).filter(item => !(source.$remove || []).some(removal => util.isDeepStrictEqual(item, removal))),
+        ...(source.$append || [])
+      ]
+    };
+  }
+
+  // Apply directives that had no list underneath them, everywhere except the
+  // template definitions, which keep theirs until a template is applied
+  resolveListDirectives(value, isRoot = true) {
+    if (this.isListDirective(value)) {
+      return this.applyListDirective([], value);
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return value;
+    }
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = isRoot && key === 'templates' ? value[key] : this.resolveListDirectives(value[key], false);
+    }
+    return result;
+  }
+
+  deepMerge(target, source, options = {}) {
+    const result = { ...target };
+
+    for (const key in source) {
+      if (source.hasOwnProperty(key)) {
+        const current = target ? target[key] : undefined;
+
+        if (this.isListDirective(source[key])) {
+          // $append / $remove / $replace adjust the list instead of replacing it
+          if (Array.isArray(current)) {
+            result[key] = this.applyListDirective(current, source[key]);
+          } else if (this.isListDirective(current)) {
+            result[key] = this.combineListDirectives(current, source[key]);
+          } else {
+            result[key] = source[key];
+          }
+        } else if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+          // Recursively merge objects
+          result[key] = this.deepMerge(current || {}, source[key], options);
+        } else if (options.combineLists && Array.isArray(source[key]) && Array.isArray(current)) {
+          // Sibling parent templates each contribute their list entries
+          result[key] = [...current, ...source[key].filter(item => !current.some(existing => util.isDeepStrictEqual(existing, item)))];
+        } else {
+          // Override with source value (including arrays and primitives)
+          result[key] = source[key];
+        }
+      }
+    }
+
+    return result;
+  }
+
+  async analyzeWordPressSite(sitePath) {
+    const analysis = {
+      siteTitle: null,
+      siteDescription: null,
+      adminUser: null,
+      adminEmail: null,
+      siteUrl: null,
+      siteDomain: null,
+      activeTheme: null,
+      wordpressOrgPlugins: [],
+      localPlugins: [],
+      wordpressOrgThemes: [],
+      localThemes: [],
+      uploadsPath: null,
+      databasePath: null
+    };
+
+    try {
+      // Analyze wp-config.php for database settings
+      const wpConfigPath = path.join(sitePath, 'wp-config.php');
+      if (await fs.pathExists(wpConfigPath)) {
+        const wpConfig = await fs.readFile(wpConfigPath, 'utf8');
+        
+        // Extract database settings
+        const dbNameMatch = wpConfig.match(/define\s*\(\s*['"]DB_NAME['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
+        const dbUserMatch = wpConfig.match(/define\s*\(\s*['"]DB_USER['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
+        const dbHostMatch = wpConfig.match(/define\s*\(\s*['"]DB_HOST['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
+        const dbPasswordMatch = wpConfig.match(/define\s*\(\s*['"]DB_PASSWORD['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
+        const dbPortMatch = wpConfig.match(/define\s*\(\s*['"]DB_PORT['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
+        const tablePrefixMatch = wpConfig.match(/\$table_prefix\s*=\s*['"]([^'"]*)['"]/);
+        
+        if (dbNameMatch && dbUserMatch && dbHostMatch) {
+          analysis.databaseName = dbNameMatch[1];
+          analysis.databaseUser = dbUserMatch[1];
+          analysis.databaseHost = dbHostMatch[1];
+          analysis.databasePassword = dbPasswordMatch ? dbPasswordMatch[1] : '';
+          analysis.databasePort = dbPortMatch ? parseInt(dbPortMatch[1]) : 3306;
+          analysis.databasePrefix = tablePrefixMatch ? tablePrefixMatch[1] : 'wp_';
+          
+          console.log(chalk.gray(`  Database: ${analysis.databaseName}@${analysis.databaseHost}:${analysis.databasePort}`));
+          console.log(chalk.gray(`  Table prefix: ${analysis.databasePrefix}`));
+        }
+      }
+
+      // Analyze plugins
+      const pluginsPath = path.join(sitePath, 'wp-content', 'plugins');
+      if (await fs.pathExists(pluginsPath)) {
+        const pluginDirs = await fs.readdir(pluginsPath);
+        
+        for (const pluginDir of pluginDirs) {
+          const pluginPath = path.join(pluginsPath, pluginDir);
+          const pluginStat = await fs.stat(pluginPath);
+          
+          if (pluginStat.isDirectory()) {
+            // Check if it's a WordPress.org plugin by looking for readme.txt
+            const readmePath = path.join(pluginPath, 'readme.txt');
+            if (await fs.pathExists(readmePath)) {
+              const readme = await fs.readFile(readmePath, 'utf8');
+              const slugMatch = readme.match(/^=== (.+) ===/m);
+              if (slugMatch) {
+                // This is likely a WordPress.org plugin
+                analysis.wordpressOrgPlugins.push(pluginDir);
+              } else {
+                // Local plugin
+                analysis.localPlugins.push(pluginPath);
+              }
+            } else {
+              // No readme.txt, likely a local plugin
+              analysis.localPlugins.push(pluginPath);
+            }
+          }
+        }
+      }
+
+      // Analyze themes
+      const themesPath = path.join(sitePath, 'wp-content', 'themes');
+      if (await fs.pathExists(themesPath)) {
+        const themeDirs = await fs.readdir(themesPath);
+        
+        for (const themeDir of themeDirs) {
+          const themePath = path.join(themesPath, themeDir);
+          const themeStat = await fs.stat(themePath);
+          
+          if (themeStat.isDirectory()) {
+            // Check if it's a WordPress.org theme by looking for style.css with proper header
+            const stylePath = path.join(themePath, 'style.css');
+            if (await fs.pathExists(stylePath)) {
+              const style = await fs.readFile(stylePath, 'utf8');
+              const themeNameMatch = style.match(/Theme Name:\s*(.+)/);
+              const themeUriMatch = style.match(/Theme URI:\s*(.+)/);
+              
+              if (themeNameMatch) {
+                if (themeUriMatch && themeUriMatch[1].includes('wordpress.org')) {
+                  // WordPress.org theme
+                  analysis.wordpressOrgThemes.push(themeDir);
+                } else {
+                  // Local theme
+                  analysis.localThemes.push(themePath);
+                }
+              }
+            }
+          }
+        }
+      }
+
+      // Check for uploads folder
+      const uploadsPath = path.join(sitePath, 'wp-content', 'uploads');
+      if (await fs.pathExists(uploadsPath)) {
+        analysis.uploadsPath = uploadsPath;
+      }
+
+      // Try to get site information from database if possible
+      try {
+        if (analysis.databaseName && analysis.databaseUser) {
+          await this.analyzeDatabase(analysis);
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not analyze database: ${error.message}`));
+        
+        // Fallback: Try to extract URL from wp-config.php constants
+        if (wpConfig) {
+          const wpUrlMatch = wpConfig.match(/define\s*\(\s*['"]WP_HOME['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
+          const wpSiteUrlMatch = wpConfig.match(/define\s*\(\s*['"]WP_SITEURL['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
+          
+          if (wpUrlMatch) {
+            analysis.siteUrl = wpUrlMatch[1];
+            try {
+              const url = new URL(analysis.siteUrl);
+              analysis.siteDomain = url.hostname;
+              console.log(chalk.green(`  ✅ Detected site URL from wp-config: ${analysis.siteUrl}`));
+            } catch (e) {
+              console.log(chalk.yellow(`  ⚠️  Invalid URL format in wp-config: ${analysis.siteUrl}`));
+            }
+          } else if (wpSiteUrlMatch) {
+            analysis.siteUrl = wpSiteUrlMatch[1];
+            try {
+              const url = new URL(analysis.siteUrl);
+              analysis.siteDomain = url.hostname;
+              console.log(chalk.green(`  ✅ Detected site URL from wp-config: ${analysis.siteUrl}`));
+            } catch (e) {
+              console.log(chalk.yellow(`  ⚠️  Invalid URL format in wp-config: ${analysis.siteUrl}`));
+            }
+          }
+        }
+      }
+
+      // Try to get active theme from database or wp-config
+      if (!analysis.activeTheme && analysis.wordpressOrgThemes.length > 0) {
+        analysis.activeTheme = analysis.wordpressOrgThemes[0];
+      }
+
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning during site analysis: ${error.message}`));
+    }
+
+    return analysis;
+  }
+
+  async analyzeDatabase(analysis) {
+    try {
+      // Connect with the source site's database credentials
+      const connection = {
+        host: analysis.databaseHost || 'localhost',
+        user: analysis.databaseUser,
+        password: analysis.databasePassword || '',
+        port: analysis.databasePort || 3306,
+        database: analysis.databaseName
+      };
+
+      // Get site information
+      const siteRows = await this.query(
+        'SELECT option_name, option_value FROM ?? WHERE option_name IN (?)',
+        [`${analysis.databasePrefix || 'wp_'}options`, ['blogname', 'blogdescription', 'admin_email', 'home', 'siteurl']],
+        { connection }
+      );
+
+      let homeUrl = null;
+      let siteUrl = null;
+
+      for (const row of siteRows) {
+        switch (row.option_name) {
+          case 'blogname':
+            analysis.siteTitle = row.option_value;
+            break;
+          case 'blogdescription':
+            analysis.siteDescription = row.option_value;
+            break;
+          case 'admin_email':
+            analysis.adminEmail = row.option_value;
+            break;
+          case 'home':
+            homeUrl = row.option_value;
+            break;
+          case 'siteurl':
+            siteUrl = row.option_value;
+            break;
+        }
+      }
+
+      // Use home URL as primary, fallback to siteurl
+      analysis.siteUrl = homeUrl || siteUrl;
+      
+      if (analysis.siteUrl) {
+        try {
+          const url = new URL(analysis.siteUrl);
+          analysis.siteDomain = url.hostname;
+          console.log(chalk.green(`  ✅ Detected site URL: ${analysis.siteUrl}`));
+          console.log(chalk.green(`  ✅ Detected domain: ${analysis.siteDomain}`));
+        } catch (e) {
+          console.log(chalk.yellow(`  ⚠️  Invalid URL format: ${analysis.siteUrl}`));
+        }
+      } else {
+        console.log(chalk.yellow(`  ⚠️  No site URL found in database`));
+      }
+
+      // Get active theme
+      const themeRows = await this.query(
+        'SELECT option_value FROM ?? WHERE option_name = ?',
+        [`${analysis.databasePrefix || 'wp_'}options`, 'stylesheet'],
+        { connection }
+      );
+
+      if (themeRows.length > 0) {
+        analysis.activeTheme = themeRows[0].option_value;
+      }
+
+      // Get admin user
+      const userRows = await this.query(
+        'SELECT user_login FROM ?? WHERE ID = 1',
+        [`${analysis.databasePrefix || 'wp_'}users`],
+        { connection }
+      );
+
+      if (userRows.length > 0) {
+        analysis.adminUser = userRows[0].user_login;
+      }
+    } catch (error) {
+      // Database analysis failed, continue with file-based analysis
+      console.log(chalk.yellow(`Database analysis failed: ${error.message}`));
+    }
+  }
+
+  async exportDatabase(analysis, outputPath) {
+    try {
+      await this.dumpDatabase(outputPath, {
+        connection: {
+          host: analysis.databaseHost || this.config.database.host,
+          user: analysis.databaseUser,
+          password: analysis.databasePassword || '',
+          port: analysis.databasePort || this.config.database.port,
+          database: analysis.databaseName
+        }
+      });
+      
+      // Verify the export was successful
+      if (await fs.pathExists(outputPath)) {
+        const stats = await fs.stat(outputPath);
+        if (stats.size > 0) {
+          return true;
+        } else {
+          throw new Error('Database export file is empty');
+        }
+      } else {
+        throw new Error('Database export file was not created');
+      }
+    } catch (error) {
+      throw new Error(`Failed to export database: ${error.message}`);
+    }
+  }
+
+  async importDatabaseFromFile(sqlPath, spinner = null, options = {}) {
+    try {
+      if (!await fs.pathExists(sqlPath)) {
+        throw new Error(`SQL file not found: ${sqlPath}`);
+      }
+
+      const result = await this.importSqlFile(sqlPath, {
+        spinner,
+        skipTables: options.skipTables || (this.config.sql && this.config.sql.skipTables) || [],
+        onlyTables: options.onlyTables || (this.config.sql && this.config.sql.onlyTables) || []
+      });
+
+      // Follow the prefix of the imported tables, in wp-config.php too
+      const detectedPrefix = this.detectTablePrefix(result.tables);
+      if (detectedPrefix) {
+        this.tablePrefix = detectedPrefix;
+        await this.updateWpConfigTablePrefix();
+      }
+
+      // Whatever tables the database has now, whatever their prefix
+      const tables = await this.getDatabaseTables();
+
+      // Optimize database if configured
+      if (this.config.sql && this.config.sql.optimizeAfterImport && tables.length > 0) {
+        if (spinner) spinner.text = 'Optimizing database...';
+        await this.query('OPTIMIZE TABLE ??', [tables]);
+      }
+      
+      // Repair database if configured
+      if (this.config.sql && this.config.sql.repairAfterImport && tables.length > 0) {
+        if (spinner) spinner.text = 'Repairing database...';
+        await this.query('REPAIR TABLE ??', [tables]);
+      }
+      
+    } catch (error) {
+      throw new Error(`Failed to import database: ${error.message}`);
+    }
+  }
+
+  async updateWpConfigTablePrefix() {
+    const wpConfigPath = path.join(this.websitePath, 'wp-config.php');
+    if (!await fs.pathExists(wpConfigPath)) return;
+
+    const wpConfig = await fs.readFile(wpConfigPath, 'utf8');
+    const updated = this.setWpConfigTablePrefix(wpConfig, this.getTablePrefix());
+    if (updated !== wpConfig) {
+      await this.fsAction(`Set $table_prefix to '${this.getTablePrefix()}' in ${wpConfigPath}`, () => fs.writeFile(wpConfigPath, updated));
+    }
+  }
+
+  generateTablePrefix() {
+    const letters = 'abcdefghijklmnopqrstuvwxyz';
+    const chars = `${letters}0123456789`;
+    let prefix = letters.charAt(Math.floor(Math.random() * letters.length));
+    for (let i = 0; i < 5; i++) {
+      prefix += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return `${prefix}_`;
+  }
+
+  // Rename every table carrying the current prefix, then the prefixed keys WordPress
+  // stores in options (<prefix>user_roles) and usermeta (<prefix>capabilities, ...)
+  async changeTablePrefix(newPrefix) {
+    const oldPrefix = this.getTablePrefix();
+    if (!/^[A-Za-z0-9_]+$/.test(newPrefix)) {
+      throw new Error(`Invalid table prefix '${newPrefix}'. Use letters, numbers and underscores only.`);
+    }
+    if (newPrefix === oldPrefix) {
+      return { oldPrefix, newPrefix, tables: 0 };
+    }
+
+    // The tables are unknown before the site exists, so a dry run only describes the rename
+    if (this.dryRun) {
+      this.recordPlan('sql', `Rename the ${oldPrefix}* tables to ${newPrefix}*`);
+      this.recordPlan('sql', `Rename the ${oldPrefix}user_roles option and ${oldPrefix}* usermeta keys to ${newPrefix}`);
+      this.tablePrefix = newPrefix;
+      await this.updateWpConfigTablePrefix();
+      return { oldPrefix, newPrefix, tables: null };
+    }
+
+    const rename = (table) => `${newPrefix}${table.slice(oldPrefix.length)}`;
+    const allTables = await this.getDatabaseTables();
+    const tables = allTables.filter(table => table.startsWith(oldPrefix));
+    if (tables.length === 0) {
+      throw new Error(`No tables with prefix '${oldPrefix}' found in ${this.dbName}`);
+    }
+    const clashes = tables.map(rename).filter(table => allTables.includes(table));
+    if (clashes.length > 0) {
+      throw new Error(`Tables with the new prefix already exist: ${clashes.join(', ')}`);
+    }
+
+    // One statement, so the rename is all or nothing
+    await this.query(
+      `RENAME TABLE ${tables.map(() => '?? TO ??').join(', ')}`,
+      tables.flatMap(table => [table, rename(table)])
+    );
+
+    for (const table of tables.map(rename)) {
+      const suffix = table.slice(newPrefix.length);
+      // Multisite keeps per-blog options tables such as wp_2_options. Only the roles
+      // option is prefixed there; core options like wp_page_for_privacy_policy are not.
+      const blog = suffix.match(/^(\d+_)?options$/);
+      if (blog) {
+        await this.query(
+          'UPDATE ?? SET option_name = ? WHERE option_name = ?',
+          [table, `${newPrefix}${blog[1] || ''}user_roles`, `${oldPrefix}${blog[1] || ''}user_roles`]
+        );
+      } else if (suffix === 'usermeta') {
+        await this.query(
+          'UPDATE ?? SET meta_key = CONCAT(?, SUBSTRING(meta_key, ?)) WHERE meta_key LIKE ?',
+          [table, newPrefix, oldPrefix.length + 1, `${oldPrefix.replace(/[\\%_]/g, '\\$&')}%`]
+        );
+      }
+    }
+
+    this.tablePrefix = newPrefix;
+    await this.updateWpConfigTablePrefix();
+    return { oldPrefix, newPrefix, tables: tables.length };
+  }
+
+  async applySecurityTablePrefix() {
+    const setting = this.config.security.changeTablePrefix;
+    if (!setting) return;
+
+    // true picks a random prefix, a string sets that prefix
+    const newPrefix = typeof setting === 'string' ? setting : this.generateTablePrefix();
+    const spinner = ora(`Changing table prefix to ${newPrefix}...`).start();
+
+    try {
+      const { oldPrefix, tables } = await this.changeTablePrefix(newPrefix);
+      if (tables === null) {
+        spinner.info(`Would rename the ${oldPrefix}* tables to ${newPrefix}*`);
+        return;
+      }
+      spinner.succeed(tables > 0
+        ? `Table prefix changed from ${oldPrefix} to ${newPrefix} (${tables} tables)`
+        : `Table prefix is already ${newPrefix}`);
+    } catch (error) {
+      spinner.fail('Failed to change table prefix');
+      throw error;
+    }
+  }
+
+  async getDatabaseTables(options = {}) {
+    const rows = await this.query('SHOW FULL TABLES WHERE Table_type = ?', ['BASE TABLE'], options);
+    return rows.map(row => Object.values(row)[0]);
+  }
+
+  async updateWordPressUrls(newUrl) {
+    try {
+      await this.query(
+        'UPDATE ?? SET option_value = ? WHERE option_name IN (?)',
+        [this.getTableName('options'), newUrl, ['home', 'siteurl']]
+      );
+      
+      console.log(chalk.green(`✅ WordPress URLs updated to: ${newUrl}`));
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Failed to update WordPress URLs: ${error.message}`));
     }
   }
 
@@ -485,1232 +2257,2863 @@ class WordPressSetup {
         backupPath: '~/Server/backups'
       },
       
-      // Database configuration
-      database: {
-        host: 'localhost',
-        user: 'root',
-        password: '',
-        port: 3306,
-        charset: 'utf8mb4',
-        collate: 'utf8mb4_unicode_ci',
-        prefix: 'wp_', // WordPress table prefix
-        createUser: false, // Create dedicated database user
-        userPrefix: 'wp_', // Prefix for database user names
-        grantPrivileges: ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'INDEX', 'ALTER'],
-        // Docker MySQL configuration
-        docker: {
-          enabled: false, // Enable Docker MySQL support
-          containerName: 'mysql', // Docker container name
-          image: 'mysql:8.0', // MySQL Docker image
-          port: 3306, // Host port mapping
-          rootPassword: '', // Root password for MySQL
-          dataVolume: 'mysql_data', // Docker volume for data persistence
-          network: 'bridge' // Docker network
+      // Database configuration
+      database: {
+        host: 'localhost',
+        user: 'root',
+        password: '',
+        port: 3306,
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        prefix: 'wp_', // WordPress table prefix
+        createUser: false, // Create dedicated database user
+        userPrefix: 'wp_', // Prefix for database user names
+        grantPrivileges: ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'INDEX', 'ALTER'],
+        // Docker MySQL configuration
+        docker: {
+          enabled: false, // Enable Docker MySQL support
+          containerName: 'mysql', // Docker container name
+          image: 'mysql:8.0', // MySQL Docker image
+          port: 3306, // Host port mapping
+          rootPassword: '', // Root password for MySQL
+          dataVolume: 'mysql_data', // Docker volume for data persistence
+          network: 'bridge' // Docker network
+        }
+      },
+      
+      // WordPress configuration
+      wordpress: {
+        version: 'latest', // or specific version like '6.4.2'
+        locale: 'en_US',
+        multisite: false, // Enable multisite
+        multisiteType: 'subdirectories', // 'subdirectories' or 'subdomains'
+        adminUser: 'admin',
+        adminEmail: 'admin@example.com',
+        adminPassword: 'admin123', // Will be prompted if null
+        siteTitle: 'Test Site',
+        siteDescription: 'Just another WordPress site',
+        privacy: 'public', // 'public' or 'private'
+        timezone: 'UTC',
+        dateFormat: 'F j, Y',
+        timeFormat: 'g:i a',
+        startOfWeek: 1, // 0 = Sunday, 1 = Monday
+        usePermalinks: true,
+        permalinkStructure: '/%postname%/',
+        disableComments: true,
+        disableTrackbacks: true,
+        disablePingbacks: true,
+        autoUpdateCore: false,
+        autoUpdatePlugins: false,
+        autoUpdateThemes: false,
+        memoryLimit: '256M',
+        maxExecutionTime: 300,
+        maxInputVars: 3000,
+        uploadMaxFilesize: '64M',
+        postMaxSize: '64M',
+        frontPage: '', // Slug of the page shown as homepage (empty: latest posts)
+        postsPage: '' // Slug of the page listing the posts
+      },
+      
+      // Plugins configuration
+      plugins: {
+        sources: ['wordpress.org', 'local', 'github', 'zip'],
+        wordpressOrg: [
+          'elementor',
+          'yoast-seo',
+          'woocommerce',
+          'contact-form-7',
+          'akismet',
+          'wordfence'
+        ],
+        local: [], // Array of local plugin paths
+        github: [], // Array of {repo: 'user/repo', branch: 'main', activate: true}
+        zip: [], // Array of zip file paths
+        activateAll: true, // Activate all installed plugins
+        updateAfterInstall: true, // Update plugins after installation
+        removeDefault: ['hello', 'akismet'] // Remove default plugins
+      },
+      
+      // Themes configuration
+      themes: {
+        sources: ['wordpress.org', 'local', 'github', 'zip'],
+        wordpressOrg: [
+          'twentytwentyfour',
+          'astra',
+          'oceanwp',
+          'generatepress'
+        ],
+        local: [], // Array of local theme paths
+        github: [], // Array of {repo: 'user/repo', branch: 'main'}
+        zip: [], // Array of zip file paths
+        activate: 'twentytwentyfour', // Theme to activate (slug or name)
+        updateAfterInstall: true, // Update themes after installation
+        removeDefault: ['twentytwentyone', 'twentytwentytwo', 'twentytwentythree'] // Remove default themes
+      },
+      
+      // Content configuration
+      uploads: {
+        source: null, // Path to uploads folder
+        preserveStructure: true, // Preserve year/month folder structure
+        setPermissions: true, // Set proper file permissions
+        permissions: {
+          files: '644',
+          directories: '755'
+        }
+      },
+      
+      sql: {
+        source: null, // Path to SQL file
+        oldUrl: 'http://example.com', // Old URL to replace
+        oldDomain: 'example.com', // Old domain to replace
+        urlMigration: {
+          enabled: true,
+          variants: ['scheme', 'escaped', 'encoded', 'protocolRelative', 'www', 'domain'] // URL spellings to rewrite
+        },
+        searchReplace: {
+          enabled: true,
+          caseSensitive: false,
+          regex: false,
+          dryRun: false, // Show what would be replaced without doing it
+          additionalReplacements: [] // Array of {search: 'old', replace: 'new'}
+        },
+        skipTables: [], // Tables to leave out of the import (* wildcards allowed)
+        onlyTables: [], // Import only these tables when not empty
+        optimizeAfterImport: true, // Optimize database after import
+        repairAfterImport: true // Repair database after import
+      },
+      
+      // Development tools
+      development: {
+        enableDebug: true,
+        debugLog: true,
+        debugDisplay: false,
+        scriptDebug: true,
+        saveQueries: true,
+        wpDebugLog: true,
+        wpDebugDisplay: false,
+        enableErrorReporting: true,
+        disableFileEditing: true,
+        disablePluginEditor: true,
+        disableThemeEditor: true,
+        forceSSL: false,
+        sslAdmin: false
+      },
+      
+      // Valet configuration
+      valet: {
+        enabled: true,
+        linkAfterSetup: true,
+        secure: false, // Enable HTTPS
+        park: false, // Park the directory instead of linking
+        proxy: false, // Use proxy instead of link
+        domain: '.test' // Custom domain extension
+      },
+      
+      // Backup configuration
+      backup: {
+        enabled: true,
+        beforeSetup: true,
+        afterSetup: false,
+        includeDatabase: true,
+        includeFiles: true,
+        compression: 'zip', // 'zip', 'tar', 'tar.gz', 'none'
+        retention: 7 // Keep backups for X days
+      },
+      
+      // Email configuration
+      email: {
+        enabled: false,
+        smtp: {
+          host: 'localhost',
+          port: 587,
+          secure: false,
+          auth: {
+            user: '',
+            pass: ''
+          }
+        },
+        from: 'noreply@example.com',
+        to: 'admin@example.com'
+      },
+      
+      // Security configuration
+      security: {
+        changeTablePrefix: true, // true for a random prefix, or the prefix to use
+        removeVersionInfo: true,
+        hideLoginErrors: true,
+        limitLoginAttempts: true,
+        disableXmlRpc: true,
+        disableFileEditing: true,
+        removeReadmeFiles: true,
+        removeVersionFromHead: true,
+        removeWlwmanifest: true,
+        removeRsdLink: true,
+        removeShortlink: true,
+        removeRestApiLinks: true,
+        disableUserEnumeration: true,
+        disableAuthorPages: true
+      },
+      
+      // Performance configuration
+      performance: {
+        enableCaching: true,
+        cacheType: 'object', // 'object', 'file', 'redis', 'memcached'
+        enableCompression: true,
+        optimizeImages: false,
+        lazyLoad: false,
+        minifyCss: false,
+        minifyJs: false,
+        combineCss: false,
+        combineJs: false,
+        cdn: {
+          enabled: false,
+          url: ''
+        }
+      },
+      
+      // Custom configuration
+      custom: {
+        wpConfig: [], // Array of custom wp-config.php lines
+        htaccess: [], // Array of custom .htaccess rules
+        functions: [], // Array of custom functions.php code
+        hooks: {
+          afterSetup: [], // Commands to run after setup
+          beforeSetup: [], // Commands to run before setup
+          afterDatabaseImport: [], // Commands to run after database import
+          afterSearchReplace: [] // Commands to run after search-replace
+        }
+      },
+      
+      // Test accounts: { login, email, role, password, displayName }
+      users: [],
+      
+      // Generated test content (also used by the seed command)
+      content: {
+        enabled: false,
+        seed: 1, // Same seed, same content
+        posts: 10,
+        pages: 5,
+        pageDepth: 2,
+        categories: 5,
+        tags: 10,
+        comments: 3, // Maximum per post
+        authors: 2,
+        images: 5,
+        imageSize: {
+          width: 1200,
+          height: 800
+        },
+        wxr: {
+          file: '', // WXR export imported during setup, e.g. the theme unit test data
+          attachmentsDir: '', // Local copies of the attachments; nothing is downloaded
+          authorMap: {}, // { "exported-login": "existing-login" }
+          defaultAuthor: '' // Gets unmapped authors' content (default: first administrator)
+        }
+      },
+      
+      // Site structure applied after content: { title, slug, content, parent, template, status, menuOrder }
+      pages: [],
+      // { name, locations: [], items: [{ title, url | page | post | category, children: [] }] }
+      menus: [],
+      // Sidebar ID => [{ type: 'block', content } or { type: '<widget id_base>', settings }]
+      widgets: {},
+      // Option name => value; objects are serialized, { "$json": ... } is stored as JSON
+      options: {},
+      
+      // Templates configuration
+      templates: {
+        enabled: true,
+        default: 'basic',
+        list: {
+          basic: {
+            name: 'Basic WordPress Site',
+            description: 'A simple WordPress installation with basic plugins and themes',
+            wordpress: {
+              siteTitle: 'Basic WordPress Site',
+              siteDescription: 'A simple WordPress installation'
+            },
+            plugins: {
+              wordpressOrg: ['akismet', 'contact-form-7'],
+              activateAll: true
+            },
+            themes: {
+              wordpressOrg: ['twentytwentyfour'],
+              activate: 'twentytwentyfour'
+            },
+            sql: {
+              source: null
+            },
+            uploads: {
+              source: null
+            }
+          }
+        }
+      },
+
+      // Advanced options
+      advanced: {
+        skipWordPressDownload: false,
+        skipDatabaseCreation: false,
+        skipPluginInstallation: false,
+        skipThemeInstallation: false,
+        skipUploadsCopy: false,
+        skipValetSetup: false,
+        skipSearchReplace: false,
+        forceOverwrite: false,
+        verbose: false,
+        dryRun: false, // Show what would be done without doing it
+        parallelDownloads: 3, // Number of parallel downloads
+        timeout: 30000, // Request timeout in milliseconds
+        retries: 3 // Number of retries for failed operations
+      }
+    };
+
+    await fs.writeJson(CONFIG_FILE, defaultConfig, { spaces: 2 });
+    console.log(chalk.green(`Default config created at ${CONFIG_FILE}`));
+    console.log(chalk.yellow('Please edit the config file to customize your setup preferences.'));
+  }
+
+  async promptForWebsiteName() {
+    const nameQuestions = [
+      {
+        type: 'input',
+        name: 'websiteName',
+        message: 'Enter the website name:',
+        validate: (input) => {
+          if (!input.trim()) {
+            return 'Website name is required';
+          }
+          if (!WEBSITE_NAME_PATTERN.test(input)) {
+            return 'Website name can only contain letters, numbers, hyphens, and underscores';
+          }
+          return true;
+        }
+      }
+    ];
+
+    const { websiteName } = await this.ask(nameQuestions);
+
+    // Site overrides can change the paths and admin defaults below
+    await this.applySiteConfig(websiteName);
+    this.setWebsiteName(websiteName);
+
+    // Add optional questions based on config
+    const questions = [];
+    if (!this.config.wordpress.adminPassword || this.answers.adminPassword !== undefined) {
+      questions.push({
+        type: 'password',
+        name: 'adminPassword',
+        message: 'Enter admin password:',
+        validate: (input) => {
+          if (!input.trim()) {
+            return 'Admin password is required';
+          }
+          if (input.length < 8) {
+            return 'Password must be at least 8 characters long';
+          }
+          return true;
+        }
+      });
+    }
+
+    if (!this.config.wordpress.adminEmail || this.config.wordpress.adminEmail === 'admin@example.com' || this.answers.adminEmail !== undefined) {
+      questions.push({
+        type: 'input',
+        name: 'adminEmail',
+        message: 'Enter admin email:',
+        default: 'admin@example.com',
+        validate: (input) => {
+          const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+          if (!emailRegex.test(input)) {
+            return 'Please enter a valid email address';
+          }
+          return true;
+        }
+      });
+    }
+
+    questions.push(...this.getVariableQuestions());
+
+    const answers = await this.ask(questions);
+    
+    // Store additional answers
+    this.adminPassword = answers.adminPassword || this.config.wordpress.adminPassword;
+    this.adminEmail = answers.adminEmail || this.config.wordpress.adminEmail;
+
+    for (const [key, definition] of Object.entries(this.templateVariables)) {
+      this.variableValues[key] = this.coerceVariable(definition, answers[`var:${key}`]);
+    }
+    this.renderTemplateVariables();
+  }
+
+  getVariableQuestions() {
+    return Object.entries(this.templateVariables).map(([key, definition]) => {
+      const name = `var:${key}`;
+      const type = definition.type || 'string';
+
+      // Pre-filled answers arrive as strings from --var
+      if (this.answers[name] !== undefined) {
+        this.answers[name] = this.coerceVariable(definition, this.answers[name]);
+      }
+
+      const question = {
+        name,
+        message: definition.prompt || `${key}:`,
+        default: definition.default !== undefined ? definition.default : (type === 'boolean' ? false : undefined)
+      };
+
+      if (definition.choices) {
+        return { ...question, type: 'list', choices: definition.choices.map(choice => ({ name: String(choice), value: choice })) };
+      }
+      if (type === 'boolean') {
+        return { ...question, type: 'confirm' };
+      }
+
+      return {
+        ...question,
+        type: type === 'password' ? 'password' : 'input',
+        filter: (input) => this.coerceVariable(definition, input),
+        validate: (input) => this.validateVariable(key, definition, input)
+      };
+    });
+  }
+
+  coerceVariable(definition, value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    if (definition.type === 'number' && value.trim() !== '' && !isNaN(Number(value))) {
+      return Number(value);
+    }
+    if (definition.type === 'boolean') {
+      return /^(true|1|yes|y)$/i.test(value.trim());
+    }
+    return value;
+  }
+
+  validateVariable(key, definition, input) {
+    const value = String(input);
+    if (!value.trim()) {
+      return definition.required === false || `${key} is required`;
+    }
+    if (definition.type === 'number') {
+      const number = Number(value);
+      if (isNaN(number)) return `${key} must be a number`;
+      if (definition.min !== undefined && number < definition.min) return `${key} must be at least ${definition.min}`;
+      if (definition.max !== undefined && number > definition.max) return `${key} must be at most ${definition.max}`;
+    }
+    if (definition.pattern && !new RegExp(definition.pattern).test(value)) {
+      return definition.patternMessage || `${key} must match ${definition.pattern}`;
+    }
+    return true;
+  }
+
+  getTemplateVariableValues() {
+    // Built-ins win over template variables of the same name
+    return {
+      ...this.variableValues,
+      siteName: this.websiteName,
+      siteUrl: this.getSiteUrl(this.websiteName),
+      siteDomain: `${this.websiteName}${this.config.valet.domain}`,
+      sitePath: this.websitePath,
+      dbName: this.dbName
+    };
+  }
+
+  // Replace {{name}} placeholders in every config value except the template
+  // definitions themselves
+  renderTemplateVariables() {
+    const values = this.getTemplateVariableValues();
+    for (const [key, definition] of Object.entries(this.templateVariables)) {
+      if (definition.type === 'password' && values[key]) {
+        this.secretValues.add(String(values[key]));
+      }
+    }
+
+    const render = (value, keyPath) => {
+      if (Array.isArray(value)) {
+        return value.map((item, index) => render(item, `${keyPath}[${index}]`));
+      }
+      if (value && typeof value === 'object') {
+        const result = {};
+        for (const key of Object.keys(value)) {
+          result[key] = !keyPath && key === 'templates' ? value[key] : render(value[key], keyPath ? `${keyPath}.${key}` : key);
+        }
+        return result;
+      }
+      if (typeof value !== 'string') {
+        return value;
+      }
+
+      const lookup = (name) => {
+        if (values[name] === undefined) {
+          throw new Error(`Unknown template variable '{{${name}}}' in ${keyPath}`);
+        }
+        return values[name];
+      };
+
+      // A value that is exactly one placeholder keeps the variable's type
+      const single = value.match(/^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/);
+      if (single) {
+        return lookup(single[1]);
+      }
+      return value.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (match, name) => String(lookup(name)));
+    };
+
+    this.config = render(this.config, '');
+  }
+
+  // Resolve server path (handle ~ and relative paths)
+  getServerPath() {
+    return this.config.server.path.startsWith('~')
+      ? path.resolve(path.join(require('os').homedir(), this.config.server.path.slice(1)))
+      : path.resolve(this.config.server.path);
+  }
+
+  setWebsiteName(websiteName) {
+    this.websiteName = websiteName;
+    this.websitePath = path.join(this.getServerPath(), this.websiteName);
+    this.dbName = `${this.config.database.userPrefix}${this.websiteName}`;
+  }
+
+  // Prefix of the site's tables: detected from an import or wp-config.php, else the configured one
+  getTablePrefix() {
+    return this.tablePrefix || this.config.database.prefix || 'wp_';
+  }
+
+  getTableName(table) {
+    return `${this.getTablePrefix()}${table}`;
+  }
+
+  async readTablePrefix(sitePath = this.websitePath) {
+    const wpConfigPath = path.join(sitePath, 'wp-config.php');
+    if (!await fs.pathExists(wpConfigPath)) return null;
+
+    const wpConfig = await fs.readFile(wpConfigPath, 'utf8');
+    const match = wpConfig.match(/\$table_prefix\s*=\s*['"]([^'"]*)['"]/);
+    return match ? match[1] : null;
+  }
+
+  setWpConfigTablePrefix(wpConfig, prefix) {
+    return wpConfig.replace(/\$table_prefix\s*=\s*['"][^'"]*['"]\s*;/, () => `$table_prefix = '${prefix}';`);
+  }
+
+  getSiteUrl(websiteName = this.websiteName) {
+    return `http${this.config.valet.secure ? 's' : ''}://${websiteName}${this.config.valet.domain}`;
+  }
+
+  async getInstalledWordPressVersion(websitePath = this.websitePath) {
+    const versionPath = path.join(websitePath, 'wp-includes', 'version.php');
+    if (!await fs.pathExists(versionPath)) {
+      return null;
+    }
+    const versionFile = await fs.readFile(versionPath, 'utf8');
+    const versionMatch = versionFile.match(/\$wp_version\s*=\s*['"]([^'"]+)['"]/);
+    return versionMatch ? versionMatch[1] : null;
+  }
+
+  async loadRegistry() {
+    if (!await fs.pathExists(REGISTRY_FILE)) {
+      return { sites: {} };
+    }
+    const registry = await fs.readJson(REGISTRY_FILE);
+    registry.sites = registry.sites || {};
+    return registry;
+  }
+
+  async registerSite(details = {}) {
+    if (this.dryRun) return;
+
+    const registry = await this.loadRegistry();
+    registry.sites[this.websiteName] = {
+      name: this.websiteName,
+      path: this.websitePath,
+      database: this.dbName,
+      dbUser: this.dbUser || this.config.database.user,
+      tablePrefix: this.getTablePrefix(),
+      template: this.selectedTemplate || null,
+      wordpressVersion: await this.getInstalledWordPressVersion(),
+      url: this.getSiteUrl(),
+      createdAt: new Date().toISOString(),
+      source: null,
+      ...details
+    };
+    await fs.writeJson(REGISTRY_FILE, registry, { spaces: 2 });
+  }
+
+  async unregisterSite(websiteName) {
+    const registry = await this.loadRegistry();
+    if (!registry.sites[websiteName]) return;
+
+    delete registry.sites[websiteName];
+    await fs.writeJson(REGISTRY_FILE, registry, { spaces: 2 });
+  }
+
+  async useSite(websiteName) {
+    // Registered sites keep the path and database they were created with
+    const registry = await this.loadRegistry();
+    const site = registry.sites[websiteName];
+
+    this.setWebsiteName(websiteName);
+    if (site) {
+      this.websitePath = site.path || this.websitePath;
+      this.dbName = site.database || this.dbName;
+      this.selectedTemplate = site.template || null;
+    }
+    // wp-config.php knows the prefix even if it changed since registration
+    this.tablePrefix = await this.readTablePrefix() || (site && site.tablePrefix) || null;
+    return site || null;
+  }
+
+  async createBackup() {
+    if (!this.config.backup.enabled) return null;
+
+    // Returned even on partial failure so whatever was saved can be restored
+    let backupDir = null;
+
+    try {
+      const backupPath = this.config.backup.backupPath && this.config.backup.backupPath.startsWith('~') 
+        ? path.join(require('os').homedir(), this.config.backup.backupPath.slice(1))
+        : path.resolve(this.config.backup.backupPath || '~/Server/backups');
+      
+      await this.fsAction(`Create directory ${backupPath}`, () => fs.ensureDir(backupPath));
+      
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupName = `${this.websiteName}-${timestamp}`;
+      backupDir = path.join(backupPath, backupName);
+      
+      await this.fsAction(`Create directory ${backupDir}`, () => fs.ensureDir(backupDir));
+      
+      if (this.config.backup.includeFiles) {
+        const filesBackupPath = path.join(backupDir, 'files');
+        await this.fsAction(`Copy ${this.websitePath} to ${filesBackupPath}`, () => fs.copy(this.websitePath, filesBackupPath));
+      }
+      
+      if (this.config.backup.includeDatabase) {
+        const dbBackupPath = path.join(backupDir, 'database.sql');
+        await this.dumpDatabase(dbBackupPath, { role: 'root' });
+      }
+      
+      // Clean old backups
+      if (this.dryRun) {
+        this.recordPlan('file', `Remove backups older than ${this.config.backup.retention} days from ${backupPath}`);
+      } else {
+        await this.cleanOldBackups(backupPath);
+      }
+      
+    } catch (error) {
+      console.warn(chalk.yellow('Warning: Failed to create backup:'), error.message);
+    }
+
+    return backupDir;
+  }
+
+  async restoreBackup(backupDir) {
+    const filesBackupPath = path.join(backupDir, 'files');
+    if (await fs.pathExists(filesBackupPath)) {
+      await fs.remove(this.websitePath);
+      await fs.copy(filesBackupPath, this.websitePath);
+    }
+
+    const dbBackupPath = path.join(backupDir, 'database.sql');
+    if (await fs.pathExists(dbBackupPath) && (await fs.stat(dbBackupPath)).size > 0) {
+      await this.query(
+        `CREATE DATABASE IF NOT EXISTS ?? CHARACTER SET ${this.config.database.charset} COLLATE ${this.config.database.collate}`,
+        [this.dbName],
+        { role: 'root' }
+      );
+      await this.importSqlFile(dbBackupPath, { role: 'root' });
+    }
+  }
+
+  async cleanOldBackups(backupPath) {
+    try {
+      const retention = this.config.backup.retention;
+      const files = await fs.readdir(backupPath);
+      const now = Date.now();
+      const maxAge = retention * 24 * 60 * 60 * 1000; // Convert days to milliseconds
+      
+      for (const file of files) {
+        const filePath = path.join(backupPath, file);
+        const stats = await fs.stat(filePath);
+        
+        if (now - stats.mtime.getTime() > maxAge) {
+          await fs.remove(filePath);
         }
-      },
+      }
+    } catch (error) {
+      console.warn(chalk.yellow('Warning: Failed to clean old backups:'), error.message);
+    }
+  }
+
+  async createWebsiteDirectory() {
+    const spinner = ora('Creating website directory...').start();
+    
+    try {
+      if (await fs.pathExists(this.websitePath)) {
+        if (this.config.advanced.forceOverwrite) {
+          spinner.text = 'Backing up existing directory...';
+          if (this.config.backup.enabled && this.config.backup.beforeSetup) {
+            const backupDir = await this.createBackup();
+            if (backupDir) {
+              this.registerRollback({ type: 'restoreBackup', backupDir });
+            }
+          }
+          await this.fsAction(`Remove directory ${this.websitePath}`, () => fs.remove(this.websitePath));
+        } else {
+          spinner.fail('Website directory already exists');
+          const { overwrite } = await this.ask([
+            {
+              type: 'confirm',
+              name: 'overwrite',
+              message: 'Do you want to overwrite the existing directory?',
+              default: false
+            }
+          ]);
+          
+          if (overwrite) {
+            if (this.config.backup.enabled && this.config.backup.beforeSetup) {
+              spinner.text = 'Backing up existing directory...';
+              const backupDir = await this.createBackup();
+              if (backupDir) {
+                this.registerRollback({ type: 'restoreBackup', backupDir });
+              }
+            }
+            await this.fsAction(`Remove directory ${this.websitePath}`, () => fs.remove(this.websitePath));
+          } else {
+            console.log(chalk.yellow('Keeping existing directory. Setup cancelled.'));
+            process.exit(0);
+          }
+        }
+      }
+
+      await this.fsAction(`Create directory ${this.websitePath}`, () => fs.ensureDir(this.websitePath));
+      this.registerRollback({ type: 'removeDirectory', path: this.websitePath });
       
-      // WordPress configuration
-      wordpress: {
-        version: 'latest', // or specific version like '6.4.2'
-        locale: 'en_US',
-        multisite: false, // Enable multisite
-        multisiteType: 'subdirectories', // 'subdirectories' or 'subdomains'
-        adminUser: 'admin',
-        adminEmail: 'admin@example.com',
-        adminPassword: 'admin123', // Will be prompted if null
-        siteTitle: 'Test Site',
-        siteDescription: 'Just another WordPress site',
-        privacy: 'public', // 'public' or 'private'
-        timezone: 'UTC',
-        dateFormat: 'F j, Y',
-        timeFormat: 'g:i a',
-        startOfWeek: 1, // 0 = Sunday, 1 = Monday
-        usePermalinks: true,
-        permalinkStructure: '/%postname%/',
-        disableComments: true,
-        disableTrackbacks: true,
-        disablePingbacks: true,
-        autoUpdateCore: false,
-        autoUpdatePlugins: false,
-        autoUpdateThemes: false,
-        memoryLimit: '256M',
-        maxExecutionTime: 300,
-        maxInputVars: 3000,
-        uploadMaxFilesize: '64M',
-        postMaxSize: '64M'
-      },
+      // Create subdirectories if configured
+      if (this.config.server.createSubdirectories) {
+        const year = String(new Date().getFullYear());
+        const month = String(new Date().getMonth() + 1).padStart(2, '0');
+        const uploadsDir = path.join(this.websitePath, 'wp-content', 'uploads', year, month);
+        await this.fsAction(`Create directory ${uploadsDir}`, () => fs.ensureDir(uploadsDir));
+      }
+      
+      spinner.succeed('Website directory created');
+    } catch (error) {
+      spinner.fail('Failed to create website directory');
+      throw error;
+    }
+  }
+
+  async downloadWordPress() {
+    if (this.config.advanced.skipWordPressDownload) {
+      console.log(chalk.yellow('Skipping WordPress download (configured to skip)'));
+      return;
+    }
+
+    const spinner = ora('Downloading WordPress...').start();
+    
+    try {
+      const version = this.config.wordpress.version;
+      const locale = this.config.wordpress.locale;
+      
+      // Use WP-CLI to download WordPress
+      const command = `wp core download --path="${this.websitePath}" --version="${version}" --locale="${locale}" --force`;
+      this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+      
+      spinner.succeed('WordPress downloaded successfully');
+    } catch (error) {
+      spinner.fail('Failed to download WordPress');
+      console.error(chalk.red('Make sure WP-CLI is installed and accessible'));
+      throw error;
+    }
+  }
+
+  async createDatabase() {
+    if (this.config.advanced.skipDatabaseCreation) {
+      console.log(chalk.yellow('Skipping database creation (configured to skip)'));
+      return;
+    }
+
+    const spinner = ora('Creating database...').start();
+    
+    try {
+      // Ensure Docker MySQL is ready if enabled
+      if (this.config.database.docker.enabled) {
+        await this.ensureDockerMysql();
+      }
+
+      const asRoot = { role: 'root' };
+
+      // Drop existing database if it exists
+      await this.query('DROP DATABASE IF EXISTS ??', [this.dbName], asRoot);
+      
+      // Create new database with charset and collate
+      const createDbQuery = `CREATE DATABASE ?? CHARACTER SET ${this.config.database.charset} COLLATE ${this.config.database.collate}`;
+      if (this.config.advanced.verbose) {
+        console.log(chalk.gray(`Creating database: ${mysql.format(createDbQuery, [this.dbName])}`));
+      }
+      await this.query(createDbQuery, [this.dbName], asRoot);
+      this.registerRollback({ type: 'dropDatabase', name: this.dbName });
+      
+      // Verify database was created
+      if (!this.dryRun) {
+        const rows = await this.query('SHOW DATABASES LIKE ?', [this.dbName], asRoot);
+        if (rows.length === 0) {
+          throw new Error(`Failed to create database: ${this.dbName}`);
+        }
+      }
+      
+      if (this.config.advanced.verbose) {
+        console.log(chalk.gray(`Database created successfully: ${this.dbName}`));
+      }
+
+      // Create dedicated user if configured
+      if (this.config.database.createUser) {
+        const dbUser = `${this.config.database.userPrefix}${this.websiteName}`;
+        const dbPassword = this.generateRandomPassword();
+        
+        // Connections to a Docker container arrive from the bridge network, not localhost
+        const userHost = this.config.database.docker.enabled ? '%' : this.config.database.host;
+
+        // Create user; one that existed before this run is never rolled back
+        const existingUser = await this.query('SELECT 1 FROM mysql.user WHERE User = ? AND Host = ?', [dbUser, userHost], asRoot);
+        await this.query('CREATE USER IF NOT EXISTS ?@? IDENTIFIED BY ?', [dbUser, userHost, dbPassword], asRoot);
+        if (existingUser.length === 0) {
+          this.registerRollback({ type: 'dropUser', user: dbUser, host: userHost });
+        }
+        
+        // Grant privileges
+        const privileges = this.config.database.grantPrivileges;
+        if (!privileges.every(privilege => /^[A-Z ]+$/i.test(privilege))) {
+          throw new Error(`Invalid database.grantPrivileges: ${privileges.join(', ')}`);
+        }
+        await this.query(`GRANT ${privileges.join(', ')} ON ??.* TO ?@?`, [this.dbName, dbUser, userHost], asRoot);
+        await this.query('FLUSH PRIVILEGES', [], asRoot);
+        
+        // Store the user credentials for wp-config
+        this.dbUser = dbUser;
+        this.dbPassword = dbPassword;
+      }
+      
+      spinner.succeed('Database created successfully');
+    } catch (error) {
+      spinner.fail('Failed to create database');
+      throw error;
+    }
+  }
+
+  generateRandomPassword(length = 16) {
+    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
+    let password = '';
+    for (let i = 0; i < length; i++) {
+      password += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return password;
+  }
+
+  async ensureDockerMysql() {
+    if (!this.config.database.docker.enabled) return;
+
+    const spinner = ora('Checking Docker MySQL container...').start();
+    
+    try {
+      // Check if container exists
+      const checkCommand = `docker ps -a --filter name=${this.config.database.docker.containerName} --format "{{.Names}}"`;
+      let containerExists = '';
+      try {
+        containerExists = this.exec(checkCommand, { stdio: 'pipe' }).toString().trim();
+      } catch (error) {
+        // Container doesn't exist
+        containerExists = '';
+      }
       
-      // Plugins configuration
-      plugins: {
-        sources: ['wordpress.org', 'local', 'github', 'zip'],
-        wordpressOrg: [
-          'elementor',
-          'yoast-seo',
-          'woocommerce',
-          'contact-form-7',
-          'akismet',
-          'wordfence'
-        ],
-        local: [], // Array of local plugin paths
-        github: [], // Array of {repo: 'user/repo', branch: 'main', activate: true}
-        zip: [], // Array of zip file paths
-        activateAll: true, // Activate all installed plugins
-        updateAfterInstall: true, // Update plugins after installation
-        removeDefault: ['hello', 'akismet'] // Remove default plugins
-      },
+      if (!containerExists) {
+        spinner.text = 'Creating Docker MySQL container...';
+        await this.createDockerMysql();
+      } else {
+        // Check if container is running
+        const runningCommand = `docker ps --filter name=${this.config.database.docker.containerName} --format "{{.Names}}"`;
+        let isRunning = '';
+        try {
+          isRunning = this.exec(runningCommand, { stdio: 'pipe' }).toString().trim();
+        } catch (error) {
+          // Container is not running
+          isRunning = '';
+        }
+        
+        if (!isRunning) {
+          spinner.text = 'Starting Docker MySQL container...';
+          this.exec(`docker start ${this.config.database.docker.containerName}`, { stdio: 'pipe' });
+          
+          // Wait for MySQL to be ready
+          spinner.text = 'Waiting for MySQL to be ready...';
+          await this.waitForMysql();
+        }
+      }
       
-      // Themes configuration
-      themes: {
-        sources: ['wordpress.org', 'local', 'github', 'zip'],
-        wordpressOrg: [
-          'twentytwentyfour',
-          'astra',
-          'oceanwp',
-          'generatepress'
-        ],
-        local: [], // Array of local theme paths
-        github: [], // Array of {repo: 'user/repo', branch: 'main'}
-        zip: [], // Array of zip file paths
-        activate: 'twentytwentyfour', // Theme to activate (slug or name)
-        updateAfterInstall: true, // Update themes after installation
-        removeDefault: ['twentytwentyone', 'twentytwentytwo', 'twentytwentythree'] // Remove default themes
-      },
+      spinner.succeed('Docker MySQL container is ready');
+    } catch (error) {
+      spinner.fail('Failed to setup Docker MySQL');
+      throw error;
+    }
+  }
+
+  async createDockerMysql() {
+    const dockerConfig = this.config.database.docker;
+    const rootPassword = dockerConfig.rootPassword || this.config.database.password;
+    
+    // Create Docker volume if it doesn't exist
+    try {
+      this.exec(`docker volume create ${dockerConfig.dataVolume}`, { stdio: 'pipe' });
+    } catch (error) {
+      // Volume might already exist, continue
+    }
+    
+    const command = `docker run -d \
+      --name ${dockerConfig.containerName} \
+      -e MYSQL_ROOT_PASSWORD=${rootPassword} \
+      -p ${dockerConfig.port}:3306 \
+      -v ${dockerConfig.dataVolume}:/var/lib/mysql \
+      --network ${dockerConfig.network} \
+      ${dockerConfig.image}`;
+    
+    try {
+      this.exec(command, { stdio: 'pipe' });
+    } catch (error) {
+      // Container might already exist, try to start it instead
+      try {
+        this.exec(`docker start ${dockerConfig.containerName}`, { stdio: 'pipe' });
+      } catch (startError) {
+        throw new Error(`Failed to create or start MySQL container: ${error.message}`);
+      }
+    }
+    
+    // Wait for MySQL to be ready
+    await this.waitForMysql();
+  }
+
+  async waitForMysql(maxAttempts = 30) {
+    for (let i = 0; i < maxAttempts; i++) {
+      try {
+        if (this.config.advanced.verbose) {
+          console.log(chalk.gray(`Testing MySQL connection: ${this.config.database.user}@${this.config.database.host}:${this.config.database.port}`));
+        }
+        await this.query('SELECT 1', [], { role: 'root' });
+        return; // MySQL is ready
+      } catch (error) {
+        if (this.config.advanced.verbose) {
+          console.log(chalk.yellow(`MySQL connection attempt ${i + 1} failed: ${this.maskSecrets(error.message)}`));
+        }
+        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
+      }
+    }
+    throw new Error('MySQL did not become ready within the timeout period');
+  }
+
+  async updateWpConfig() {
+    const spinner = ora('Updating wp-config.php...').start();
+    
+    try {
+      const wpConfigPath = path.join(this.websitePath, 'wp-config.php');
+      const wpConfigSamplePath = path.join(this.websitePath, 'wp-config-sample.php');
       
-      // Content configuration
-      uploads: {
-        source: null, // Path to uploads folder
-        preserveStructure: true, // Preserve year/month folder structure
-        setPermissions: true, // Set proper file permissions
-        permissions: {
-          files: '644',
-          directories: '755'
+      if (this.dryRun) {
+        // WordPress is not downloaded in a dry run, so describe the values instead
+        const dbUser = this.dbUser || this.config.database.user;
+        const dbPassword = this.dbPassword || this.config.database.password;
+        const settings = [
+          `DB_NAME=${this.dbName}`,
+          `DB_USER=${dbUser}`,
+          `DB_PASSWORD=${dbPassword ? '****' : "''"}`,
+          `DB_HOST=${this.config.database.host}:${this.config.database.port}`,
+          `table_prefix=${this.getTablePrefix()}`,
+          'salts'
+        ];
+        if (this.config.development.enableDebug) {
+          settings.push('debug constants');
         }
-      },
+        if (this.config.custom.wpConfig && this.config.custom.wpConfig.length > 0) {
+          settings.push(`${this.config.custom.wpConfig.length} custom line(s)`);
+        }
+        this.recordPlan('file', `Write ${wpConfigPath} (${settings.join(', ')})`);
+        spinner.succeed('wp-config.php update planned');
+        return;
+      }
       
-      sql: {
-        source: null, // Path to SQL file
-        oldUrl: 'http://example.com', // Old URL to replace
-        oldDomain: 'example.com', // Old domain to replace
-        searchReplace: {
-          enabled: true,
-          caseSensitive: false,
-          regex: false,
-          dryRun: false, // Show what would be replaced without doing it
-          additionalReplacements: [] // Array of {search: 'old', replace: 'new'}
-        },
-        optimizeAfterImport: true, // Optimize database after import
-        repairAfterImport: true // Repair database after import
-      },
+      if (!await fs.pathExists(wpConfigPath)) {
+        await fs.copy(wpConfigSamplePath, wpConfigPath);
+      }
+
+      let wpConfig = await fs.readFile(wpConfigPath, 'utf8');
       
-      // Development tools
-      development: {
-        enableDebug: true,
-        debugLog: true,
-        debugDisplay: false,
-        scriptDebug: true,
-        saveQueries: true,
-        wpDebugLog: true,
-        wpDebugDisplay: false,
-        enableErrorReporting: true,
-        disableFileEditing: true,
-        disablePluginEditor: true,
-        disableThemeEditor: true,
-        forceSSL: false,
-        sslAdmin: false
-      },
+      // Generate salts
+      const salts = await this.generateSalts();
       
-      // Valet configuration
-      valet: {
-        enabled: true,
-        linkAfterSetup: true,
-        secure: false, // Enable HTTPS
-        park: false, // Park the directory instead of linking
-        proxy: false, // Use proxy instead of link
-        domain: '.test' // Custom domain extension
-      },
+      // Use dedicated user credentials if created, otherwise use root
+      const dbUser = this.dbUser || this.config.database.user;
+      const dbPassword = this.dbPassword || this.config.database.password;
       
-      // Backup configuration
-      backup: {
-        enabled: true,
-        beforeSetup: true,
-        afterSetup: false,
-        includeDatabase: true,
-        includeFiles: true,
-        compression: 'zip', // 'zip', 'tar', 'tar.gz', 'none'
-        retention: 7 // Keep backups for X days
-      },
+      // Replace database configuration
+      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_NAME['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_NAME', '${this.dbName}' )`);
+      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_USER['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_USER', '${dbUser}' )`);
+      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_PASSWORD['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_PASSWORD', '${dbPassword}' )`);
+      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_HOST['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_HOST', '${this.config.database.host}:${this.config.database.port}' )`);
+      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_CHARSET['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_CHARSET', '${this.config.database.charset}' )`);
+      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_COLLATE['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_COLLATE', '${this.config.database.collate}' )`);
       
-      // Email configuration
-      email: {
-        enabled: false,
-        smtp: {
-          host: 'localhost',
-          port: 587,
-          secure: false,
-          auth: {
-            user: '',
-            pass: ''
-          }
-        },
-        from: 'noreply@example.com',
-        to: 'admin@example.com'
-      },
+      // Set table prefix
+      wpConfig = this.setWpConfigTablePrefix(wpConfig, this.getTablePrefix());
       
-      // Security configuration
-      security: {
-        changeTablePrefix: true,
-        removeVersionInfo: true,
-        hideLoginErrors: true,
-        limitLoginAttempts: true,
-        disableXmlRpc: true,
-        disableFileEditing: true,
-        removeReadmeFiles: true,
-        removeVersionFromHead: true,
-        removeWlwmanifest: true,
-        removeRsdLink: true,
-        removeShortlink: true,
-        removeRestApiLinks: true,
-        disableUserEnumeration: true,
-        disableAuthorPages: true
-      },
+      // Add salts - replace placeholder values with real salts
+      if (wpConfig.includes("'put your unique phrase here'")) {
+        // Replace all the placeholder salt values with real ones
+        wpConfig = wpConfig.replace(
+          /define\s*\(\s*['"]AUTH_KEY['"]\s*,\s*['"][^'"]*['"]\s*\)/,
+          `define( 'AUTH_KEY',         '${this.extractSaltValue(salts, 'AUTH_KEY')}' )`
+        );
+        wpConfig = wpConfig.replace(
+          /define\s*\(\s*['"]SECURE_AUTH_KEY['"]\s*,\s*['"][^'"]*['"]\s*\)/,
+          `define( 'SECURE_AUTH_KEY',  '${this.extractSaltValue(salts, 'SECURE_AUTH_KEY')}' )`
+        );
+        wpConfig = wpConfig.replace(
+          /define\s*\(\s*['"]LOGGED_IN_KEY['"]\s*,\s*['"][^'"]*['"]\s*\)/,
+          `define( 'LOGGED_IN_KEY',    '${this.extractSaltValue(salts, 'LOGGED_IN_KEY')}' )`
+        );
+        wpConfig = wpConfig.replace(
+          /define\s*\(\s*['"]NONCE_KEY['"]\s*,\s*['"][^'"]*['"]\s*\)/,
+          `define( 'NONCE_KEY',        '${this.extractSaltValue(salts, 'NONCE_KEY')}' )`
+        );
+        wpConfig = wpConfig.replace(
+          /define\s*\(\s*['"]AUTH_SALT['"]\s*,\s*['"][^'"]*['"]\s*\)/,
+          `define( 'AUTH_SALT',        '${this.extractSaltValue(salts, 'AUTH_SALT')}' )`
+        );
+        wpConfig = wpConfig.replace(
+          /define\s*\(\s*['"]SECURE_AUTH_SALT['"]\s*,\s*['"][^'"]*['"]\s*\)/,
+          `define( 'SECURE_AUTH_SALT', '${this.extractSaltValue(salts, 'SECURE_AUTH_SALT')}' )`
+        );
+        wpConfig = wpConfig.replace(
+          /define\s*\(\s*['"]LOGGED_IN_SALT['"]\s*,\s*['"][^'"]*['"]\s*\)/,
+          `define( 'LOGGED_IN_SALT',   '${this.extractSaltValue(salts, 'LOGGED_IN_SALT')}' )`
+        );
+        wpConfig = wpConfig.replace(
+          /define\s*\(\s*['"]NONCE_SALT['"]\s*,\s*['"][^'"]*['"]\s*\)/,
+          `define( 'NONCE_SALT',       '${this.extractSaltValue(salts, 'NONCE_SALT')}' )`
+        );
+      } else if (!wpConfig.includes('AUTH_KEY')) {
+        // If no salts exist at all, add them
+        wpConfig = wpConfig.replace(
+          /\/\*\s*That's all, stop editing!.*$/s,
+          `${salts}\n\n/* That's all, stop editing! Happy publishing. */`
+        );
+      }
       
-      // Performance configuration
-      performance: {
-        enableCaching: true,
-        cacheType: 'object', // 'object', 'file', 'redis', 'memcached'
-        enableCompression: true,
-        optimizeImages: false,
-        lazyLoad: false,
-        minifyCss: false,
-        minifyJs: false,
-        combineCss: false,
-        combineJs: false,
-        cdn: {
-          enabled: false,
-          url: ''
+      // Add development settings
+      if (this.config.development.enableDebug) {
+        const debugSettings = [];
+        
+        // Check and add WP_DEBUG if not already defined
+        if (!wpConfig.includes("define( 'WP_DEBUG'") && !wpConfig.includes('define( "WP_DEBUG"')) {
+          debugSettings.push(`define( 'WP_DEBUG', ${this.config.development.debugLog} );`);
         }
-      },
-      
-      // Custom configuration
-      custom: {
-        wpConfig: [], // Array of custom wp-config.php lines
-        htaccess: [], // Array of custom .htaccess rules
-        functions: [], // Array of custom functions.php code
-        hooks: {
-          afterSetup: [], // Commands to run after setup
-          beforeSetup: [], // Commands to run before setup
-          afterDatabaseImport: [], // Commands to run after database import
-          afterSearchReplace: [] // Commands to run after search-replace
+        
+        // Check and add WP_DEBUG_LOG if not already defined
+        if (!wpConfig.includes("define( 'WP_DEBUG_LOG'") && !wpConfig.includes('define( "WP_DEBUG_LOG"')) {
+          debugSettings.push(`define( 'WP_DEBUG_LOG', ${this.config.development.wpDebugLog} );`);
         }
-      },
-      
-      // Templates configuration
-      templates: {
-        enabled: true,
-        default: 'basic',
-        list: {
-          basic: {
-            name: 'Basic WordPress Site',
-            description: 'A simple WordPress installation with basic plugins and themes',
-            wordpress: {
-              siteTitle: 'Basic WordPress Site',
-              siteDescription: 'A simple WordPress installation'
-            },
-            plugins: {
-              wordpressOrg: ['akismet', 'contact-form-7'],
-              activateAll: true
-            },
-            themes: {
-              wordpressOrg: ['twentytwentyfour'],
-              activate: 'twentytwentyfour'
-            },
-            sql: {
-              source: null
-            },
-            uploads: {
-              source: null
-            }
-          }
+        
+        // Check and add WP_DEBUG_DISPLAY if not already defined
+        if (!wpConfig.includes("define( 'WP_DEBUG_DISPLAY'") && !wpConfig.includes('define( "WP_DEBUG_DISPLAY"')) {
+          debugSettings.push(`define( 'WP_DEBUG_DISPLAY', ${this.config.development.wpDebugDisplay} );`);
+        }
+        
+        // Check and add SCRIPT_DEBUG if not already defined
+        if (!wpConfig.includes("define( 'SCRIPT_DEBUG'") && !wpConfig.includes('define( "SCRIPT_DEBUG"')) {
+          debugSettings.push(`define( 'SCRIPT_DEBUG', ${this.config.development.scriptDebug} );`);
+        }
+        
+        // Check and add SAVEQUERIES if not already defined
+        if (!wpConfig.includes("define( 'SAVEQUERIES'") && !wpConfig.includes('define( "SAVEQUERIES"')) {
+          debugSettings.push(`define( 'SAVEQUERIES', ${this.config.development.saveQueries} );`);
+        }
+        
+        // Only add debug settings if there are any to add
+        if (debugSettings.length > 0) {
+          const debugSettingsBlock = `
+// Development settings
+${debugSettings.join('\n')}`;
+          
+          wpConfig = wpConfig.replace(
+            /\/\*\s*That's all, stop editing!.*$/s,
+            `${debugSettingsBlock}\n\n/* That's all, stop editing! Happy publishing. */`
+          );
         }
-      },
-
-      // Advanced options
-      advanced: {
-        skipWordPressDownload: false,
-        skipDatabaseCreation: false,
-        skipPluginInstallation: false,
-        skipThemeInstallation: false,
-        skipUploadsCopy: false,
-        skipValetSetup: false,
-        skipSearchReplace: false,
-        forceOverwrite: false,
-        verbose: false,
-        dryRun: false, // Show what would be done without doing it
-        parallelDownloads: 3, // Number of parallel downloads
-        timeout: 30000, // Request timeout in milliseconds
-        retries: 3 // Number of retries for failed operations
       }
-    };
-
-    await fs.writeJson(CONFIG_FILE, defaultConfig, { spaces: 2 });
-    console.log(chalk.green(`Default config created at ${CONFIG_FILE}`));
-    console.log(chalk.yellow('Please edit the config file to customize your setup preferences.'));
-  }
-
-  async promptForWebsiteName() {
-    const questions = [
-      {
-        type: 'input',
-        name: 'websiteName',
-        message: 'Enter the website name:',
-        validate: (input) => {
-          if (!input.trim()) {
-            return 'Website name is required';
-          }
-          if (!/^[a-zA-Z0-9-_]+$/.test(input)) {
-            return 'Website name can only contain letters, numbers, hyphens, and underscores';
-          }
-          return true;
+      
+      // Add security settings
+      if (this.config.security.disableFileEditing) {
+        // Check if DISALLOW_FILE_EDIT is not already defined
+        if (!wpConfig.includes("define( 'DISALLOW_FILE_EDIT'") && !wpConfig.includes('define( "DISALLOW_FILE_EDIT"')) {
+          wpConfig = wpConfig.replace(
+            /\/\*\s*That's all, stop editing!.*$/s,
+            `\ndefine( 'DISALLOW_FILE_EDIT', true );\n\n/* That's all, stop editing! Happy publishing. */`
+          );
         }
       }
-    ];
-
-    // Add optional questions based on config
-    if (!this.config.wordpress.adminPassword) {
-      questions.push({
-        type: 'password',
-        name: 'adminPassword',
-        message: 'Enter admin password:',
-        validate: (input) => {
-          if (!input.trim()) {
-            return 'Admin password is required';
-          }
-          if (input.length < 8) {
-            return 'Password must be at least 8 characters long';
-          }
-          return true;
+      
+      // Add performance settings
+      if (this.config.wordpress.memoryLimit) {
+        // Check if WP_MEMORY_LIMIT is not already defined
+        if (!wpConfig.includes("define( 'WP_MEMORY_LIMIT'") && !wpConfig.includes('define( "WP_MEMORY_LIMIT"')) {
+          wpConfig = wpConfig.replace(
+            /\/\*\s*That's all, stop editing!.*$/s,
+            `\ndefine( 'WP_MEMORY_LIMIT', '${this.config.wordpress.memoryLimit}' );\n\n/* That's all, stop editing! Happy publishing. */`
+          );
         }
-      });
+      }
+      
+      // Add custom wp-config lines
+      if (this.config.custom.wpConfig && this.config.custom.wpConfig.length > 0) {
+        const customConfig = '\n' + this.config.custom.wpConfig.join('\n') + '\n';
+        wpConfig = wpConfig.replace(
+          /\/\*\s*That's all, stop editing!.*$/s,
+          `${customConfig}\n/* That's all, stop editing! Happy publishing. */`
+        );
+      }
+      
+      // Ensure wp-config.php ends with proper WordPress loading
+      if (!wpConfig.includes("require_once(ABSPATH . 'wp-settings.php');")) {
+        wpConfig = wpConfig.replace(
+          /\/\*\s*That's all, stop editing!.*$/s,
+          `\n/* That's all, stop editing! Happy publishing. */\n\nrequire_once(ABSPATH . 'wp-settings.php');`
+        );
+      }
+      
+      await fs.writeFile(wpConfigPath, wpConfig);
+      spinner.succeed('wp-config.php updated successfully');
+    } catch (error) {
+      spinner.fail('Failed to update wp-config.php');
+      throw error;
     }
+  }
 
-    if (!this.config.wordpress.adminEmail || this.config.wordpress.adminEmail === 'admin@example.com') {
-      questions.push({
-        type: 'input',
-        name: 'adminEmail',
-        message: 'Enter admin email:',
-        default: 'admin@example.com',
-        validate: (input) => {
-          const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-          if (!emailRegex.test(input)) {
-            return 'Please enter a valid email address';
-          }
-          return true;
+  async generateSalts() {
+    try {
+      const response = await axios.get('https://api.wordpress.org/secret-key/1.1/salt/');
+      return response.data;
+    } catch (error) {
+      // Fallback to local generation
+      const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()';
+      const generateKey = () => {
+        let key = '';
+        for (let i = 0; i < 64; i++) {
+          key += chars.charAt(Math.floor(Math.random() * chars.length));
         }
-      });
-    }
-
-    const answers = await prompt(questions);
+        return key;
+      };
 
-    this.websiteName = answers.websiteName;
-    
-    // Resolve server path (handle ~ and relative paths)
-    const serverPath = this.config.server.path.startsWith('~') 
-      ? path.join(require('os').homedir(), this.config.server.path.slice(1))
-      : path.resolve(this.config.server.path);
-    
-    this.websitePath = path.join(serverPath, this.websiteName);
-    this.dbName = `${this.config.database.userPrefix}${this.websiteName}`;
-    
-    // Store additional answers
-    this.adminPassword = answers.adminPassword || this.config.wordpress.adminPassword;
-    this.adminEmail = answers.adminEmail || this.config.wordpress.adminEmail;
+      return `
+define( 'AUTH_KEY',         '${generateKey()}' );
+define( 'SECURE_AUTH_KEY',  '${generateKey()}' );
+define( 'LOGGED_IN_KEY',    '${generateKey()}' );
+define( 'NONCE_KEY',        '${generateKey()}' );
+define( 'AUTH_SALT',        '${generateKey()}' );
+define( 'SECURE_AUTH_SALT', '${generateKey()}' );
+define( 'LOGGED_IN_SALT',   '${generateKey()}' );
+define( 'NONCE_SALT',       '${generateKey()}' );`;
+    }
   }
 
-  async createBackup() {
-    if (!this.config.backup.enabled) return;
-
+  extractSaltValue(salts, keyName) {
     try {
-      const backupPath = this.config.backup.backupPath && this.config.backup.backupPath.startsWith('~') 
-        ? path.join(require('os').homedir(), this.config.backup.backupPath.slice(1))
-        : path.resolve(this.config.backup.backupPath || '~/Server/backups');
-      
-      await fs.ensureDir(backupPath);
-      
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupName = `${this.websiteName}-${timestamp}`;
-      const backupDir = path.join(backupPath, backupName);
-      
-      await fs.ensureDir(backupDir);
-      
-      if (this.config.backup.includeFiles) {
-        await fs.copy(this.websitePath, path.join(backupDir, 'files'));
+      // Extract the salt value from the API response
+      const regex = new RegExp(`define\\s*\\(\\s*['"]${keyName}['"]\\s*,\\s*['"]([^'"]*)['"]\\s*\\)`);
+      const match = salts.match(regex);
+      if (match && match[1]) {
+        return match[1];
       }
       
-      if (this.config.backup.includeDatabase) {
-        const dbBackupPath = path.join(backupDir, 'database.sql');
-        const command = this.getMysqlCommand(`mysqldump -h${this.config.database.host} -u${this.config.database.user} -p${this.config.database.password} -P${this.config.database.port} ${this.dbName} > "${dbBackupPath}"`);
-        execSync(command, { stdio: 'pipe' });
+      // Fallback: generate a random salt
+      const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()';
+      let key = '';
+      for (let i = 0; i < 64; i++) {
+        key += chars.charAt(Math.floor(Math.random() * chars.length));
       }
-      
-      // Clean old backups
-      await this.cleanOldBackups(backupPath);
-      
+      return key;
     } catch (error) {
-      console.warn(chalk.yellow('Warning: Failed to create backup:'), error.message);
+      // Fallback: generate a random salt
+      const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()';
+      let key = '';
+      for (let i = 0; i < 64; i++) {
+        key += chars.charAt(Math.floor(Math.random() * chars.length));
+      }
+      return key;
     }
   }
 
-  async cleanOldBackups(backupPath) {
+  async importDatabase() {
+    if (!this.config.sql || !this.config.sql.source) {
+      console.log(chalk.yellow('No SQL file specified in config. Skipping database import.'));
+      return;
+    }
+
+    const spinner = ora('Importing database...').start();
+    
     try {
-      const retention = this.config.backup.retention;
-      const files = await fs.readdir(backupPath);
-      const now = Date.now();
-      const maxAge = retention * 24 * 60 * 60 * 1000; // Convert days to milliseconds
+      const sqlPath = path.resolve(this.config.sql.source);
+      await this.importDatabaseFromFile(sqlPath, spinner);
       
-      for (const file of files) {
-        const filePath = path.join(backupPath, file);
-        const stats = await fs.stat(filePath);
-        
-        if (now - stats.mtime.getTime() > maxAge) {
-          await fs.remove(filePath);
-        }
-      }
+      spinner.succeed('Database imported successfully');
     } catch (error) {
-      console.warn(chalk.yellow('Warning: Failed to clean old backups:'), error.message);
+      spinner.fail('Failed to import database');
+      throw error;
     }
   }
 
-  async createWebsiteDirectory() {
-    const spinner = ora('Creating website directory...').start();
-    
-    try {
-      if (await fs.pathExists(this.websitePath)) {
-        if (this.config.advanced.forceOverwrite) {
-          spinner.text = 'Backing up existing directory...';
-          if (this.config.backup.enabled && this.config.backup.beforeSetup) {
-            await this.createBackup();
-          }
-          await fs.remove(this.websitePath);
-        } else {
-          spinner.fail('Website directory already exists');
-          const { overwrite } = await prompt([
-            {
-              type: 'confirm',
-              name: 'overwrite',
-              message: 'Do you want to overwrite the existing directory?',
-              default: false
-            }
-          ]);
-          
-          if (overwrite) {
-            if (this.config.backup.enabled && this.config.backup.beforeSetup) {
-              spinner.text = 'Backing up existing directory...';
-              await this.createBackup();
-            }
-            await fs.remove(this.websitePath);
-          } else {
-            process.exit(0);
-          }
+  // Pair every spelling of the old URL with the same spelling of the new one.
+  // The target keeps its own scheme; both http and https of the old URL map to it.
+  getUrlVariants(oldUrl, newUrl, kinds = URL_VARIANTS, oldDomain = null) {
+    const split = (url) => {
+      const match = /^(?:(https?):)?(?:\/\/)?(.*?)\/*$/i.exec(url.trim());
+      return { scheme: (match[1] || 'http').toLowerCase(), location: match[2] };
+    };
+    const source = split(oldUrl);
+    const target = split(newUrl);
+    const targetUrl = `${target.scheme}://${target.location}`;
+    const escape = (location) => location.replace(/\//g, '\\/');
+
+    const locations = [source.location];
+    if (kinds.includes('www')) {
+      locations.push(source.location.startsWith('www.') ? source.location.slice(4) : `www.${source.location}`);
+    }
+    const schemes = kinds.includes('scheme') ? ['https', 'http'] : [source.scheme];
+
+    const variants = [];
+    const add = (label, search, replace) => {
+      if (search !== replace && !variants.some(variant => variant.search === search)) {
+        variants.push({ label, search, replace });
+      }
+    };
+
+    locations.forEach((location, index) => {
+      const suffix = index > 0 ? ' (www)' : '';
+      for (const scheme of schemes) {
+        add(`${scheme}${suffix}`, `${scheme}://${location}`, targetUrl);
+        if (kinds.includes('escaped')) {
+          add(`${scheme} escaped${suffix}`, `${scheme}:\\/\\/${escape(location)}`, `${target.scheme}:\\/\\/${escape(target.location)}`);
         }
+        if (kinds.includes('encoded')) {
+          add(`${scheme} encoded${suffix}`, encodeURIComponent(`${scheme}://${location}`), encodeURIComponent(targetUrl));
+        }
+      }
+      if (kinds.includes('protocolRelative')) {
+        add(`protocol-relative${suffix}`, `//${location}`, `//${target.location}`);
       }
+    });
 
-      await fs.ensureDir(this.websitePath);
-      
-      // Create subdirectories if configured
-      if (this.config.server.createSubdirectories) {
-        const year = String(new Date().getFullYear());
-        const month = String(new Date().getMonth() + 1).padStart(2, '0');
-        await fs.ensureDir(path.join(this.websitePath, 'wp-content', 'uploads', year, month));
+    // Bare domains last, e.g. in email addresses
+    if (kinds.includes('domain')) {
+      const newDomain = target.location.split('/')[0];
+      const domain = oldDomain || source.location.split('/')[0];
+      add('domain', domain, newDomain);
+      if (kinds.includes('www')) {
+        add('domain (www)', domain.startsWith('www.') ? domain.slice(4) : `www.${domain}`, newDomain);
       }
-      
-      spinner.succeed('Website directory created');
-    } catch (error) {
-      spinner.fail('Failed to create website directory');
-      throw error;
     }
+
+    return variants;
   }
 
-  async downloadWordPress() {
-    if (this.config.advanced.skipWordPressDownload) {
-      console.log(chalk.yellow('Skipping WordPress download (configured to skip)'));
+  async migrateUrls() {
+    if (this.config.advanced.skipSearchReplace) {
+      console.log(chalk.yellow('Skipping URL migration (configured to skip)'));
       return;
     }
 
-    const spinner = ora('Downloading WordPress...').start();
-    
+    const migration = this.config.sql.urlMigration || {};
+    if (migration.enabled === false) {
+      console.log(chalk.yellow('URL migration disabled in config'));
+      return;
+    }
+
+    const oldUrl = this.config.sql.oldUrl || 'http://example.com';
+    const newUrl = this.getSiteUrl();
+    const variants = this.getUrlVariants(oldUrl, newUrl, migration.variants || URL_VARIANTS, this.config.sql.oldDomain);
+    if (variants.length === 0) {
+      console.log(chalk.gray(`Site already uses ${newUrl}, no URLs to migrate`));
+      return;
+    }
+
+    const searchReplace = this.config.sql.searchReplace || {};
+    const spinner = ora(`Migrating URLs from ${oldUrl} to ${newUrl}...`).start();
+
     try {
-      const version = this.config.wordpress.version;
-      const locale = this.config.wordpress.locale;
-      
-      // Use WP-CLI to download WordPress
-      const command = `wp core download --path="${this.websitePath}" --version="${version}" --locale="${locale}" --force`;
-      execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-      
-      spinner.succeed('WordPress downloaded successfully');
+      const report = await this.searchReplaceDatabase(variants, {
+        caseSensitive: searchReplace.caseSensitive,
+        dryRun: searchReplace.dryRun,
+        spinner
+      });
+
+      const summary = `${report.replacements} replacement(s) in ${report.rows} row(s)`;
+      spinner.succeed(searchReplace.dryRun
+        ? `URL migration dry run: ${summary} would be made`
+        : `URLs migrated: ${summary}`);
+      this.printUrlMigrationReport(variants, report);
     } catch (error) {
-      spinner.fail('Failed to download WordPress');
-      console.error(chalk.red('Make sure WP-CLI is installed and accessible'));
+      spinner.fail('Failed to migrate URLs');
       throw error;
     }
   }
 
-  async createDatabase() {
-    if (this.config.advanced.skipDatabaseCreation) {
-      console.log(chalk.yellow('Skipping database creation (configured to skip)'));
+  printUrlMigrationReport(variants, report) {
+    const used = variants
+      .map((variant, index) => ({ ...variant, replacements: report.pairs[index] ? report.pairs[index].replacements : 0 }))
+      .filter(variant => variant.replacements > 0);
+
+    if (used.length > 0) {
+      const width = Math.max(...used.map(variant => variant.label.length));
+      console.log(chalk.blue('  Replacements per variant:'));
+      for (const variant of used) {
+        console.log(chalk.gray(`    ${variant.label.padEnd(width)}  ${String(variant.replacements).padStart(6)}  ${variant.search}`));
+      }
+
+      console.log(chalk.blue('  Replacements per table:'));
+      for (const [table, tableReport] of Object.entries(report.tables)) {
+        const counts = tableReport.pairs
+          .map((count, index) => (count > 0 ? `${variants[index].label}: ${count}` : null))
+          .filter(Boolean);
+        console.log(chalk.gray(`    ${table} - ${tableReport.replacements} (${counts.join(', ')})`));
+      }
+    }
+
+    for (const { table, reason } of report.skipped) {
+      console.log(chalk.yellow(`  ⚠️  Skipped ${table} (${reason})`));
+    }
+  }
+
+  async performSearchReplace() {
+    if (this.config.advanced.skipSearchReplace) {
+      console.log(chalk.yellow('Skipping search-replace (configured to skip)'));
       return;
     }
 
-    const spinner = ora('Creating database...').start();
+    if (!this.config.sql || !this.config.sql.searchReplace || !this.config.sql.searchReplace.enabled) {
+      console.log(chalk.yellow('Search-replace disabled in config'));
+      return;
+    }
+
+    // Site URLs are handled by migrateUrls, this runs the configured extra pairs
+    const searchReplace = this.config.sql.searchReplace;
+    const pairs = (searchReplace.additionalReplacements || []).filter(pair => pair.search && pair.search !== pair.replace);
+    if (pairs.length === 0) return;
+
+    const spinner = ora('Performing search-replace in database...').start();
     
     try {
-      // Ensure Docker MySQL is ready if enabled
-      if (this.config.database.docker.enabled) {
-        await this.ensureDockerMysql();
-      }
-
-      const connection = await mysql.createConnection({
-        host: this.config.database.host,
-        user: this.config.database.user,
-        password: this.config.database.password,
-        port: this.config.database.port
+      const report = await this.searchReplaceDatabase(pairs, {
+        caseSensitive: searchReplace.caseSensitive,
+        regex: searchReplace.regex,
+        dryRun: searchReplace.dryRun,
+        spinner
       });
 
-      // Drop existing database if it exists
-      await connection.execute(`DROP DATABASE IF EXISTS \`${this.dbName}\``);
-      
-      // Create new database with charset and collate
-      const createDbQuery = `CREATE DATABASE \`${this.dbName}\` CHARACTER SET ${this.config.database.charset} COLLATE ${this.config.database.collate}`;
-      if (this.config.advanced.verbose) {
-        console.log(chalk.gray(`Creating database: ${createDbQuery}`));
-      }
-      await connection.execute(createDbQuery);
-      
-      // Verify database was created
-      const [rows] = await connection.execute(`SHOW DATABASES LIKE '${this.dbName}'`);
-      if (rows.length === 0) {
-        throw new Error(`Failed to create database: ${this.dbName}`);
-      }
-      
-      if (this.config.advanced.verbose) {
-        console.log(chalk.gray(`Database created successfully: ${this.dbName}`));
-      }
+      const summary = `${report.replacements} replacement(s) in ${report.rows} row(s)`;
+      spinner.succeed(searchReplace.dryRun
+        ? `Search-replace dry run: ${summary} would be made`
+        : `Search-replace completed: ${summary}`);
 
-      // Create dedicated user if configured
-      if (this.config.database.createUser) {
-        const dbUser = `${this.config.database.userPrefix}${this.websiteName}`;
-        const dbPassword = this.generateRandomPassword();
-        
-        // Create user
-        await connection.execute(`CREATE USER IF NOT EXISTS '${dbUser}'@'${this.config.database.host}' IDENTIFIED BY '${dbPassword}'`);
-        
-        // Grant privileges
-        const privileges = this.config.database.grantPrivileges.join(', ');
-        await connection.execute(`GRANT ${privileges} ON \`${this.dbName}\`.* TO '${dbUser}'@'${this.config.database.host}'`);
-        await connection.execute('FLUSH PRIVILEGES');
-        
-        // Store the user credentials for wp-config
-        this.dbUser = dbUser;
-        this.dbPassword = dbPassword;
+      if (searchReplace.dryRun || this.config.advanced.verbose) {
+        this.printSearchReplaceReport(report);
       }
-      
-      await connection.end();
-      
-      spinner.succeed('Database created successfully');
     } catch (error) {
-      spinner.fail('Failed to create database');
+      spinner.fail('Failed to perform search-replace');
       throw error;
     }
   }
 
-  generateRandomPassword(length = 16) {
-    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-    let password = '';
-    for (let i = 0; i < length; i++) {
-      password += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return password;
-  }
-
-  getMysqlCommand(command) {
-    if (this.config.database.docker.enabled) {
-      // When using Docker, we need to connect to localhost:3306 inside the container
-      let dockerCommand = command
-        .replace(`-h${this.config.database.host}`, '-hlocalhost')
-        .replace(`-P${this.config.database.port}`, '-P3306');
-      
-      // Remove empty password parameter
-      if (this.config.database.password === '') {
-        dockerCommand = dockerCommand.replace('-p ', '');
+  async checkAdminUserExists() {
+    try {
+      const rows = await this.query(
+        'SELECT COUNT(*) AS count FROM ?? WHERE user_login = ?',
+        [this.getTableName('users'), this.config.wordpress.adminUser]
+      );
+      return rows.length > 0 && Number(rows[0].count) > 0;
+    } catch (error) {
+      if (this.config.advanced.verbose) {
+        console.log(chalk.yellow(`Error checking admin user: ${error.message}`));
       }
-      
-      return `docker exec ${this.config.database.docker.containerName} ${dockerCommand}`;
+      return false;
     }
-    return command;
   }
 
-  async ensureDockerMysql() {
-    if (!this.config.database.docker.enabled) return;
-
-    const spinner = ora('Checking Docker MySQL container...').start();
+  async updateAdminUserPassword() {
+    const spinner = ora('Updating admin user password...').start();
     
     try {
-      // Check if container exists
-      const checkCommand = `docker ps -a --filter name=${this.config.database.docker.containerName} --format "{{.Names}}"`;
-      let containerExists = '';
+      // First, try to get the user ID to make sure the user exists
+      const getUserCommand = `wp user get ${this.config.wordpress.adminUser} --field=ID --path="${this.websitePath}"`;
+      let userId;
+      
       try {
-        containerExists = execSync(checkCommand, { stdio: 'pipe' }).toString().trim();
-      } catch (error) {
-        // Container doesn't exist
-        containerExists = '';
+        userId = this.exec(getUserCommand, { stdio: 'pipe' }).toString().trim();
+        if (!userId || isNaN(userId)) {
+          throw new Error('User not found');
+        }
+      } catch (getUserError) {
+        spinner.fail('Admin user not found, will create new user instead');
+        await this.createAdminUser();
+        return;
       }
       
-      if (!containerExists) {
-        spinner.text = 'Creating Docker MySQL container...';
-        await this.createDockerMysql();
-      } else {
-        // Check if container is running
-        const runningCommand = `docker ps --filter name=${this.config.database.docker.containerName} --format "{{.Names}}"`;
-        let isRunning = '';
-        try {
-          isRunning = execSync(runningCommand, { stdio: 'pipe' }).toString().trim();
-        } catch (error) {
-          // Container is not running
-          isRunning = '';
-        }
-        
-        if (!isRunning) {
-          spinner.text = 'Starting Docker MySQL container...';
-          execSync(`docker start ${this.config.database.docker.containerName}`, { stdio: 'pipe' });
-          
-          // Wait for MySQL to be ready
-          spinner.text = 'Waiting for MySQL to be ready...';
-          await this.waitForMysql();
-        }
+      // Use WP-CLI to update the user password
+      const command = `wp user update ${userId} --user_pass="${this.adminPassword}" --path="${this.websitePath}"`;
+      this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+      
+      spinner.succeed('Admin user password updated successfully');
+    } catch (error) {
+      spinner.fail('Failed to update admin user password');
+      console.log(chalk.yellow(`WP-CLI error: ${error.message}`));
+      
+      // Try direct database update as fallback
+      try {
+        console.log(chalk.blue('Trying direct database update...'));
+        await this.updateAdminUserPasswordDirect();
+        spinner.succeed('Admin user password updated via direct database update');
+      } catch (dbError) {
+        console.log(chalk.yellow(`Direct database update also failed: ${dbError.message}`));
+        throw error;
       }
-      
-      spinner.succeed('Docker MySQL container is ready');
-    } catch (error) {
-      spinner.fail('Failed to setup Docker MySQL');
-      throw error;
     }
   }
 
-  async createDockerMysql() {
-    const dockerConfig = this.config.database.docker;
-    const rootPassword = dockerConfig.rootPassword || this.config.database.password;
-    
-    // Create Docker volume if it doesn't exist
+  async updateAdminUserPasswordDirect() {
     try {
-      execSync(`docker volume create ${dockerConfig.dataVolume}`, { stdio: 'pipe' });
+      const hashedPassword = await this.hashWordPressPassword(this.adminPassword);
+      
+      // Update the user password directly in the database
+      await this.query(
+        'UPDATE ?? SET user_pass = ? WHERE user_login = ?',
+        [this.getTableName('users'), hashedPassword, this.config.wordpress.adminUser]
+      );
     } catch (error) {
-      // Volume might already exist, continue
+      throw new Error(`Direct database update failed: ${error.message}`);
     }
-    
-    const command = `docker run -d \
-      --name ${dockerConfig.containerName} \
-      -e MYSQL_ROOT_PASSWORD=${rootPassword} \
-      -p ${dockerConfig.port}:3306 \
-      -v ${dockerConfig.dataVolume}:/var/lib/mysql \
-      --network ${dockerConfig.network} \
-      ${dockerConfig.image}`;
+  }
+
+  async createAdminUser() {
+    const spinner = ora('Creating admin user...').start();
     
     try {
-      execSync(command, { stdio: 'pipe' });
+      // Use WP-CLI to create the admin user
+      const command = `wp user create ${this.config.wordpress.adminUser} ${this.adminEmail} --user_pass="${this.adminPassword}" --role=administrator --display_name="${this.config.wordpress.adminUser}" --path="${this.websitePath}"`;
+      this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+      
+      spinner.succeed('Admin user created successfully');
     } catch (error) {
-      // Container might already exist, try to start it instead
-      try {
-        execSync(`docker start ${dockerConfig.containerName}`, { stdio: 'pipe' });
-      } catch (startError) {
-        throw new Error(`Failed to create or start MySQL container: ${error.message}`);
-      }
+      spinner.fail('Failed to create admin user');
+      throw error;
     }
-    
-    // Wait for MySQL to be ready
-    await this.waitForMysql();
   }
 
-  async waitForMysql(maxAttempts = 30) {
-    for (let i = 0; i < maxAttempts; i++) {
+  // Hash a password the way the installed WordPress does, without PHP or WP-CLI:
+  // bcrypt with a `$wp` prefix from 6.8 on, portable phpass ($P$) before that.
+  // Without a known version phpass is used, which 6.8+ still accepts.
+  async hashWordPressPassword(password, version) {
+    const coreVersion = version !== undefined ? version : await this.getInstalledWordPressVersion();
+    const [major, minor] = String(coreVersion || '0').split('.').map(part => parseInt(part, 10) || 0);
+    // WordPress trims passwords before hashing them
+    const value = String(password).trim();
+
+    return major > 6 || (major === 6 && minor >= 8)
+      ? this.hashPasswordBcrypt(value)
+      : this.hashPasswordPhpass(value);
+  }
+
+  // WordPress 6.8+: bcrypt of an HMAC-SHA384 pre-hash, so passwords over 72 bytes keep their entropy
+  hashPasswordBcrypt(password) {
+    const prehash = crypto.createHmac('sha384', 'wp-sha384').update(password, 'utf8').digest('base64');
+    // PHP's password_hash() writes $2y$ at cost 10; the algorithm is the same as $2b$
+    return `$wp${bcrypt.hashSync(prehash, 10).replace(/^\$2[ab]\$/, '$2y$')}`;
+  }
+
+  // phpass portable hash as used by WordPress up to 6.7 ($P$B: 2^13 = 8192 MD5 rounds)
+  hashPasswordPhpass(password, setting = null) {
+    const salt = setting || `$P$B${this.encodePhpass64(crypto.randomBytes(6), 6)}`;
+    const rounds = 1 << PHPASS_ITOA64.indexOf(salt[3]);
+    const secret = Buffer.from(password, 'utf8');
+
+    let hash = crypto.createHash('md5').update(Buffer.concat([Buffer.from(salt.slice(4, 12), 'latin1'), secret])).digest();
+    for (let i = 0; i < rounds; i++) {
+      hash = crypto.createHash('md5').update(Buffer.concat([hash, secret])).digest();
+    }
+    return `${salt.slice(0, 12)}${this.encodePhpass64(hash, 16)}`;
+  }
+
+  encodePhpass64(input, count) {
+    let output = '';
+    let i = 0;
+    do {
+      let value = input[i++];
+      output += PHPASS_ITOA64[value & 0x3f];
+      if (i < count) value |= input[i] << 8;
+      output += PHPASS_ITOA64[(value >> 6) & 0x3f];
+      if (i++ >= count) break;
+      if (i < count) value |= input[i] << 16;
+      output += PHPASS_ITOA64[(value >> 12) & 0x3f];
+      if (i++ >= count) break;
+      output += PHPASS_ITOA64[(value >> 18) & 0x3f];
+    } while (i < count);
+    return output;
+  }
+
+  hasWpCli() {
+    if (this.wpCliAvailable === undefined) {
       try {
-        const testCommand = this.getMysqlCommand(`mysql -h${this.config.database.host} -u${this.config.database.user} -p${this.config.database.password} -P${this.config.database.port} -e "SELECT 1"`);
-        if (this.config.advanced.verbose) {
-          console.log(chalk.gray(`Testing MySQL connection: ${testCommand}`));
-        }
-        execSync(testCommand, { stdio: 'pipe' });
-        return; // MySQL is ready
+        execSync('wp --info', { stdio: 'pipe' });
+        this.wpCliAvailable = true;
       } catch (error) {
-        if (this.config.advanced.verbose) {
-          console.log(chalk.yellow(`MySQL connection attempt ${i + 1} failed: ${error.message}`));
-        }
-        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
+        this.wpCliAvailable = false;
       }
     }
-    throw new Error('MySQL did not become ready within the timeout period');
+    return this.wpCliAvailable;
   }
 
-  async updateWpConfig() {
-    const spinner = ora('Updating wp-config.php...').start();
-    
-    try {
-      const wpConfigPath = path.join(this.websitePath, 'wp-config.php');
-      const wpConfigSamplePath = path.join(this.websitePath, 'wp-config-sample.php');
-      
-      if (!await fs.pathExists(wpConfigPath)) {
-        await fs.copy(wpConfigSamplePath, wpConfigPath);
-      }
+  shellArg(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
 
-      let wpConfig = await fs.readFile(wpConfigPath, 'utf8');
-      
-      // Generate salts
-      const salts = await this.generateSalts();
-      
-      // Use dedicated user credentials if created, otherwise use root
-      const dbUser = this.dbUser || this.config.database.user;
-      const dbPassword = this.dbPassword || this.config.database.password;
-      
-      // Replace database configuration
-      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_NAME['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_NAME', '${this.dbName}' )`);
-      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_USER['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_USER', '${dbUser}' )`);
-      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_PASSWORD['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_PASSWORD', '${dbPassword}' )`);
-      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_HOST['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_HOST', '${this.config.database.host}:${this.config.database.port}' )`);
-      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_CHARSET['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_CHARSET', '${this.config.database.charset}' )`);
-      wpConfig = wpConfig.replace(/define\s*\(\s*['"]DB_COLLATE['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( 'DB_COLLATE', '${this.config.database.collate}' )`);
-      
-      // Add table prefix
-      wpConfig = wpConfig.replace(/define\s*\(\s*['"]\$table_prefix['"]\s*,\s*['"][^'"]*['"]\s*\)/, `define( '$table_prefix', '${this.config.database.prefix}' )`);
-      
-      // Add salts - replace placeholder values with real salts
-      if (wpConfig.includes("'put your unique phrase here'")) {
-        // Replace all the placeholder salt values with real ones
-        wpConfig = wpConfig.replace(
-          /define\s*\(\s*['"]AUTH_KEY['"]\s*,\s*['"][^'"]*['"]\s*\)/,
-          `define( 'AUTH_KEY',         '${this.extractSaltValue(salts, 'AUTH_KEY')}' )`
-        );
-        wpConfig = wpConfig.replace(
-          /define\s*\(\s*['"]SECURE_AUTH_KEY['"]\s*,\s*['"][^'"]*['"]\s*\)/,
-          `define( 'SECURE_AUTH_KEY',  '${this.extractSaltValue(salts, 'SECURE_AUTH_KEY')}' )`
-        );
-        wpConfig = wpConfig.replace(
-          /define\s*\(\s*['"]LOGGED_IN_KEY['"]\s*,\s*['"][^'"]*['"]\s*\)/,
-          `define( 'LOGGED_IN_KEY',    '${this.extractSaltValue(salts, 'LOGGED_IN_KEY')}' )`
-        );
-        wpConfig = wpConfig.replace(
-          /define\s*\(\s*['"]NONCE_KEY['"]\s*,\s*['"][^'"]*['"]\s*\)/,
-          `define( 'NONCE_KEY',        '${this.extractSaltValue(salts, 'NONCE_KEY')}' )`
-        );
-        wpConfig = wpConfig.replace(
-          /define\s*\(\s*['"]AUTH_SALT['"]\s*,\s*['"][^'"]*['"]\s*\)/,
-          `define( 'AUTH_SALT',        '${this.extractSaltValue(salts, 'AUTH_SALT')}' )`
-        );
-        wpConfig = wpConfig.replace(
-          /define\s*\(\s*['"]SECURE_AUTH_SALT['"]\s*,\s*['"][^'"]*['"]\s*\)/,
-          `define( 'SECURE_AUTH_SALT', '${this.extractSaltValue(salts, 'SECURE_AUTH_SALT')}' )`
-        );
-        wpConfig = wpConfig.replace(
-          /define\s*\(\s*['"]LOGGED_IN_SALT['"]\s*,\s*['"][^'"]*['"]\s*\)/,
-          `define( 'LOGGED_IN_SALT',   '${this.extractSaltValue(salts, 'LOGGED_IN_SALT')}' )`
-        );
-        wpConfig = wpConfig.replace(
-          /define\s*\(\s*['"]NONCE_SALT['"]\s*,\s*['"][^'"]*['"]\s*\)/,
-          `define( 'NONCE_SALT',       '${this.extractSaltValue(salts, 'NONCE_SALT')}' )`
-        );
-      } else if (!wpConfig.includes('AUTH_KEY')) {
-        // If no salts exist at all, add them
-        wpConfig = wpConfig.replace(
-          /\/\*\s*That's all, stop editing!.*$/s,
-          `${salts}\n\n/* That's all, stop editing! Happy publishing. */`
-        );
-      }
-      
-      // Add development settings
-      if (this.config.development.enableDebug) {
-        const debugSettings = [];
-        
-        // Check and add WP_DEBUG if not already defined
-        if (!wpConfig.includes("define( 'WP_DEBUG'") && !wpConfig.includes('define( "WP_DEBUG"')) {
-          debugSettings.push(`define( 'WP_DEBUG', ${this.config.development.debugLog} );`);
-        }
-        
-        // Check and add WP_DEBUG_LOG if not already defined
-        if (!wpConfig.includes("define( 'WP_DEBUG_LOG'") && !wpConfig.includes('define( "WP_DEBUG_LOG"')) {
-          debugSettings.push(`define( 'WP_DEBUG_LOG', ${this.config.development.wpDebugLog} );`);
-        }
-        
-        // Check and add WP_DEBUG_DISPLAY if not already defined
-        if (!wpConfig.includes("define( 'WP_DEBUG_DISPLAY'") && !wpConfig.includes('define( "WP_DEBUG_DISPLAY"')) {
-          debugSettings.push(`define( 'WP_DEBUG_DISPLAY', ${this.config.development.wpDebugDisplay} );`);
-        }
-        
-        // Check and add SCRIPT_DEBUG if not already defined
-        if (!wpConfig.includes("define( 'SCRIPT_DEBUG'") && !wpConfig.includes('define( "SCRIPT_DEBUG"')) {
-          debugSettings.push(`define( 'SCRIPT_DEBUG', ${this.config.development.scriptDebug} );`);
-        }
-        
-        // Check and add SAVEQUERIES if not already defined
-        if (!wpConfig.includes("define( 'SAVEQUERIES'") && !wpConfig.includes('define( "SAVEQUERIES"')) {
-          debugSettings.push(`define( 'SAVEQUERIES', ${this.config.development.saveQueries} );`);
-        }
-        
-        // Only add debug settings if there are any to add
-        if (debugSettings.length > 0) {
-          const debugSettingsBlock = `
-// Development settings
-${debugSettings.join('\n')}`;
-          
-          wpConfig = wpConfig.replace(
-            /\/\*\s*That's all, stop editing!.*$/s,
-            `${debugSettingsBlock}\n\n/* That's all, stop editing! Happy publishing. */`
-          );
-        }
-      }
-      
-      // Add security settings
-      if (this.config.security.disableFileEditing) {
-        // Check if DISALLOW_FILE_EDIT is not already defined
-        if (!wpConfig.includes("define( 'DISALLOW_FILE_EDIT'") && !wpConfig.includes('define( "DISALLOW_FILE_EDIT"')) {
-          wpConfig = wpConfig.replace(
-            /\/\*\s*That's all, stop editing!.*$/s,
-            `\ndefine( 'DISALLOW_FILE_EDIT', true );\n\n/* That's all, stop editing! Happy publishing. */`
-          );
-        }
-      }
-      
-      // Add performance settings
-      if (this.config.wordpress.memoryLimit) {
-        // Check if WP_MEMORY_LIMIT is not already defined
-        if (!wpConfig.includes("define( 'WP_MEMORY_LIMIT'") && !wpConfig.includes('define( "WP_MEMORY_LIMIT"')) {
-          wpConfig = wpConfig.replace(
-            /\/\*\s*That's all, stop editing!.*$/s,
-            `\ndefine( 'WP_MEMORY_LIMIT', '${this.config.wordpress.memoryLimit}' );\n\n/* That's all, stop editing! Happy publishing. */`
-          );
-        }
-      }
-      
-      // Add custom wp-config lines
-      if (this.config.custom.wpConfig && this.config.custom.wpConfig.length > 0) {
-        const customConfig = '\n' + this.config.custom.wpConfig.join('\n') + '\n';
-        wpConfig = wpConfig.replace(
-          /\/\*\s*That's all, stop editing!.*$/s,
-          `${customConfig}\n/* That's all, stop editing! Happy publishing. */`
-        );
-      }
-      
-      // Ensure wp-config.php ends with proper WordPress loading
-      if (!wpConfig.includes("require_once(ABSPATH . 'wp-settings.php');")) {
-        wpConfig = wpConfig.replace(
-          /\/\*\s*That's all, stop editing!.*$/s,
-          `\n/* That's all, stop editing! Happy publishing. */\n\nrequire_once(ABSPATH . 'wp-settings.php');`
-        );
+  wp(args) {
+    return this.exec(`wp ${args} --path="${this.websitePath}"`, { stdio: 'pipe' }).toString().trim();
+  }
+
+  getRolesFromCapabilities(value) {
+    const node = value ? this.unserializePhp(value) : null;
+    if (!node || node.type !== 'a') return [];
+    return node.entries
+      .filter(([, granted]) => granted.type === 'raw' && /^[bi]:1;$/.test(granted.text))
+      .map(([key]) => (key.type === 's' ? key.value : key.text.slice(2, -1)));
+  }
+
+  // Roles defined in the <prefix>user_roles option, or null when it cannot be read
+  async getSiteRoles() {
+    const rows = await this.query('SELECT option_value FROM ?? WHERE option_name = ?', [this.getTableName('options'), this.getTableName('user_roles')]);
+    const node = rows.length > 0 ? this.unserializePhp(rows[0].option_value) : null;
+    return node && node.type === 'a' ? node.entries.map(([key]) => key.value) : null;
+  }
+
+  async assertRoleExists(role) {
+    const roles = await this.getSiteRoles();
+    if (roles && !roles.includes(role)) {
+      throw new Error(`Role '${role}' does not exist. Available roles: ${roles.join(', ')}`);
+    }
+  }
+
+  async getUserId(login) {
+    const rows = await this.query('SELECT ID FROM ?? WHERE user_login = ?', [this.getTableName('users'), login]);
+    if (rows.length === 0 && !this.dryRun) {
+      throw new Error(`User '${login}' not found`);
+    }
+    return rows.length > 0 ? Number(rows[0].ID) : 0;
+  }
+
+  // Capabilities and user level meta for a role, replacing any existing ones
+  async setUserRoleMeta(userId, role) {
+    const capabilities = this.serializePhp({ type: 'a', entries: [[{ type: 's', value: role }, { type: 'raw', text: 'b:1;' }]] });
+    const keys = [this.getTableName('capabilities'), this.getTableName('user_level')];
+    await this.query('DELETE FROM ?? WHERE user_id = ? AND meta_key IN (?)', [this.getTableName('usermeta'), userId, keys]);
+    await this.query('INSERT INTO ?? (user_id, meta_key, meta_value) VALUES ?', [
+      this.getTableName('usermeta'),
+      [[userId, keys[0], capabilities], [userId, keys[1], String(USER_LEVELS[role] || 0)]]
+    ]);
+  }
+
+  // Users are managed through WP-CLI when it is installed, otherwise directly in the database
+  async listUsers() {
+    if (this.hasWpCli()) {
+      const output = this.wp('user list --fields=ID,user_login,user_email,roles,user_registered --format=json');
+      return JSON.parse(output || '[]').map(user => ({
+        id: Number(user.ID),
+        login: user.user_login,
+        email: user.user_email,
+        roles: String(user.roles || '').split(',').map(role => role.trim()).filter(Boolean),
+        registered: user.user_registered
+      }));
+    }
+
+    const rows = await this.query(
+      "SELECT u.ID AS id, u.user_login AS login, u.user_email AS email, DATE_FORMAT(u.user_registered, '%Y-%m-%d %H:%i:%s') AS registered, m.meta_value AS capabilities FROM ?? u LEFT JOIN ?? m ON m.user_id = u.ID AND m.meta_key = ? ORDER BY u.ID",
+      [this.getTableName('users'), this.getTableName('usermeta'), this.getTableName('capabilities')]
+    );
+    return rows.map(row => ({
+      id: Number(row.id),
+      login: row.login,
+      email: row.email,
+      roles: this.getRolesFromCapabilities(row.capabilities),
+      registered: row.registered
+    }));
+  }
+
+  async createUser({ login, email, role = 'subscriber', password, displayName }) {
+    if (this.hasWpCli()) {
+      this.wp(`user create ${this.shellArg(login)} ${this.shellArg(email)} --role=${this.shellArg(role)} --user_pass=${this.shellArg(password)} --display_name=${this.shellArg(displayName || login)}`);
+      return;
+    }
+
+    await this.assertRoleExists(role);
+    const existing = await this.query('SELECT ID FROM ?? WHERE user_login = ? OR user_email = ?', [this.getTableName('users'), login, email]);
+    if (existing.length > 0) {
+      throw new Error(`A user with login '${login}' or email '${email}' already exists`);
+    }
+
+    const result = await this.query('INSERT INTO ?? SET ?', [this.getTableName('users'), {
+      user_login: login,
+      user_pass: await this.hashWordPressPassword(password),
+      user_nicename: login.toLowerCase().replace(/[^a-z0-9_-]+/g, '-'),
+      user_email: email,
+      user_registered: new Date().toISOString().slice(0, 19).replace('T', ' '),
+      display_name: displayName || login
+    }]);
+    const userId = result.insertId || 0;
+
+    // The meta WordPress adds for every new user
+    const meta = {
+      nickname: login,
+      first_name: '',
+      last_name: '',
+      description: '',
+      rich_editing: 'true',
+      syntax_highlighting: 'true',
+      comment_shortcuts: 'false',
+      admin_color: 'fresh',
+      use_ssl: '0',
+      show_admin_bar_front: 'true',
+      locale: ''
+    };
+    await this.query('INSERT INTO ?? (user_id, meta_key, meta_value) VALUES ?', [
+      this.getTableName('usermeta'),
+      Object.entries(meta).map(([key, value]) => [userId, key, value])
+    ]);
+    await this.setUserRoleMeta(userId, role);
+  }
+
+  async deleteUser(login, reassign = null) {
+    if (this.hasWpCli()) {
+      const reassignFlag = reassign ? ` --reassign=${this.wp(`user get ${this.shellArg(reassign)} --field=ID`)}` : '';
+      this.wp(`user delete ${this.shellArg(login)} --yes${reassignFlag}`);
+      return;
+    }
+
+    const userId = await this.getUserId(login);
+    if (reassign) {
+      const reassignId = await this.getUserId(reassign);
+      await this.query('UPDATE ?? SET post_author = ? WHERE post_author = ?', [this.getTableName('posts'), reassignId, userId]);
+    } else {
+      // Deleting content needs WordPress to clean up after it, so leave that to WP-CLI
+      const rows = await this.query('SELECT COUNT(*) AS count FROM ?? WHERE post_author = ?', [this.getTableName('posts'), userId]);
+      const posts = rows.length > 0 ? Number(rows[0].count) : 0;
+      if (posts > 0) {
+        throw new Error(`'${login}' has ${posts} post(s). Pass --reassign <login> to keep them.`);
       }
-      
-      await fs.writeFile(wpConfigPath, wpConfig);
-      spinner.succeed('wp-config.php updated successfully');
-    } catch (error) {
-      spinner.fail('Failed to update wp-config.php');
-      throw error;
     }
+
+    await this.query('DELETE FROM ?? WHERE user_id = ?', [this.getTableName('usermeta'), userId]);
+    await this.query('DELETE FROM ?? WHERE ID = ?', [this.getTableName('users'), userId]);
+  }
+
+  async setUserPassword(login, password) {
+    if (this.hasWpCli()) {
+      this.wp(`user update ${this.shellArg(login)} --user_pass=${this.shellArg(password)} --skip-email`);
+      return;
+    }
+
+    const userId = await this.getUserId(login);
+    await this.query('UPDATE ?? SET user_pass = ? WHERE ID = ?', [this.getTableName('users'), await this.hashWordPressPassword(password), userId]);
   }
 
-  async generateSalts() {
+  async setUserRole(login, role) {
+    if (this.hasWpCli()) {
+      this.wp(`user set-role ${this.shellArg(login)} ${this.shellArg(role)}`);
+      return;
+    }
+
+    await this.assertRoleExists(role);
+    await this.setUserRoleMeta(await this.getUserId(login), role);
+  }
+
+  // Seed the accounts from the `users` config section; generated passwords go in the summary
+  async createConfiguredUsers() {
+    const users = this.config.users || [];
+    if (users.length === 0) return;
+
+    const spinner = ora('Creating users...').start();
+
     try {
-      const response = await axios.get('https://api.wordpress.org/secret-key/1.1/salt/');
-      return response.data;
-    } catch (error) {
-      // Fallback to local generation
-      const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()';
-      const generateKey = () => {
-        let key = '';
-        for (let i = 0; i < 64; i++) {
-          key += chars.charAt(Math.floor(Math.random() * chars.length));
+      const existing = new Set((await this.listUsers()).map(user => user.login));
+      let created = 0;
+
+      for (const user of users) {
+        const role = user.role || 'subscriber';
+        if (existing.has(user.login)) {
+          spinner.text = `User ${user.login} already exists, skipping...`;
+          continue;
         }
-        return key;
-      };
 
-      return `
-define( 'AUTH_KEY',         '${generateKey()}' );
-define( 'SECURE_AUTH_KEY',  '${generateKey()}' );
-define( 'LOGGED_IN_KEY',    '${generateKey()}' );
-define( 'NONCE_KEY',        '${generateKey()}' );
-define( 'AUTH_SALT',        '${generateKey()}' );
-define( 'SECURE_AUTH_SALT', '${generateKey()}' );
-define( 'LOGGED_IN_SALT',   '${generateKey()}' );
-define( 'NONCE_SALT',       '${generateKey()}' );`;
+        const password = user.password || this.generateRandomPassword();
+        this.secretValues.add(password);
+        spinner.text = `Creating user ${user.login} (${role})...`;
+        await this.createUser({
+          login: user.login,
+          email: user.email || `${user.login}@${this.websiteName}${this.config.valet.domain}`,
+          role,
+          password,
+          displayName: user.displayName
+        });
+        this.seededUsers.push({ login: user.login, role, password: user.password ? null : password });
+        created++;
+      }
+
+      spinner.succeed(`Created ${created} user(s)`);
+    } catch (error) {
+      spinner.fail('Failed to create users');
+      throw error;
     }
   }
 
-  extractSaltValue(salts, keyName) {
-    try {
-      // Extract the salt value from the API response
-      const regex = new RegExp(`define\\s*\\(\\s*['"]${keyName}['"]\\s*,\\s*['"]([^'"]*)['"]\\s*\\)`);
-      const match = salts.match(regex);
-      if (match && match[1]) {
-        return match[1];
-      }
-      
-      // Fallback: generate a random salt
-      const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()';
-      let key = '';
-      for (let i = 0; i < 64; i++) {
-        key += chars.charAt(Math.floor(Math.random() * chars.length));
+  // mulberry32, so the same content seed always generates the same site
+  createRandom(seed) {
+    let state = Number(seed) >>> 0;
+    const next = () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    return { next, int, pick: (list) => list[int(0, list.length - 1)] };
+  }
+
+  loremWords(random, min, max) {
+    return Array.from({ length: random.int(min, max) }, () => random.pick(LOREM_WORDS)).join(' ');
+  }
+
+  loremSentence(random, min = 6, max = 14) {
+    const words = this.loremWords(random, min, max);
+    return `${words.charAt(0).toUpperCase()}${words.slice(1)}.`;
+  }
+
+  loremTitle(random, min = 2, max = 6) {
+    return this.loremSentence(random, min, max).slice(0, -1);
+  }
+
+  // Block editor markup: paragraphs with the odd heading and list
+  loremBlocks(random, paragraphs) {
+    const blocks = [];
+    for (let i = 0; i < paragraphs; i++) {
+      if (i > 0 && random.next() < 0.2) {
+        blocks.push(`<!-- wp:heading -->\n<h2 class="wp-block-heading">${this.loremTitle(random)}</h2>\n<!-- /wp:heading -->`);
       }
-      return key;
-    } catch (error) {
-      // Fallback: generate a random salt
-      const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()';
-      let key = '';
-      for (let i = 0; i < 64; i++) {
-        key += chars.charAt(Math.floor(Math.random() * chars.length));
+      const sentences = Array.from({ length: random.int(3, 7) }, () => this.loremSentence(random)).join(' ');
+      blocks.push(`<!-- wp:paragraph -->\n<p>${sentences}</p>\n<!-- /wp:paragraph -->`);
+      if (random.next() < 0.1) {
+        const items = Array.from({ length: random.int(3, 5) }, () => `<li>${this.loremTitle(random)}</li>`).join('');
+        blocks.push(`<!-- wp:list -->\n<ul class="wp-block-list">${items}</ul>\n<!-- /wp:list -->`);
       }
-      return key;
     }
+    return blocks.join('\n\n');
   }
 
-  async importDatabase() {
-    if (!this.config.sql || !this.config.sql.source) {
-      console.log(chalk.yellow('No SQL file specified in config. Skipping database import.'));
-      return;
+  crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+      crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
     }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
 
-    const spinner = ora('Importing database...').start();
-    
-    try {
-      const sqlPath = path.resolve(this.config.sql.source);
-      
-      if (!await fs.pathExists(sqlPath)) {
-        throw new Error(`SQL file not found: ${sqlPath}`);
+  // Diagonal gradient between two RGB colors, encoded as a PNG without any image library
+  createPlaceholderPng(width, height, from, to) {
+    const rowLength = width * 3 + 1;
+    const pixels = Buffer.alloc(rowLength * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const t = (x / width + y / height) / 2;
+        const offset = y * rowLength + 1 + x * 3;
+        for (let channel = 0; channel < 3; channel++) {
+          pixels[offset + channel] = Math.round(from[channel] + (to[channel] - from[channel]) * t);
+        }
       }
+    }
 
-      // Use dedicated user credentials if created, otherwise use root
-      const dbUser = this.dbUser || this.config.database.user;
-      const dbPassword = this.dbPassword || this.config.database.password;
+    const chunk = (type, data) => {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(data.length);
+      const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+      const crc = Buffer.alloc(4);
+      crc.writeUInt32BE(this.crc32(body));
+      return Buffer.concat([length, body, crc]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolor RGB
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+      chunk('IHDR', header),
+      chunk('IDAT', zlib.deflateSync(pixels)),
+      chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
 
-      let command;
-      if (this.config.database.docker.enabled) {
-        // For Docker, use docker exec with input redirection
-        const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-        command = `docker exec -i ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} < "${sqlPath}"`;
-      } else {
-        // For regular MySQL
-        const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-        command = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} < "${sqlPath}"`;
-      }
-      
-      execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-      
-      // Optimize database if configured
-      if (this.config.sql.optimizeAfterImport) {
-        spinner.text = 'Optimizing database...';
-        let optimizeCommand;
-        if (this.config.database.docker.enabled) {
-          const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-          optimizeCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "OPTIMIZE TABLE wp_posts, wp_postmeta, wp_options, wp_usermeta, wp_users, wp_terms, wp_term_taxonomy, wp_term_relationships, wp_termmeta, wp_comments, wp_commentmeta;"`;
-        } else {
-          const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-          optimizeCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "OPTIMIZE TABLE wp_posts, wp_postmeta, wp_options, wp_usermeta, wp_users, wp_terms, wp_term_taxonomy, wp_term_relationships, wp_termmeta, wp_comments, wp_commentmeta;"`;
+  uniqueSlug(base, taken) {
+    const slug = base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'item';
+    let candidate = slug;
+    for (let i = 2; taken.has(candidate); i++) {
+      candidate = `${slug}-${i}`;
+    }
+    taken.add(candidate);
+    return candidate;
+  }
+
+  formatMysqlDate(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  // A row for the posts table with every NOT NULL column filled in
+  buildPostRow(fields) {
+    const date = typeof fields.date === 'string' ? fields.date : this.formatMysqlDate(fields.date || new Date());
+    return {
+      post_author: fields.author || 0,
+      post_date: date,
+      post_date_gmt: fields.dateGmt || date,
+      post_content: fields.content || '',
+      post_title: fields.title || '',
+      post_excerpt: fields.excerpt || '',
+      post_status: fields.status || 'publish',
+      comment_status: fields.commentStatus || (fields.type === 'post' ? 'open' : 'closed'),
+      ping_status: fields.pingStatus || 'closed',
+      post_password: fields.password || '',
+      post_name: fields.slug,
+      to_ping: '',
+      pinged: '',
+      post_modified: fields.modified || date,
+      post_modified_gmt: fields.modifiedGmt || fields.dateGmt || date,
+      post_content_filtered: '',
+      post_parent: fields.parent || 0,
+      guid: fields.guid || `${this.getSiteUrl()}/?${fields.type === 'page' ? 'page_id' : 'p'}=`,
+      menu_order: fields.menuOrder || 0,
+      post_type: fields.type || 'post',
+      post_mime_type: fields.mimeType || '',
+      comment_count: fields.commentCount || 0
+    };
+  }
+
+  // meta is an object, or a list of [key, value] pairs when keys repeat
+  async insertPost(fields, meta = {}) {
+    const row = this.buildPostRow(fields);
+    const result = await this.query('INSERT INTO ?? SET ?', [this.getTableName('posts'), row]);
+    const postId = result.insertId || 0;
+
+    if (!fields.guid) {
+      await this.query('UPDATE ?? SET guid = ? WHERE ID = ?', [this.getTableName('posts'), `${row.guid}${postId}`, postId]);
+    }
+    const metaRows = (Array.isArray(meta) ? meta : Object.entries(meta)).map(([key, value]) => [postId, key, String(value)]);
+    if (metaRows.length > 0) {
+      await this.query('INSERT INTO ?? (post_id, meta_key, meta_value) VALUES ?', [this.getTableName('postmeta'), metaRows]);
+    }
+    return postId;
+  }
+
+  async insertTerm(name, taxonomy, slug, parent = 0, description = '') {
+    const term = await this.query('INSERT INTO ?? SET ?', [this.getTableName('terms'), { name, slug, term_group: 0 }]);
+    const termTaxonomy = await this.query('INSERT INTO ?? SET ?', [this.getTableName('term_taxonomy'), {
+      term_id: term.insertId || 0,
+      taxonomy,
+      description,
+      parent,
+      count: 0
+    }]);
+    return { termId: term.insertId || 0, termTaxonomyId: termTaxonomy.insertId || 0 };
+  }
+
+  // Recount terms after posts were attached to them outside of WordPress
+  async updateTermCounts() {
+    await this.query(
+      'UPDATE ?? tt SET tt.count = (SELECT COUNT(*) FROM ?? tr WHERE tr.term_taxonomy_id = tt.term_taxonomy_id)',
+      [this.getTableName('term_taxonomy'), this.getTableName('term_relationships')]
+    );
+  }
+
+  async getFirstAdministratorId() {
+    const rows = await this.query(
+      'SELECT user_id FROM ?? WHERE meta_key = ? AND meta_value LIKE ? ORDER BY user_id LIMIT 1',
+      [this.getTableName('usermeta'), this.getTableName('capabilities'), '%"administrator"%']
+    );
+    return rows.length > 0 ? Number(rows[0].user_id) : 1;
+  }
+
+  // Attach a generated placeholder image to the media library and return its ID
+  async insertPlaceholderImage(random, index, settings, takenSlugs, date) {
+    const subdir = `${date.getUTCFullYear()}/${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    const uploadsDir = path.join(this.websitePath, 'wp-content', 'uploads', subdir);
+    const slug = this.uniqueSlug(`placeholder-${index + 1}`, takenSlugs);
+    const file = `${subdir}/${slug}.png`;
+    const color = () => [random.int(0, 255), random.int(0, 255), random.int(0, 255)];
+    const { width, height } = settings.imageSize;
+    const image = this.createPlaceholderPng(width, height, color(), color());
+
+    await this.fsAction(`Write placeholder image ${path.join(uploadsDir, `${slug}.png`)}`, async () => {
+      await fs.ensureDir(uploadsDir);
+      await fs.writeFile(path.join(uploadsDir, `${slug}.png`), image);
+    });
+
+    const metadata = this.serializePhp({
+      type: 'a',
+      entries: [
+        [{ type: 's', value: 'width' }, { type: 'raw', text: `i:${width};` }],
+        [{ type: 's', value: 'height' }, { type: 'raw', text: `i:${height};` }],
+        [{ type: 's', value: 'file' }, { type: 's', value: file }],
+        [{ type: 's', value: 'filesize' }, { type: 'raw', text: `i:${image.length};` }],
+        [{ type: 's', value: 'sizes' }, { type: 'a', entries: [] }]
+      ]
+    });
+
+    return this.insertPost({
+      type: 'attachment',
+      status: 'inherit',
+      title: `Placeholder ${index + 1}`,
+      slug,
+      date,
+      mimeType: 'image/png',
+      guid: `${this.getSiteUrl()}/wp-content/uploads/${file}`
+    }, { _wp_attached_file: file, _wp_attachment_metadata: metadata });
+  }
+
+  getContentSettings(overrides = {}) {
+    const settings = { ...(this.config.content || {}) };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined) settings[key] = value;
+    }
+    return {
+      seed: 1,
+      baseDate: '2024-01-01',
+      posts: 10,
+      pages: 5,
+      pageDepth: 2,
+      categories: 5,
+      tags: 10,
+      comments: 3,
+      authors: 2,
+      images: 5,
+      ...settings,
+      imageSize: { width: 1200, height: 800, ...(settings.imageSize || {}) }
+    };
+  }
+
+  // Generate posts, pages, terms, comments, authors and images straight into the database
+  async seedContent(overrides = {}) {
+    const settings = this.getContentSettings(overrides);
+    // Dates count back from a fixed day, never from now, so a seed always gives the same rows
+    const baseDate = new Date(`${settings.baseDate}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(settings.baseDate) || Number.isNaN(baseDate.getTime())) {
+      throw new Error(`content.baseDate must be a YYYY-MM-DD date, got "${settings.baseDate}"`);
+    }
+    const random = this.createRandom(settings.seed);
+    const summary = { authors: 0, categories: 0, tags: 0, images: 0, posts: 0, pages: 0, comments: 0 };
+    const spinner = ora('Generating test content...').start();
+
+    try {
+      const takenPostSlugs = new Set((await this.query('SELECT post_name FROM ??', [this.getTableName('posts')])).map(row => row.post_name));
+      const takenTermSlugs = new Set((await this.query('SELECT slug FROM ??', [this.getTableName('terms')])).map(row => row.slug));
+      const authorIds = [await this.getFirstAdministratorId()];
+
+      spinner.text = 'Creating authors...';
+      const existingLogins = new Set((await this.listUsers()).map(user => user.login));
+      const authorLogins = Array.from({ length: settings.authors }, (_, i) => `author${i + 1}`);
+      for (const login of authorLogins) {
+        const name = `${random.pick(LOREM_WORDS)} ${random.pick(LOREM_WORDS)}`.replace(/\b\w/g, letter => letter.toUpperCase());
+        if (existingLogins.has(login)) continue;
+        const password = this.generateRandomPassword();
+        this.secretValues.add(password);
+        await this.createUser({ login, email: `${login}@${this.websiteName}${this.config.valet.domain}`, role: 'author', password, displayName: name });
+        this.seededUsers.push({ login, role: 'author', password });
+        summary.authors++;
+      }
+      if (authorLogins.length > 0) {
+        const rows = await this.query('SELECT ID FROM ?? WHERE user_login IN (?) ORDER BY ID', [this.getTableName('users'), authorLogins]);
+        authorIds.push(...rows.map(row => Number(row.ID)));
+      }
+
+      spinner.text = 'Creating categories and tags...';
+      const categories = [];
+      for (let i = 0; i < settings.categories; i++) {
+        const name = this.loremTitle(random, 1, 2);
+        // Every third category nests under the one before it
+        const parent = i % 3 === 2 ? categories[i - 1].termId : 0;
+        categories.push(await this.insertTerm(name, 'category', this.uniqueSlug(name, takenTermSlugs), parent));
+        summary.categories++;
+      }
+      const tags = [];
+      for (let i = 0; i < settings.tags; i++) {
+        const name = random.pick(LOREM_WORDS);
+        tags.push(await this.insertTerm(name, 'post_tag', this.uniqueSlug(name, takenTermSlugs)));
+        summary.tags++;
+      }
+
+      const imageIds = [];
+      for (let i = 0; i < settings.images; i++) {
+        spinner.text = `Generating image ${i + 1}/${settings.images}...`;
+        imageIds.push(await this.insertPlaceholderImage(random, i, settings, takenPostSlugs, baseDate));
+        summary.images++;
+      }
+
+      const dayMs = 24 * 60 * 60 * 1000;
+      for (let i = 0; i < settings.posts; i++) {
+        spinner.text = `Creating post ${i + 1}/${settings.posts}...`;
+        const title = this.loremTitle(random);
+        const date = new Date(baseDate.getTime() - random.int(0, 365) * dayMs - random.int(0, dayMs / 1000) * 1000);
+        const commentCount = random.int(0, settings.comments);
+        const meta = imageIds.length > 0 ? { _thumbnail_id: random.pick(imageIds) } : {};
+        const postId = await this.insertPost({
+          type: 'post',
+          title,
+          slug: this.uniqueSlug(title, takenPostSlugs),
+          content: this.loremBlocks(random, random.int(3, 8)),
+          excerpt: this.loremSentence(random),
+          author: random.pick(authorIds),
+          date,
+          commentCount
+        }, meta);
+
+        const terms = new Set();
+        if (categories.length > 0) {
+          terms.add(random.pick(categories).termTaxonomyId);
+          if (random.next() < 0.3) terms.add(random.pick(categories).termTaxonomyId);
+        }
+        const tagCount = tags.length > 0 ? random.int(0, 3) : 0;
+        for (let t = 0; t < tagCount; t++) {
+          terms.add(random.pick(tags).termTaxonomyId);
+        }
+        if (terms.size > 0) {
+          await this.query('INSERT INTO ?? (object_id, term_taxonomy_id, term_order) VALUES ?', [
+            this.getTableName('term_relationships'),
+            [...terms].map(termTaxonomyId => [postId, termTaxonomyId, 0])
+          ]);
+        }
+
+        const commentIds = [];
+        for (let c = 0; c < commentCount; c++) {
+          const author = random.pick(LOREM_WORDS).replace(/^\w/, letter => letter.toUpperCase());
+          const commentDate = this.formatMysqlDate(new Date(date.getTime() + (c + 1) * random.int(1, 48) * 3600 * 1000));
+          // Some comments answer an earlier one to get threads
+          const parent = commentIds.length > 0 && random.next() < 0.3 ? random.pick(commentIds) : 0;
+          const comment = await this.query('INSERT INTO ?? SET ?', [this.getTableName('comments'), {
+            comment_post_ID: postId,
+            comment_author: author,
+            comment_author_email: `${author.toLowerCase()}@example.com`,
+            comment_author_url: '',
+            comment_author_IP: '127.0.0.1',
+            comment_date: commentDate,
+            comment_date_gmt: commentDate,
+            comment_content: Array.from({ length: random.int(1, 3) }, () => this.loremSentence(random)).join(' '),
+            comment_karma: 0,
+            comment_approved: '1',
+            comment_agent: '',
+            comment_type: 'comment',
+            comment_parent: parent,
+            user_id: 0
+          }]);
+          commentIds.push(comment.insertId || 0);
+          summary.comments++;
         }
-        execSync(optimizeCommand, { stdio: 'pipe' });
+        summary.posts++;
+      }
+
+      // Pages nest under earlier pages, at most pageDepth levels deep
+      const pages = [];
+      for (let i = 0; i < settings.pages; i++) {
+        spinner.text = `Creating page ${i + 1}/${settings.pages}...`;
+        const title = this.loremTitle(random, 1, 3);
+        const parents = pages.filter(page => page.depth < settings.pageDepth - 1);
+        const parent = parents.length > 0 && random.next() < 0.5 ? random.pick(parents) : null;
+        const pageId = await this.insertPost({
+          type: 'page',
+          title,
+          slug: this.uniqueSlug(title, takenPostSlugs),
+          content: this.loremBlocks(random, random.int(2, 5)),
+          author: authorIds[0],
+          date: baseDate,
+          parent: parent ? parent.id : 0,
+          menuOrder: i
+        });
+        pages.push({ id: pageId, depth: parent ? parent.depth + 1 : 0 });
+        summary.pages++;
       }
-      
-      // Repair database if configured
-      if (this.config.sql.repairAfterImport) {
-        spinner.text = 'Repairing database...';
-        let repairCommand;
-        if (this.config.database.docker.enabled) {
-          const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-          repairCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "REPAIR TABLE wp_posts, wp_postmeta, wp_options, wp_usermeta, wp_users, wp_terms, wp_term_taxonomy, wp_term_relationships, wp_termmeta, wp_comments, wp_commentmeta;"`;
-        } else {
-          const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-          repairCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "REPAIR TABLE wp_posts, wp_postmeta, wp_options, wp_usermeta, wp_users, wp_terms, wp_term_taxonomy, wp_term_relationships, wp_termmeta, wp_comments, wp_commentmeta;"`;
+
+      await this.updateTermCounts();
+
+      // WP-CLI can add the intermediate image sizes WordPress would have generated on upload
+      if (imageIds.length > 0 && this.hasWpCli()) {
+        spinner.text = 'Generating image sizes...';
+        try {
+          this.wp(`media regenerate ${imageIds.join(' ')} --yes`);
+        } catch (error) {
+          console.log(chalk.yellow(`\n⚠️  Could not generate image sizes: ${error.message}`));
         }
-        execSync(repairCommand, { stdio: 'pipe' });
       }
-      
-      spinner.succeed('Database imported successfully');
+
+      spinner.succeed(`Generated ${summary.posts} posts, ${summary.pages} pages, ${summary.comments} comments, ${summary.categories} categories, ${summary.tags} tags, ${summary.images} images and ${summary.authors} authors (seed ${settings.seed})`);
+      return summary;
     } catch (error) {
-      spinner.fail('Failed to import database');
+      spinner.fail('Failed to generate test content');
       throw error;
     }
   }
 
-  async performSearchReplace() {
-    if (this.config.advanced.skipSearchReplace) {
-      console.log(chalk.yellow('Skipping search-replace (configured to skip)'));
-      return;
+  wxrText(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return value['#text'] !== undefined ? String(value['#text']) : '';
+    return String(value);
+  }
+
+  // Read a WordPress export (WXR) file into authors, terms and items
+  async readWxr(filePath) {
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '',
+      parseTagValue: false,
+      isArray: (name) => WXR_LIST_TAGS.includes(name)
+    });
+    const document = parser.parse(await fs.readFile(filePath, 'utf8'));
+    const channel = document.rss && document.rss.channel;
+    if (!channel || !channel['wp:wxr_version']) {
+      throw new Error(`${filePath} is not a WordPress export (WXR) file`);
     }
 
-    if (!this.config.sql || !this.config.sql.searchReplace || !this.config.sql.searchReplace.enabled) {
-      console.log(chalk.yellow('Search-replace disabled in config'));
-      return;
+    const text = (value) => this.wxrText(value);
+    const terms = [
+      ...(channel['wp:category'] || []).map(term => ({
+        id: Number(text(term['wp:term_id'])),
+        taxonomy: 'category',
+        slug: text(term['wp:category_nicename']),
+        name: text(term['wp:cat_name']),
+        parent: text(term['wp:category_parent']),
+        description: text(term['wp:category_description'])
+      })),
+      ...(channel['wp:tag'] || []).map(term => ({
+        id: Number(text(term['wp:term_id'])),
+        taxonomy: 'post_tag',
+        slug: text(term['wp:tag_slug']),
+        name: text(term['wp:tag_name']),
+        parent: '',
+        description: text(term['wp:tag_description'])
+      })),
+      ...(channel['wp:term'] || []).map(term => ({
+        id: Number(text(term['wp:term_id'])),
+        taxonomy: text(term['wp:term_taxonomy']),
+        slug: text(term['wp:term_slug']),
+        name: text(term['wp:term_name']),
+        parent: text(term['wp:term_parent']),
+        description: text(term['wp:term_description'])
+      }))
+    ];
+
+    const items = (channel.item || []).map(item => ({
+      id: Number(text(item['wp:post_id'])),
+      type: text(item['wp:post_type']) || 'post',
+      status: text(item['wp:status']) || 'publish',
+      title: text(item.title),
+      slug: text(item['wp:post_name']),
+      content: text(item['content:encoded']),
+      excerpt: text(item['excerpt:encoded']),
+      creator: text(item['dc:creator']),
+      date: text(item['wp:post_date']),
+      dateGmt: text(item['wp:post_date_gmt']),
+      commentStatus: text(item['wp:comment_status']),
+      pingStatus: text(item['wp:ping_status']),
+      parent: Number(text(item['wp:post_parent'])) || 0,
+      menuOrder: Number(text(item['wp:menu_order'])) || 0,
+      password: text(item['wp:post_password']),
+      sticky: text(item['wp:is_sticky']) === '1',
+      attachmentUrl: text(item['wp:attachment_url']),
+      terms: (item.category || []).map(term => ({ taxonomy: term.domain, slug: term.nicename, name: text(term) })),
+      meta: (item['wp:postmeta'] || []).map(meta => [text(meta['wp:meta_key']), text(meta['wp:meta_value'])]),
+      comments: (item['wp:comment'] || []).map(comment => ({
+        id: Number(text(comment['wp:comment_id'])),
+        author: text(comment['wp:comment_author']),
+        email: text(comment['wp:comment_author_email']),
+        url: text(comment['wp:comment_author_url']),
+        ip: text(comment['wp:comment_author_IP']),
+        date: text(comment['wp:comment_date']),
+        dateGmt: text(comment['wp:comment_date_gmt']),
+        content: text(comment['wp:comment_content']),
+        approved: text(comment['wp:comment_approved']) || '1',
+        type: text(comment['wp:comment_type']) || 'comment',
+        parent: Number(text(comment['wp:comment_parent'])) || 0,
+        userId: Number(text(comment['wp:comment_user_id'])) || 0
+      }))
+    }));
+
+    return {
+      baseUrl: text(channel['wp:base_site_url']),
+      authors: (channel['wp:author'] || []).map(author => ({
+        id: Number(text(author['wp:author_id'])),
+        login: text(author['wp:author_login']),
+        email: text(author['wp:author_email']),
+        displayName: text(author['wp:author_display_name'])
+      })),
+      terms,
+      items
+    };
+  }
+
+  // Where an attachment lives below the local attachments directory, matched by
+  // its uploads path first and by file name anywhere in the directory second
+  isInsideDirectory(directory, file) {
+    const relative = path.relative(path.resolve(directory), path.resolve(file));
+    return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+  }
+
+  // Uploads-relative path from an untrusted export: no absolute paths, no .. segments
+  normalizeUploadsPath(value) {
+    const unixPath = String(value).replace(/\\/g, '/');
+    if (unixPath.startsWith('/') || /^[a-zA-Z]:/.test(unixPath)) return null;
+    const segments = unixPath.split('/').filter(segment => segment !== '' && segment !== '.');
+    if (segments.length === 0 || segments.includes('..')) return null;
+    return segments.join('/');
+  }
+
+  findWxrAttachment(item, directory, filesByName) {
+    const attachedFile = (item.meta.find(([key]) => key === '_wp_attached_file') || [])[1];
+    let relative = attachedFile;
+    if (!relative) {
+      let pathname = item.attachmentUrl;
+      try {
+        pathname = decodeURIComponent(new URL(item.attachmentUrl).pathname);
+      } catch (error) {
+        // Not an absolute URL, use it as a path
+      }
+      const uploadsMatch = pathname.match(/\/wp-content\/uploads\/(.+)$/);
+      relative = uploadsMatch ? uploadsMatch[1] : pathname.replace(/^\/+/, '');
     }
+    relative = relative ? this.normalizeUploadsPath(relative) : null;
+    if (!relative) return null;
+
+    const direct = path.join(directory, relative);
+    const matches = filesByName.get(path.basename(relative));
+    const source = fs.existsSync(direct) ? direct : matches ? path.join(directory, matches[0]) : null;
+    // Symlinks must not lead out of the attachments directory either
+    if (!source || !this.isInsideDirectory(fs.realpathSync(directory), fs.realpathSync(source))) {
+      return null;
+    }
+    return { source, relative };
+  }
+
+  async addStickyPosts(postIds) {
+    const current = this.phpToValue(await this.getOption('sticky_posts'));
+    const sticky = [...new Set([...(Array.isArray(current) ? current : []), ...postIds])];
+    await this.setOption('sticky_posts', this.serializePhp(this.valueToPhp(sticky)));
+  }
+
+  // Import a WXR file: authors are mapped to existing users, attachments are copied from a
+  // local directory (never downloaded) and menu items are remapped to the imported content
+  async importWxr(filePath, options = {}) {
+    const wxrPath = path.resolve(filePath);
+    if (!await fs.pathExists(wxrPath)) {
+      throw new Error(`WXR file not found: ${wxrPath}`);
+    }
+
+    const spinner = ora(`Reading ${path.basename(wxrPath)}...`).start();
+    const report = { posts: 0, terms: 0, comments: 0, attachments: 0, menuItems: 0, skipped: 0, missingAttachments: [], authors: [] };
 
-    const spinner = ora('Performing search-replace in database...').start();
-    
     try {
-      const oldUrl = this.config.sql.oldUrl || 'http://example.com';
-      const newUrl = `http://${this.websiteName}${this.config.valet.domain}`;
-      
-      // Perform main URL replacement
-      if (oldUrl !== newUrl) {
-        const dryRunFlag = this.config.sql.searchReplace.dryRun ? '--dry-run' : '';
-        const caseSensitiveFlag = this.config.sql.searchReplace.caseSensitive ? '--case-sensitive' : '';
-        const regexFlag = this.config.sql.searchReplace.regex ? '--regex' : '';
-        
-        const command = `wp search-replace "${oldUrl}" "${newUrl}" --path="${this.websitePath}" --all-tables ${dryRunFlag} ${caseSensitiveFlag} ${regexFlag}`;
-        
-        try {
-          execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-        } catch (wpError) {
-          // If WP-CLI fails, try direct MySQL approach
-          console.log(chalk.yellow('WP-CLI search-replace failed, trying direct MySQL approach...'));
-          await this.performDirectSearchReplace(oldUrl, newUrl);
+      const wxr = await this.readWxr(wxrPath);
+      const siteUrl = this.getSiteUrl();
+
+      // Authors: explicit mapping, then the same login, then the default author
+      spinner.text = 'Mapping authors...';
+      const userIds = new Map((await this.listUsers()).map(user => [user.login, user.id]));
+      const authorMap = options.authorMap || {};
+      let defaultAuthorId;
+      if (options.defaultAuthor) {
+        if (!userIds.has(options.defaultAuthor)) {
+          throw new Error(`Default author '${options.defaultAuthor}' does not exist`);
+        }
+        defaultAuthorId = userIds.get(options.defaultAuthor);
+      } else {
+        defaultAuthorId = await this.getFirstAdministratorId();
+      }
+      const authorIds = new Map();
+      const authorUserIds = new Map();
+      const creators = new Set([...wxr.authors.map(author => author.login), ...wxr.items.map(item => item.creator).filter(Boolean)]);
+      for (const login of creators) {
+        const target = authorMap[login] || (userIds.has(login) ? login : null);
+        if (authorMap[login] && !userIds.has(authorMap[login])) {
+          throw new Error(`Cannot map author '${login}' to '${authorMap[login]}': no such user`);
         }
+        authorIds.set(login, target ? userIds.get(target) : defaultAuthorId);
+        report.authors.push({ login, mappedTo: target || null });
       }
-      
-      // Perform domain replacement
-      const oldDomain = this.config.sql.oldDomain || 'example.com';
-      const newDomain = `${this.websiteName}${this.config.valet.domain}`;
-      
-      if (oldDomain !== newDomain) {
-        const dryRunFlag = this.config.sql.searchReplace.dryRun ? '--dry-run' : '';
-        const caseSensitiveFlag = this.config.sql.searchReplace.caseSensitive ? '--case-sensitive' : '';
-        const regexFlag = this.config.sql.searchReplace.regex ? '--regex' : '';
-        
-        const domainCommand = `wp search-replace "${oldDomain}" "${newDomain}" --path="${this.websitePath}" --all-tables ${dryRunFlag} ${caseSensitiveFlag} ${regexFlag}`;
-        
-        try {
-          execSync(domainCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-        } catch (wpError) {
-          // If WP-CLI fails, try direct MySQL approach
-          console.log(chalk.yellow('WP-CLI domain replacement failed, trying direct MySQL approach...'));
-          await this.performDirectSearchReplace(oldDomain, newDomain);
+      // Comments only keep their user when the author maps to a real account
+      for (const author of wxr.authors) {
+        const mapped = report.authors.find(entry => entry.login === author.login);
+        if (mapped && mapped.mappedTo) authorUserIds.set(author.id, authorIds.get(author.login));
+      }
+
+      // Terms, parents before children
+      spinner.text = 'Importing terms...';
+      const termRows = await this.query(
+        'SELECT t.term_id, t.slug, tt.term_taxonomy_id, tt.taxonomy FROM ?? t JOIN ?? tt ON tt.term_id = t.term_id',
+        [this.getTableName('terms'), this.getTableName('term_taxonomy')]
+      );
+      const terms = new Map(termRows.map(row => [`${row.taxonomy}:${row.slug}`, { termId: Number(row.term_id), termTaxonomyId: Number(row.term_taxonomy_id) }]));
+      const termIds = new Map();
+      const addTerm = async (term, parentId = 0) => {
+        const key = `${term.taxonomy}:${term.slug}`;
+        if (!terms.has(key)) {
+          terms.set(key, await this.insertTerm(term.name || term.slug, term.taxonomy, term.slug, parentId, term.description));
+          report.terms++;
+        }
+        if (term.id) termIds.set(term.id, terms.get(key).termId);
+        return terms.get(key);
+      };
+      let pending = wxr.terms.filter(term => term.taxonomy && term.slug);
+      while (pending.length > 0) {
+        const ready = pending.filter(term => !term.parent || terms.has(`${term.taxonomy}:${term.parent}`) || !pending.some(other => other.taxonomy === term.taxonomy && other.slug === term.parent));
+        // A parent that never resolves (a cycle) leaves the rest at the top level
+        const batch = ready.length > 0 ? ready : pending;
+        for (const term of batch) {
+          const parent = term.parent ? terms.get(`${term.taxonomy}:${term.parent}`) : null;
+          await addTerm(term, parent ? parent.termId : 0);
+        }
+        pending = pending.filter(term => !batch.includes(term));
+      }
+
+      // Posts, pages, attachments and custom post types; menu items once their targets exist
+      const takenSlugs = new Set((await this.query('SELECT post_name FROM ??', [this.getTableName('posts')])).map(row => row.post_name));
+      const postIds = new Map();
+      const imported = [];
+      const sticky = [];
+      const urlMap = [];
+      const attachmentsDir = options.attachmentsDir ? path.resolve(options.attachmentsDir) : null;
+      const filesByName = new Map();
+      if (attachmentsDir) {
+        for (const file of glob.sync('**/*', { cwd: attachmentsDir, nodir: true })) {
+          const name = path.basename(file);
+          filesByName.set(name, [...(filesByName.get(name) || []), file]);
         }
       }
-      
-      // Perform additional replacements
-      if (this.config.sql.searchReplace.additionalReplacements && this.config.sql.searchReplace.additionalReplacements.length > 0) {
-        for (const replacement of this.config.sql.searchReplace.additionalReplacements) {
-          const dryRunFlag = this.config.sql.searchReplace.dryRun ? '--dry-run' : '';
-          const caseSensitiveFlag = this.config.sql.searchReplace.caseSensitive ? '--case-sensitive' : '';
-          const regexFlag = this.config.sql.searchReplace.regex ? '--regex' : '';
-          
-          const additionalCommand = `wp search-replace "${replacement.search}" "${replacement.replace}" --path="${this.websitePath}" --all-tables ${dryRunFlag} ${caseSensitiveFlag} ${regexFlag}`;
-          
-          try {
-            execSync(additionalCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-          } catch (wpError) {
-            // If WP-CLI fails, try direct MySQL approach
-            console.log(chalk.yellow(`WP-CLI replacement failed for "${replacement.search}", trying direct MySQL approach...`));
-            await this.performDirectSearchReplace(replacement.search, replacement.replace);
+
+      const items = wxr.items.filter(item => item.status !== 'auto-draft');
+      const ordered = [...items.filter(item => item.type !== 'nav_menu_item'), ...items.filter(item => item.type === 'nav_menu_item')];
+      for (const [index, item] of ordered.entries()) {
+        spinner.text = `Importing ${item.type} ${index + 1}/${ordered.length}...`;
+
+        // Like the WordPress importer, menu items are never matched: many share an
+        // empty title and the date they were saved on
+        const existing = item.type === 'nav_menu_item' ? [] : await this.query(
+          'SELECT ID FROM ?? WHERE post_type = ? AND post_title = ? AND post_date = ? LIMIT 1',
+          [this.getTableName('posts'), item.type, item.title, item.date]
+        );
+        if (existing.length > 0) {
+          postIds.set(item.id, Number(existing[0].ID));
+          report.skipped++;
+          continue;
+        }
+
+        let meta = item.meta.filter(([key]) => key !== '_edit_lock');
+        let guid;
+        if (item.type === 'attachment') {
+          const uploadsDir = path.join(this.websitePath, 'wp-content', 'uploads');
+          const file = attachmentsDir ? this.findWxrAttachment(item, attachmentsDir, filesByName) : null;
+          const target = file ? path.join(uploadsDir, file.relative) : null;
+          if (!file || !this.isInsideDirectory(uploadsDir, target)) {
+            report.missingAttachments.push(item.attachmentUrl);
+            continue;
+          }
+          await this.fsAction(`Copy ${file.source} to ${target}`, () => fs.copy(file.source, target));
+          guid = `${siteUrl}/wp-content/uploads/${file.relative}`;
+          meta = [...meta.filter(([key]) => key !== '_wp_attached_file'), ['_wp_attached_file', file.relative]];
+          urlMap.push([item.attachmentUrl, guid]);
+          report.attachments++;
+        }
+
+        if (item.type === 'nav_menu_item') {
+          const value = (key) => (meta.find(([metaKey]) => metaKey === key) || [])[1];
+          const objectType = value('_menu_item_type');
+          const objectId = Number(value('_menu_item_object_id'));
+          let newObjectId = objectId;
+          if (objectType === 'post_type') newObjectId = postIds.get(objectId);
+          if (objectType === 'taxonomy') newObjectId = termIds.get(objectId);
+          // Like the WordPress importer, drop items pointing at content that was not imported
+          if (newObjectId === undefined) {
+            report.skipped++;
+            continue;
+          }
+          meta = meta.map(([key, metaValue]) => [key, key === '_menu_item_object_id' ? String(newObjectId) : metaValue]);
+        }
+
+        const commentCount = item.comments.filter(comment => comment.approved === '1').length;
+        const postId = await this.insertPost({
+          type: item.type,
+          status: item.status,
+          title: item.title,
+          slug: item.slug ? this.uniqueSlug(item.slug, takenSlugs) : '',
+          content: item.content,
+          excerpt: item.excerpt,
+          author: authorIds.get(item.creator) || defaultAuthorId,
+          date: item.date || undefined,
+          dateGmt: item.dateGmt && !item.dateGmt.startsWith('0000') ? item.dateGmt : item.date || undefined,
+          commentStatus: item.commentStatus,
+          pingStatus: item.pingStatus,
+          password: item.password,
+          menuOrder: item.menuOrder,
+          mimeType: item.type === 'attachment' ? this.getMimeType(item.attachmentUrl) : '',
+          guid,
+          commentCount
+        }, meta);
+        postIds.set(item.id, postId);
+        imported.push({ item, postId, meta });
+        if (item.sticky) sticky.push(postId);
+        if (item.type === 'nav_menu_item') {
+          report.menuItems++;
+        } else if (item.type !== 'attachment') {
+          report.posts++;
+        }
+
+        const relationships = [];
+        for (const term of item.terms) {
+          if (!term.taxonomy || !term.slug) continue;
+          const { termTaxonomyId } = await addTerm(term);
+          if (!relationships.includes(termTaxonomyId)) relationships.push(termTaxonomyId);
+        }
+        if (relationships.length > 0) {
+          await this.query('INSERT INTO ?? (object_id, term_taxonomy_id, term_order) VALUES ?', [
+            this.getTableName('term_relationships'),
+            relationships.map(termTaxonomyId => [postId, termTaxonomyId, 0])
+          ]);
+        }
+
+        const commentIds = new Map();
+        for (const comment of item.comments) {
+          const result = await this.query('INSERT INTO ?? SET ?', [this.getTableName('comments'), {
+            comment_post_ID: postId,
+            comment_author: comment.author,
+            comment_author_email: comment.email,
+            comment_author_url: comment.url,
+            comment_author_IP: comment.ip,
+            comment_date: comment.date,
+            comment_date_gmt: comment.dateGmt || comment.date,
+            comment_content: comment.content,
+            comment_karma: 0,
+            comment_approved: comment.approved,
+            comment_agent: '',
+            comment_type: comment.type,
+            comment_parent: commentIds.get(comment.parent) || 0,
+            user_id: authorUserIds.get(comment.userId) || 0
+          }]);
+          commentIds.set(comment.id, result.insertId || 0);
+          report.comments++;
+        }
+      }
+
+      // IDs that could only be resolved once everything was imported
+      spinner.text = 'Updating references...';
+      for (const { item, postId, meta } of imported) {
+        if (item.parent) {
+          await this.query('UPDATE ?? SET post_parent = ? WHERE ID = ?', [this.getTableName('posts'), postIds.get(item.parent) || 0, postId]);
+        }
+        const keys = ['_thumbnail_id', '_menu_item_menu_item_parent'];
+        // Custom links point at their own menu item
+        if (meta.some(([key, value]) => key === '_menu_item_type' && value === 'custom')) keys.push('_menu_item_object_id');
+        for (const key of keys) {
+          const oldId = Number((meta.find(([metaKey]) => metaKey === key) || [])[1]);
+          if (oldId) {
+            await this.query('UPDATE ?? SET meta_value = ? WHERE post_id = ? AND meta_key = ?', [this.getTableName('postmeta'), String(postIds.get(oldId) || 0), postId, key]);
           }
         }
       }
-      
-      spinner.succeed('Search-replace completed successfully');
+
+      // Point content at the local copies of the attachments, resized variants included
+      const importedIds = imported.map(entry => entry.postId);
+      for (const [oldUrl, newUrl] of urlMap.sort((a, b) => b[0].length - a[0].length)) {
+        if (importedIds.length === 0) break;
+        const oldBase = oldUrl.replace(/\.[^./]+$/, '');
+        const newBase = newUrl.replace(/\.[^./]+$/, '');
+        await this.query(
+          'UPDATE ?? SET post_content = REPLACE(REPLACE(post_content, ?, ?), ?, ?) WHERE ID IN (?)',
+          [this.getTableName('posts'), oldUrl, newUrl, `${oldBase}-`, `${newBase}-`, importedIds]
+        );
+      }
+
+      if (sticky.length > 0) {
+        await this.addStickyPosts(sticky);
+      }
+      await this.updateTermCounts();
+
+      const attachmentIds = imported.filter(entry => entry.item.type === 'attachment').map(entry => entry.postId);
+      if (attachmentIds.length > 0 && this.hasWpCli()) {
+        spinner.text = 'Generating image sizes...';
+        try {
+          this.wp(`media regenerate ${attachmentIds.join(' ')} --yes`);
+        } catch (error) {
+          console.log(chalk.yellow(`\n⚠️  Could not generate image sizes: ${error.message}`));
+        }
+      }
+
+      spinner.succeed(`Imported ${report.posts} posts, ${report.attachments} attachments, ${report.menuItems} menu items, ${report.terms} terms and ${report.comments} comments from ${path.basename(wxrPath)}`);
+      for (const author of report.authors) {
+        console.log(chalk.gray(`   ${author.login} → ${author.mappedTo || `default author (ID ${defaultAuthorId})`}`));
+      }
+      if (report.skipped > 0) {
+        console.log(chalk.gray(`   ${report.skipped} item(s) already existed or pointed at missing content and were skipped`));
+      }
+      if (report.missingAttachments.length > 0) {
+        console.log(chalk.yellow(`⚠️  ${report.missingAttachments.length} attachment(s) not found${attachmentsDir ? ` in ${attachmentsDir}` : ' (no attachments directory given)'}`));
+      }
+      return report;
     } catch (error) {
-      spinner.fail('Failed to perform search-replace');
+      spinner.fail('WXR import failed');
       throw error;
     }
   }
 
-  async performDirectSearchReplace(search, replace) {
-    try {
-      // Get database connection details
-      const dbUser = this.dbUser || this.config.database.user;
-      const dbPassword = this.config.database.password;
-      const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-      
-      // Get all tables in the database
-      let showTablesCommand;
-      if (this.config.database.docker.enabled) {
-        showTablesCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "SHOW TABLES"`;
-      } else {
-        showTablesCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "SHOW TABLES"`;
-      }
-      
-      const tablesOutput = execSync(showTablesCommand, { stdio: 'pipe' }).toString();
-      const tables = tablesOutput.split('\n').filter(line => line.trim() && !line.includes('Tables_in_'));
-      
-      // Perform search-replace on each table
-      for (const table of tables) {
-        let updateCommand;
-        if (this.config.database.docker.enabled) {
-          updateCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "UPDATE \\\`${table}\\\` SET option_value = REPLACE(option_value, '${search}', '${replace}') WHERE option_value LIKE '%${search}%'"`;
-        } else {
-          updateCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "UPDATE \\\`${table}\\\` SET option_value = REPLACE(option_value, '${search}', '${replace}') WHERE option_value LIKE '%${search}%'"`;
-        }
-        
-        try {
-          execSync(updateCommand, { stdio: 'pipe' });
-        } catch (error) {
-          // Table might not have option_value column, try other common columns
-          const commonColumns = ['post_content', 'post_excerpt', 'post_title', 'comment_content', 'meta_value'];
-          for (const column of commonColumns) {
-            try {
-              let columnUpdateCommand;
-              if (this.config.database.docker.enabled) {
-                columnUpdateCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "UPDATE \\\`${table}\\\` SET \\\`${column}\\\` = REPLACE(\\\`${column}\\\`, '${search}', '${replace}') WHERE \\\`${column}\\\` LIKE '%${search}%'"`;
-              } else {
-                columnUpdateCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "UPDATE \\\`${table}\\\` SET \\\`${column}\\\` = REPLACE(\\\`${column}\\\`, '${search}', '${replace}') WHERE \\\`${column}\\\` LIKE '%${search}%'"`;
-              }
-              execSync(columnUpdateCommand, { stdio: 'pipe' });
-            } catch (columnError) {
-              // Column doesn't exist in this table, continue
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.warn(chalk.yellow(`Direct MySQL search-replace failed: ${error.message}`));
+  getMimeType(file) {
+    const types = {
+      jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
+      pdf: 'application/pdf', mp3: 'audio/mpeg', mp4: 'video/mp4', mov: 'video/quicktime', zip: 'application/zip'
+    };
+    const extension = path.extname(String(file).split('?')[0]).slice(1).toLowerCase();
+    return types[extension] || 'application/octet-stream';
+  }
+
+  // Raw option_value, or null when the option does not exist
+  async getOption(name) {
+    const rows = await this.query('SELECT option_value FROM ?? WHERE option_name = ?', [this.getTableName('options'), name]);
+    return rows.length > 0 ? rows[0].option_value : null;
+  }
+
+  async setOption(name, value, autoload = 'yes') {
+    await this.query(
+      'INSERT INTO ?? (option_name, option_value, autoload) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE option_value = VALUES(option_value)',
+      [this.getTableName('options'), name, value, autoload]
+    );
+  }
+
+  // JavaScript value as a serializer node; objects become arrays with integer keys where possible
+  valueToPhp(value) {
+    if (value === null || value === undefined) return { type: 'raw', text: 'N;' };
+    if (typeof value === 'boolean') return { type: 'raw', text: `b:${value ? 1 : 0};` };
+    if (typeof value === 'number') return { type: 'raw', text: Number.isInteger(value) ? `i:${value};` : `d:${value};` };
+    if (typeof value !== 'object') return { type: 's', value: String(value) };
+
+    return { type: 'a', entries: Object.entries(value).map(([name, item]) => [this.phpKey(name), this.valueToPhp(item)]) };
+  }
+
+  // Array key node, an integer where PHP would use one
+  phpKey(name) {
+    return /^(0|-?[1-9]\d*)$/.test(name) ? { type: 'raw', text: `i:${name};` } : { type: 's', value: name };
+  }
+
+  phpKeyName(node) {
+    return node.type === 's' ? node.value : node.text.replace(/^[ib]:(.*);$/, '$1');
+  }
+
+  getPhpEntry(node, name) {
+    const entry = node.entries.find(([key]) => this.phpKeyName(key) === String(name));
+    return entry ? entry[1] : undefined;
+  }
+
+  // Replace an entry in place, keeping its position, or append it
+  setPhpEntry(node, name, item) {
+    const entry = node.entries.find(([key]) => this.phpKeyName(key) === String(name));
+    if (entry) {
+      entry[1] = item;
+    } else {
+      node.entries.push([this.phpKey(String(name)), item]);
+    }
+  }
+
+  phpList(items) {
+    return { type: 'a', entries: items.map((item, index) => [this.phpKey(String(index)), item]) };
+  }
+
+  // A serialized array option as nodes, so it can be edited without touching the rest.
+  // A missing option is an empty array; anything unparseable is never overwritten.
+  async getOptionNode(name) {
+    const stored = await this.getOption(name);
+    if (stored === null || stored === '') return { type: 'a', entries: [] };
+
+    const node = this.unserializePhp(stored);
+    if (!node || (node.type !== 'a' && node.type !== 'O')) {
+      throw new Error(`Option ${name} is not a serialized array; leaving it untouched`);
+    }
+    return node;
+  }
+
+  // Serialized option value as JavaScript; lists come back as arrays, objects keep their properties
+  phpToValue(serialized) {
+    const convert = (node) => {
+      if (node.type === 's') return node.value;
+      if (node.type === 'a' || node.type === 'O') {
+        const entries = node.entries.map(([key, item]) => [String(convert(key)), convert(item)]);
+        const isList = node.type === 'a' && entries.every(([key], index) => key === String(index));
+        return isList ? entries.map(([, item]) => item) : Object.fromEntries(entries);
+      }
+      const match = node.text.match(/^([bid]):([^;]*);$/);
+      if (!match) return null;
+      return match[1] === 'b' ? match[2] === '1' : Number(match[2]);
+    };
+    const node = serialized ? this.unserializePhp(serialized) : null;
+    return node ? convert(node) : null;
+  }
+
+  // How a configured option is stored: {"$json": ...} as JSON, objects serialized like update_option()
+  formatOptionValue(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1 && '$json' in value) {
+      return JSON.stringify(value.$json);
+    }
+    if (value && typeof value === 'object') return this.serializePhp(this.valueToPhp(value));
+    if (typeof value === 'boolean') return value ? '1' : '';
+    return value === null ? '' : String(value);
+  }
+
+  async findPostId(type, slug) {
+    const rows = await this.query(
+      "SELECT ID FROM ?? WHERE post_type = ? AND post_name = ? AND post_status <> 'trash' ORDER BY ID LIMIT 1",
+      [this.getTableName('posts'), type, slug]
+    );
+    if (rows.length === 0 && !this.dryRun) {
+      throw new Error(`No ${type} with slug '${slug}' found`);
     }
+    return rows.length > 0 ? Number(rows[0].ID) : 0;
   }
 
-  async checkAdminUserExists() {
-    try {
-      const dbUser = this.dbUser || this.config.database.user;
-      const dbPassword = this.dbPassword || this.config.database.password;
-      const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-      
-      let checkCommand;
-      if (this.config.database.docker.enabled) {
-        checkCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "SELECT COUNT(*) as count FROM \\\`${this.config.database.prefix}users\\\` WHERE user_login = '${this.config.wordpress.adminUser}'"`;
-      } else {
-        checkCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "SELECT COUNT(*) as count FROM \\\`${this.config.database.prefix}users\\\` WHERE user_login = '${this.config.wordpress.adminUser}'"`;
-      }
-      
-      const output = execSync(checkCommand, { stdio: 'pipe' }).toString();
-      const lines = output.split('\n').filter(line => line.trim() && !line.includes('count'));
-      
-      if (lines.length > 0) {
-        const count = parseInt(lines[0].trim());
-        return count > 0;
-      }
-      
-      return false;
-    } catch (error) {
-      if (this.config.advanced.verbose) {
-        console.log(chalk.yellow(`Error checking admin user: ${error.message}`));
-      }
-      return false;
+  async createConfiguredPages() {
+    const takenSlugs = new Set((await this.query('SELECT post_name FROM ??', [this.getTableName('posts')])).map(row => row.post_name));
+    const authorId = await this.getFirstAdministratorId();
+    let created = 0;
+
+    // Listed parents come first, so a parent slug is always resolvable
+    for (const [index, page] of (this.config.pages || []).entries()) {
+      const slug = page.slug || page.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+      if (takenSlugs.has(slug)) continue;
+
+      await this.insertPost({
+        type: 'page',
+        status: page.status || 'publish',
+        title: page.title,
+        slug: this.uniqueSlug(slug, takenSlugs),
+        content: page.content || '',
+        author: authorId,
+        parent: page.parent ? await this.findPostId('page', page.parent) : 0,
+        menuOrder: page.menuOrder !== undefined ? page.menuOrder : index
+      }, page.template ? { _wp_page_template: page.template } : {});
+      created++;
     }
+    return created;
   }
 
-  async updateAdminUserPassword() {
-    const spinner = ora('Updating admin user password...').start();
-    
-    try {
-      // First, try to get the user ID to make sure the user exists
-      const getUserCommand = `wp user get ${this.config.wordpress.adminUser} --field=ID --path="${this.websitePath}"`;
-      let userId;
-      
-      try {
-        userId = execSync(getUserCommand, { stdio: 'pipe' }).toString().trim();
-        if (!userId || isNaN(userId)) {
-          throw new Error('User not found');
+  async applyReadingPages() {
+    const { frontPage, postsPage } = this.config.wordpress;
+    if (frontPage) {
+      await this.setOption('show_on_front', 'page');
+      await this.setOption('page_on_front', String(await this.findPostId('page', frontPage)));
+    }
+    if (postsPage) {
+      await this.setOption('page_for_posts', String(await this.findPostId('page', postsPage)));
+    }
+  }
+
+  async insertMenuItems(menu, items, termTaxonomyId, parentId = 0, order = { value: 0 }) {
+    for (const item of items) {
+      let type = 'custom';
+      let object = 'custom';
+      let objectId = 0;
+      if (item.page || item.post) {
+        type = 'post_type';
+        object = item.page ? 'page' : 'post';
+        objectId = await this.findPostId(object, item.page || item.post);
+      } else if (item.category) {
+        const rows = await this.query(
+          'SELECT t.term_id FROM ?? t JOIN ?? tt ON tt.term_id = t.term_id WHERE tt.taxonomy = ? AND t.slug = ?',
+          [this.getTableName('terms'), this.getTableName('term_taxonomy'), 'category', item.category]
+        );
+        if (rows.length === 0 && !this.dryRun) {
+          throw new Error(`Menu '${menu.name}': no category with slug '${item.category}' found`);
         }
-      } catch (getUserError) {
-        spinner.fail('Admin user not found, will create new user instead');
-        await this.createAdminUser();
-        return;
+        type = 'taxonomy';
+        object = 'category';
+        objectId = rows.length > 0 ? Number(rows[0].term_id) : 0;
+      }
+
+      order.value++;
+      const meta = [
+        ['_menu_item_type', type],
+        ['_menu_item_menu_item_parent', String(parentId)],
+        ['_menu_item_object_id', String(objectId)],
+        ['_menu_item_object', object],
+        ['_menu_item_target', item.target || ''],
+        ['_menu_item_classes', this.serializePhp(this.valueToPhp(String(item.classes || '').split(' ')))],
+        ['_menu_item_xfn', ''],
+        ['_menu_item_url', type === 'custom' ? item.url || '' : '']
+      ];
+      // Items for pages, posts and categories show the object's title unless one is given
+      const itemId = await this.insertPost({ type: 'nav_menu_item', title: item.title || '', slug: '', menuOrder: order.value }, meta);
+      if (type === 'custom') {
+        await this.query('UPDATE ?? SET meta_value = ? WHERE post_id = ? AND meta_key = ?', [this.getTableName('postmeta'), String(itemId), itemId, '_menu_item_object_id']);
       }
-      
-      // Use WP-CLI to update the user password
-      const command = `wp user update ${userId} --user_pass="${this.adminPassword}" --path="${this.websitePath}"`;
-      execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-      
-      spinner.succeed('Admin user password updated successfully');
-    } catch (error) {
-      spinner.fail('Failed to update admin user password');
-      console.log(chalk.yellow(`WP-CLI error: ${error.message}`));
-      
-      // Try direct database update as fallback
-      try {
-        console.log(chalk.blue('Trying direct database update...'));
-        await this.updateAdminUserPasswordDirect();
-        spinner.succeed('Admin user password updated via direct database update');
-      } catch (dbError) {
-        console.log(chalk.yellow(`Direct database update also failed: ${dbError.message}`));
-        throw error;
+      await this.query('INSERT INTO ?? (object_id, term_taxonomy_id, term_order) VALUES (?, ?, 0)', [this.getTableName('term_relationships'), itemId, termTaxonomyId]);
+
+      if (item.children && item.children.length > 0) {
+        await this.insertMenuItems(menu, item.children, termTaxonomyId, itemId, order);
       }
     }
   }
 
-  async updateAdminUserPasswordDirect() {
-    try {
-      const dbUser = this.dbUser || this.config.database.user;
-      const dbPassword = this.dbPassword || this.config.database.password;
-      const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-      
-      // Hash the password using WordPress's password hashing
-      const hashedPassword = require('crypto').createHash('md5').update(this.adminPassword).digest('hex');
-      
-      // Update the user password directly in the database
-      const updateCommand = `UPDATE \\\`${this.config.database.prefix}users\\\` SET user_pass = '${hashedPassword}' WHERE user_login = '${this.config.wordpress.adminUser}'`;
-      
-      let command;
-      if (this.config.database.docker.enabled) {
-        command = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "${updateCommand}"`;
+  // Menus are declarative: an existing menu with the same name gets its items replaced
+  async applyConfiguredMenus() {
+    const locations = {};
+
+    for (const menu of this.config.menus || []) {
+      const slug = menu.slug || menu.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+      const rows = await this.query(
+        'SELECT t.term_id, tt.term_taxonomy_id FROM ?? t JOIN ?? tt ON tt.term_id = t.term_id WHERE tt.taxonomy = ? AND t.slug = ?',
+        [this.getTableName('terms'), this.getTableName('term_taxonomy'), 'nav_menu', slug]
+      );
+      let term;
+      if (rows.length > 0) {
+        term = { termId: Number(rows[0].term_id), termTaxonomyId: Number(rows[0].term_taxonomy_id) };
+        const items = await this.query(
+          'SELECT tr.object_id FROM ?? tr JOIN ?? p ON p.ID = tr.object_id WHERE tr.term_taxonomy_id = ? AND p.post_type = ?',
+          [this.getTableName('term_relationships'), this.getTableName('posts'), term.termTaxonomyId, 'nav_menu_item']
+        );
+        const itemIds = items.map(item => Number(item.object_id));
+        if (itemIds.length > 0) {
+          await this.query('DELETE FROM ?? WHERE post_id IN (?)', [this.getTableName('postmeta'), itemIds]);
+          await this.query('DELETE FROM ?? WHERE object_id IN (?)', [this.getTableName('term_relationships'), itemIds]);
+          await this.query('DELETE FROM ?? WHERE ID IN (?)', [this.getTableName('posts'), itemIds]);
+        }
       } else {
-        command = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "${updateCommand}"`;
+        term = await this.insertTerm(menu.name, 'nav_menu', slug);
       }
-      
-      execSync(command, { stdio: 'pipe' });
-    } catch (error) {
-      throw new Error(`Direct database update failed: ${error.message}`);
+
+      await this.insertMenuItems(menu, menu.items || [], term.termTaxonomyId);
+      for (const location of menu.locations || []) {
+        locations[location] = term.termId;
+      }
+    }
+
+    // Theme locations live in the theme mods of the active theme
+    if (Object.keys(locations).length > 0) {
+      const stylesheet = await this.getOption('stylesheet');
+      if (!stylesheet && !this.dryRun) {
+        throw new Error('Cannot assign menu locations: no active theme found');
+      }
+      const modsName = `theme_mods_${stylesheet || '<active theme>'}`;
+      const mods = await this.getOptionNode(modsName);
+      let menuLocations = this.getPhpEntry(mods, 'nav_menu_locations');
+      if (!menuLocations) {
+        menuLocations = { type: 'a', entries: [] };
+        this.setPhpEntry(mods, 'nav_menu_locations', menuLocations);
+      } else if (menuLocations.type !== 'a') {
+        throw new Error(`${modsName} has no valid nav_menu_locations; leaving it untouched`);
+      }
+      for (const [location, termId] of Object.entries(locations)) {
+        this.setPhpEntry(menuLocations, location, this.valueToPhp(termId));
+      }
+      await this.setOption(modsName, this.serializePhp(mods));
     }
   }
 
-  async createAdminUser() {
-    const spinner = ora('Creating admin user...').start();
-    
-    try {
-      // Use WP-CLI to create the admin user
-      const command = `wp user create ${this.config.wordpress.adminUser} ${this.adminEmail} --user_pass="${this.adminPassword}" --role=administrator --display_name="${this.config.wordpress.adminUser}" --path="${this.websitePath}"`;
-      execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-      
-      spinner.succeed('Admin user created successfully');
-    } catch (error) {
-      spinner.fail('Failed to create admin user');
-      throw error;
+  // Each configured sidebar gets exactly the listed widgets; what it held before becomes inactive
+  async applyConfiguredWidgets() {
+    const sidebars = await this.getOptionNode('sidebars_widgets');
+    const widgetsIn = (sidebar) => {
+      const node = this.getPhpEntry(sidebars, sidebar);
+      return node && node.type === 'a' ? node.entries.map(([, item]) => item) : [];
+    };
+    const widgetOptions = {};
+
+    for (const [sidebar, widgets] of Object.entries(this.config.widgets || {})) {
+      this.setPhpEntry(sidebars, 'wp_inactive_widgets', this.phpList([...widgetsIn('wp_inactive_widgets'), ...widgetsIn(sidebar)]));
+      const placed = [];
+
+      for (const widget of widgets) {
+        const optionName = `widget_${widget.type}`;
+        if (!widgetOptions[optionName]) {
+          widgetOptions[optionName] = await this.getOptionNode(optionName);
+          if (this.getPhpEntry(widgetOptions[optionName], '_multiwidget') === undefined) {
+            this.setPhpEntry(widgetOptions[optionName], '_multiwidget', this.valueToPhp(1));
+          }
+        }
+        const instances = widgetOptions[optionName];
+        const numbers = instances.entries.map(([key]) => Number(this.phpKeyName(key))).filter(Number.isInteger);
+        const number = Math.max(1, ...numbers) + 1;
+        const settings = widget.type === 'block' && widget.content !== undefined ? { content: widget.content } : widget.settings || {};
+        this.setPhpEntry(instances, String(number), this.valueToPhp(settings));
+        placed.push({ type: 's', value: `${widget.type}-${number}` });
+      }
+      this.setPhpEntry(sidebars, sidebar, this.phpList(placed));
+    }
+
+    for (const [optionName, instances] of Object.entries(widgetOptions)) {
+      await this.setOption(optionName, this.serializePhp(instances));
     }
+    this.setPhpEntry(sidebars, 'array_version', this.valueToPhp(3));
+    await this.setOption('sidebars_widgets', this.serializePhp(sidebars));
   }
 
-  async hashWordPressPassword(password) {
+  // Pages, homepage, menus, widgets and options from config, in that order so options can override the rest
+  async applySiteStructure() {
+    const spinner = ora('Applying pages, menus, widgets and options...').start();
+
     try {
-      // Use WP-CLI to hash the password if WordPress is available
-      const command = `wp eval "echo wp_hash_password('${password}');" --path="${this.websitePath}"`;
-      const hashedPassword = execSync(command, { stdio: 'pipe' }).toString().trim();
-      
-      // Validate that we got a proper hash (should start with $)
-      if (hashedPassword && hashedPassword.startsWith('$')) {
-        return hashedPassword;
-      } else {
-        throw new Error('Invalid hash returned from WP-CLI');
-      }
+      const applied = [];
+      if ((this.config.pages || []).length > 0) {
+        spinner.text = 'Creating pages...';
+        applied.push(`${await this.createConfiguredPages()} page(s)`);
+      }
+      if (this.config.wordpress.frontPage || this.config.wordpress.postsPage) {
+        spinner.text = 'Setting homepage...';
+        await this.applyReadingPages();
+        applied.push('homepage');
+      }
+      if ((this.config.menus || []).length > 0) {
+        spinner.text = 'Building menus...';
+        await this.applyConfiguredMenus();
+        applied.push(`${this.config.menus.length} menu(s)`);
+      }
+      if (Object.keys(this.config.widgets || {}).length > 0) {
+        spinner.text = 'Placing widgets...';
+        await this.applyConfiguredWidgets();
+        applied.push(`widgets in ${Object.keys(this.config.widgets).length} sidebar(s)`);
+      }
+      const options = Object.entries(this.config.options || {});
+      for (const [name, value] of options) {
+        spinner.text = `Setting option ${name}...`;
+        await this.setOption(name, this.formatOptionValue(value));
+      }
+      if (options.length > 0) applied.push(`${options.length} option(s)`);
+
+      await this.updateTermCounts();
+      spinner.succeed(`Applied ${applied.join(', ')}`);
     } catch (error) {
-      if (this.config.advanced.verbose) {
-        console.log(chalk.yellow(`WP-CLI password hashing failed: ${error.message}`));
-        console.log(chalk.yellow('Using fallback password hashing method...'));
-      }
-      
-      // Fallback: Use a proper WordPress-compatible hash
-      // WordPress uses Portable Hash format with proper salt and iteration
-      const crypto = require('crypto');
-      
-      // Generate a random salt (8 characters, WordPress compatible)
-      const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789./';
-      let salt = '';
-      for (let i = 0; i < 8; i++) {
-        salt += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      
-      // Create MD5 hash with salt (WordPress legacy format)
-      const hash = crypto.createHash('md5').update(salt + password).digest('hex');
-      
-      // Return in WordPress format: $P$ + salt + hash
-      return `$P$${salt}${hash}`;
+      spinner.fail('Failed to apply pages, menus, widgets and options');
+      throw error;
     }
   }
 
+  hasSiteStructure() {
+    return (this.config.pages || []).length > 0
+      || Boolean(this.config.wordpress.frontPage || this.config.wordpress.postsPage)
+      || (this.config.menus || []).length > 0
+      || Object.keys(this.config.widgets || {}).length > 0
+      || Object.keys(this.config.options || {}).length > 0;
+  }
+
   async updateSiteSettings() {
     const spinner = ora('Updating site settings...').start();
     
@@ -1719,7 +5122,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
       if (this.config.wordpress.siteTitle) {
         try {
           const titleCommand = `wp option update blogname "${this.config.wordpress.siteTitle}" --path="${this.websitePath}"`;
-          execSync(titleCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+          this.exec(titleCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
         } catch (wpError) {
           console.log(chalk.yellow('WP-CLI title update failed, trying direct database update...'));
           await this.updateSiteOptionDirect('blogname', this.config.wordpress.siteTitle);
@@ -1730,7 +5133,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
       if (this.config.wordpress.siteDescription) {
         try {
           const descriptionCommand = `wp option update blogdescription "${this.config.wordpress.siteDescription}" --path="${this.websitePath}"`;
-          execSync(descriptionCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+          this.exec(descriptionCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
         } catch (wpError) {
           console.log(chalk.yellow('WP-CLI description update failed, trying direct database update...'));
           await this.updateSiteOptionDirect('blogdescription', this.config.wordpress.siteDescription);
@@ -1745,52 +5148,52 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
       // Configure WordPress settings
       if (this.config.wordpress.usePermalinks) {
         const permalinkCommand = `wp rewrite structure "${this.config.wordpress.permalinkStructure}" --path="${this.websitePath}"`;
-        execSync(permalinkCommand, { stdio: 'pipe' });
+        this.exec(permalinkCommand, { stdio: 'pipe' });
       }
       
       if (this.config.wordpress.disableComments) {
         const commentsCommand = `wp option update default_comment_status closed --path="${this.websitePath}"`;
-        execSync(commentsCommand, { stdio: 'pipe' });
+        this.exec(commentsCommand, { stdio: 'pipe' });
       }
       
       if (this.config.wordpress.disableTrackbacks) {
         const trackbacksCommand = `wp option update default_ping_status closed --path="${this.websitePath}"`;
-        execSync(trackbacksCommand, { stdio: 'pipe' });
+        this.exec(trackbacksCommand, { stdio: 'pipe' });
       }
       
       if (this.config.wordpress.disablePingbacks) {
         const pingbacksCommand = `wp option update default_pingback_flag 0 --path="${this.websitePath}"`;
-        execSync(pingbacksCommand, { stdio: 'pipe' });
+        this.exec(pingbacksCommand, { stdio: 'pipe' });
       }
       
       // Set timezone
       if (this.config.wordpress.timezone) {
         const timezoneCommand = `wp option update timezone_string "${this.config.wordpress.timezone}" --path="${this.websitePath}"`;
-        execSync(timezoneCommand, { stdio: 'pipe' });
+        this.exec(timezoneCommand, { stdio: 'pipe' });
       }
       
       // Set date format
       if (this.config.wordpress.dateFormat) {
         const dateFormatCommand = `wp option update date_format "${this.config.wordpress.dateFormat}" --path="${this.websitePath}"`;
-        execSync(dateFormatCommand, { stdio: 'pipe' });
+        this.exec(dateFormatCommand, { stdio: 'pipe' });
       }
       
       // Set time format
       if (this.config.wordpress.timeFormat) {
         const timeFormatCommand = `wp option update time_format "${this.config.wordpress.timeFormat}" --path="${this.websitePath}"`;
-        execSync(timeFormatCommand, { stdio: 'pipe' });
+        this.exec(timeFormatCommand, { stdio: 'pipe' });
       }
       
       // Set start of week
       if (this.config.wordpress.startOfWeek !== undefined) {
         const startOfWeekCommand = `wp option update start_of_week ${this.config.wordpress.startOfWeek} --path="${this.websitePath}"`;
-        execSync(startOfWeekCommand, { stdio: 'pipe' });
+        this.exec(startOfWeekCommand, { stdio: 'pipe' });
       }
       
       // Set privacy
       if (this.config.wordpress.privacy) {
         const privacyCommand = `wp option update blog_public ${this.config.wordpress.privacy === 'public' ? 1 : 0} --path="${this.websitePath}"`;
-        execSync(privacyCommand, { stdio: 'pipe' });
+        this.exec(privacyCommand, { stdio: 'pipe' });
       }
       
       spinner.succeed('Site settings updated successfully');
@@ -1803,21 +5206,10 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
 
   async updateSiteOptionDirect(optionName, optionValue) {
     try {
-      const dbUser = this.dbUser || this.config.database.user;
-      const dbPassword = this.dbPassword || this.config.database.password;
-      const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-      
-      // Update the option directly in the database
-      const updateCommand = `UPDATE \\\`${this.config.database.prefix}options\\\` SET option_value = '${optionValue.replace(/'/g, "\\'")}' WHERE option_name = '${optionName}'`;
-      
-      let command;
-      if (this.config.database.docker.enabled) {
-        command = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "${updateCommand}"`;
-      } else {
-        command = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "${updateCommand}"`;
-      }
-      
-      execSync(command, { stdio: 'pipe' });
+      await this.query(
+        'UPDATE ?? SET option_value = ? WHERE option_name = ?',
+        [this.getTableName('options'), optionValue, optionName]
+      );
       console.log(chalk.green(`✅ Updated ${optionName} via direct database update`));
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Direct database update failed for ${optionName}: ${error.message}`));
@@ -1826,31 +5218,18 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
 
   async updateAdminEmailDirectly(newEmail) {
     try {
-      // Get database connection details
-      const dbUser = this.dbUser || this.config.database.user;
-      const dbPassword = this.dbPassword || this.config.database.password;
-      const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-      
-      // Update admin_email directly in wp_options table
-      let updateCommand;
-      if (this.config.database.docker.enabled) {
-        updateCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "UPDATE \\\`${this.config.database.prefix}options\\\` SET option_value = '${newEmail}' WHERE option_name = 'admin_email'"`;
-      } else {
-        updateCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "UPDATE \\\`${this.config.database.prefix}options\\\` SET option_value = '${newEmail}' WHERE option_name = 'admin_email'"`;
-      }
-      
-      execSync(updateCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-      
-      // Also update the user's email in wp_users table if admin user exists
-      let userUpdateCommand;
-      if (this.config.database.docker.enabled) {
-        userUpdateCommand = `docker exec ${this.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${this.dbName} -e "UPDATE \\\`${this.config.database.prefix}users\\\` SET user_email = '${newEmail}' WHERE user_login = '${this.config.wordpress.adminUser}'"`;
-      } else {
-        userUpdateCommand = `mysql -h${this.config.database.host} -u${dbUser} ${passwordParam} -P${this.config.database.port} ${this.dbName} -e "UPDATE \\\`${this.config.database.prefix}users\\\` SET user_email = '${newEmail}' WHERE user_login = '${this.config.wordpress.adminUser}'"`;
-      }
+      // Update admin_email directly in the options table to bypass the confirmation email
+      await this.query(
+        'UPDATE ?? SET option_value = ? WHERE option_name = ?',
+        [this.getTableName('options'), newEmail, 'admin_email']
+      );
       
+      // Also update the user's email in the users table if admin user exists
       try {
-        execSync(userUpdateCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+        await this.query(
+          'UPDATE ?? SET user_email = ? WHERE user_login = ?',
+          [this.getTableName('users'), newEmail, this.config.wordpress.adminUser]
+        );
       } catch (userError) {
         // User might not exist yet, that's okay
         if (this.config.advanced.verbose) {
@@ -1866,7 +5245,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
       // Fallback to WP-CLI method if direct update fails
       try {
         const emailCommand = `wp option update admin_email "${newEmail}" --path="${this.websitePath}"`;
-        execSync(emailCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+        this.exec(emailCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
         if (this.config.advanced.verbose) {
           console.log(chalk.gray(`Admin email updated via WP-CLI to: ${newEmail}`));
         }
@@ -1898,13 +5277,13 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
       // Verify the password was set correctly
       if (this.config.advanced.verbose) {
         console.log(chalk.gray(`Admin user: ${this.config.wordpress.adminUser}`));
-        console.log(chalk.gray(`Admin password: ${this.adminPassword}`));
+        console.log(chalk.gray(`Admin password: ${this.secretValues.has(this.adminPassword) ? '****' : this.adminPassword}`));
         console.log(chalk.gray(`Admin email: ${this.adminEmail}`));
         
         // Test the password by trying to verify it with WP-CLI
         try {
           const testCommand = `wp user check-password ${this.config.wordpress.adminUser} "${this.adminPassword}" --path="${this.websitePath}"`;
-          const testResult = execSync(testCommand, { stdio: 'pipe' }).toString().trim();
+          const testResult = this.exec(testCommand, { stdio: 'pipe' }).toString().trim();
           console.log(chalk.gray(`Password verification: ${testResult}`));
         } catch (testError) {
           console.log(chalk.yellow(`Password verification failed: ${testError.message}`));
@@ -1933,7 +5312,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
         for (const plugin of this.config.plugins.wordpressOrg) {
           const activateFlag = this.config.plugins.activateAll ? '--activate' : '';
           const command = `wp plugin install ${plugin} --path="${this.websitePath}" ${activateFlag}`;
-          execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+          this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
         }
       }
 
@@ -1945,11 +5324,11 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
           if (await fs.pathExists(resolvedPath)) {
             const pluginName = path.basename(resolvedPath);
             const targetPath = path.join(this.websitePath, 'wp-content', 'plugins', pluginName);
-            await fs.copy(resolvedPath, targetPath);
+            await this.fsAction(`Copy ${resolvedPath} to ${targetPath}`, () => fs.copy(resolvedPath, targetPath));
             
             if (this.config.plugins.activateAll) {
               const command = `wp plugin activate ${pluginName} --path="${this.websitePath}"`;
-              execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+              this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
             }
           }
         }
@@ -1961,7 +5340,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
         for (const plugin of this.config.plugins.github) {
           const branch = plugin.branch || 'main';
           const command = `wp plugin install https://github.com/${plugin.repo}/archive/${branch}.zip --path="${this.websitePath}" ${plugin.activate ? '--activate' : ''}`;
-          execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+          this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
         }
       }
 
@@ -1972,7 +5351,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
           const resolvedPath = path.resolve(zipPath);
           if (await fs.pathExists(resolvedPath)) {
             const command = `wp plugin install "${resolvedPath}" --path="${this.websitePath}" ${this.config.plugins.activateAll ? '--activate' : ''}`;
-            execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+            this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
           }
         }
       }
@@ -1983,7 +5362,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
         for (const plugin of this.config.plugins.removeDefault) {
           const command = `wp plugin delete ${plugin} --path="${this.websitePath}"`;
           try {
-            execSync(command, { stdio: 'pipe' });
+            this.exec(command, { stdio: 'pipe' });
           } catch (error) {
             // Plugin might not exist, continue
           }
@@ -1994,7 +5373,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
       if (this.config.plugins.updateAfterInstall) {
         spinner.text = 'Updating plugins...';
         const command = `wp plugin update --all --path="${this.websitePath}"`;
-        execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+        this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
       }
 
       spinner.succeed('Plugins installed successfully');
@@ -2018,7 +5397,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
         spinner.text = 'Installing WordPress.org themes...';
         for (const theme of this.config.themes.wordpressOrg) {
           const command = `wp theme install ${theme} --path="${this.websitePath}"`;
-          execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+          this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
         }
       }
 
@@ -2030,7 +5409,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
           if (await fs.pathExists(resolvedPath)) {
             const themeName = path.basename(resolvedPath);
             const targetPath = path.join(this.websitePath, 'wp-content', 'themes', themeName);
-            await fs.copy(resolvedPath, targetPath);
+            await this.fsAction(`Copy ${resolvedPath} to ${targetPath}`, () => fs.copy(resolvedPath, targetPath));
           }
         }
       }
@@ -2041,7 +5420,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
         for (const theme of this.config.themes.github) {
           const branch = theme.branch || 'main';
           const command = `wp theme install https://github.com/${theme.repo}/archive/${branch}.zip --path="${this.websitePath}"`;
-          execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+          this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
         }
       }
 
@@ -2052,7 +5431,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
           const resolvedPath = path.resolve(zipPath);
           if (await fs.pathExists(resolvedPath)) {
             const command = `wp theme install "${resolvedPath}" --path="${this.websitePath}"`;
-            execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+            this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
           }
         }
       }
@@ -2063,7 +5442,7 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
         for (const theme of this.config.themes.removeDefault) {
           const command = `wp theme delete ${theme} --path="${this.websitePath}"`;
           try {
-            execSync(command, { stdio: 'pipe' });
+            this.exec(command, { stdio: 'pipe' });
           } catch (error) {
             // Theme might not exist, continue
           }
@@ -2074,14 +5453,14 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
       if (this.config.themes.activate) {
         spinner.text = 'Activating theme...';
         const command = `wp theme activate ${this.config.themes.activate} --path="${this.websitePath}"`;
-        execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+        this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
       }
 
       // Update themes if configured
       if (this.config.themes.updateAfterInstall) {
         spinner.text = 'Updating themes...';
         const command = `wp theme update --all --path="${this.websitePath}"`;
-        execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+        this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
       }
 
       spinner.succeed('Themes installed successfully');
@@ -2112,10 +5491,13 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
         throw new Error(`Uploads folder not found: ${uploadsSource}`);
       }
 
-      await fs.copy(uploadsSource, uploadsTarget);
+      await this.fsAction(`Copy ${uploadsSource} to ${uploadsTarget}`, () => fs.copy(uploadsSource, uploadsTarget));
       
       // Set permissions if configured
-      if (this.config.uploads.setPermissions) {
+      if (this.config.uploads.setPermissions && this.dryRun) {
+        const { files, directories } = this.config.uploads.permissions;
+        this.recordPlan('file', `Set permissions under ${uploadsTarget} (files ${files}, directories ${directories})`);
+      } else if (this.config.uploads.setPermissions) {
         spinner.text = 'Setting uploads permissions...';
         
         // Use util.promisify to convert glob to Promise-based
@@ -2131,75 +5513,361 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
           await fs.chmod(path.join(uploadsTarget, dir), this.config.uploads.permissions.directories);
         }
       }
-      
-      spinner.succeed('Uploads copied successfully');
-    } catch (error) {
-      spinner.fail('Failed to copy uploads');
-      throw error;
+      
+      spinner.succeed('Uploads copied successfully');
+    } catch (error) {
+      spinner.fail('Failed to copy uploads');
+      throw error;
+    }
+  }
+
+  async setupValet() {
+    if (this.config.advanced.skipValetSetup) {
+      console.log(chalk.yellow('Skipping Valet setup (configured to skip)'));
+      return;
+    }
+
+    if (!this.config.valet.enabled) {
+      console.log(chalk.yellow('Valet setup disabled in config'));
+      return;
+    }
+
+    const spinner = ora('Setting up Valet...').start();
+    
+    try {
+      if (this.config.valet.park) {
+        // Park the directory
+        const command = `cd "${path.dirname(this.websitePath)}" && valet park`;
+        this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+        spinner.succeed(`Valet park complete. Your site is available at: http://${this.websiteName}${this.config.valet.domain}`);
+      } else if (this.config.valet.proxy) {
+        // Use proxy
+        const command = `valet proxy ${this.shellArg(this.websiteName)} http://localhost:8080`;
+        this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+        this.registerRollback({ type: 'valetUnproxy', name: this.websiteName });
+        spinner.succeed(`Valet proxy complete. Your site is available at: http://${this.websiteName}${this.config.valet.domain}`);
+      } else {
+        // Link the site with Valet
+        const command = `cd "${this.websitePath}" && valet link ${this.shellArg(this.websiteName)}`;
+        this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+        this.registerRollback({ type: 'valetUnlink', name: this.websiteName });
+        
+        // Secure with HTTPS if configured
+        if (this.config.valet.secure) {
+          spinner.text = 'Securing with HTTPS...';
+          const secureCommand = `valet secure ${this.shellArg(this.websiteName)}`;
+          this.exec(secureCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+          this.registerRollback({ type: 'valetUnsecure', name: this.websiteName });
+        }
+        
+        spinner.succeed(`Valet setup complete. Your site is available at: http${this.config.valet.secure ? 's' : ''}://${this.websiteName}${this.config.valet.domain}`);
+      }
+    } catch (error) {
+      spinner.fail('Failed to setup Valet');
+      console.log(chalk.yellow('Make sure Laravel Valet is installed and running'));
+    }
+  }
+
+  async installWordPress() {
+    const spinner = ora('Installing WordPress...').start();
+    
+    try {
+      const url = `http://${this.websiteName}${this.config.valet.domain}`;
+      
+      const command = `wp core install --url="${url}" --title="${this.config.wordpress.siteTitle}" --admin_user="${this.config.wordpress.adminUser}" --admin_password="${this.adminPassword}" --admin_email="${this.adminEmail}" --path="${this.websitePath}"`;
+      this.exec(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+      
+      spinner.succeed('WordPress installed successfully');
+      
+      // Apply additional site settings
+      await this.updateSiteSettings();
+    } catch (error) {
+      spinner.fail('Failed to install WordPress');
+      throw error;
+    }
+  }
+
+  getSetupSteps() {
+    const hasSqlSource = () => Boolean(this.config.sql && this.config.sql.source);
+
+    return [
+      { name: 'beforeSetupHooks', run: () => this.runHooks('beforeSetup') },
+      { name: 'createWebsiteDirectory', run: () => this.createWebsiteDirectory() },
+      { name: 'downloadWordPress', run: () => this.downloadWordPress() },
+      { name: 'createDatabase', run: () => this.createDatabase() },
+      { name: 'updateWpConfig', run: () => this.updateWpConfig() },
+      // Install WordPress if no SQL file is provided
+      { name: 'installWordPress', when: () => !hasSqlSource(), run: () => this.installWordPress() },
+      { name: 'importDatabase', when: hasSqlSource, run: () => this.importDatabase() },
+      { name: 'migrateUrls', when: hasSqlSource, run: () => this.migrateUrls() },
+      { name: 'performSearchReplace', when: hasSqlSource, run: () => this.performSearchReplace() },
+      { name: 'manageAdminUser', when: hasSqlSource, run: () => this.manageAdminUser() },
+      // Update site settings to ensure config values are applied
+      { name: 'updateSiteSettings', when: hasSqlSource, run: () => this.updateSiteSettings() },
+      { name: 'afterDatabaseImportHooks', when: hasSqlSource, run: () => this.runHooks('afterDatabaseImport') },
+      { name: 'afterSearchReplaceHooks', when: hasSqlSource, run: () => this.runHooks('afterSearchReplace') },
+      {
+        name: 'changeTablePrefix',
+        when: () => Boolean(this.config.security && this.config.security.changeTablePrefix),
+        run: () => this.applySecurityTablePrefix()
+      },
+      { name: 'installPlugins', run: () => this.installPlugins() },
+      { name: 'installThemes', run: () => this.installThemes() },
+      { name: 'copyUploads', run: () => this.copyUploads() },
+      { name: 'createUsers', when: () => (this.config.users || []).length > 0, run: () => this.createConfiguredUsers() },
+      {
+        name: 'importWxr',
+        when: () => Boolean(this.config.content && this.config.content.wxr && this.config.content.wxr.file),
+        run: () => this.importWxr(this.config.content.wxr.file, this.config.content.wxr)
+      },
+      { name: 'seedContent', when: () => this.config.content && this.config.content.enabled, run: () => this.seedContent() },
+      { name: 'applySiteStructure', when: () => this.hasSiteStructure(), run: () => this.applySiteStructure() },
+      { name: 'setupValet', run: () => this.setupValet() },
+      // Create final backup if configured
+      {
+        name: 'finalBackup',
+        when: () => this.config.backup.enabled && this.config.backup.afterSetup,
+        run: () => this.createBackup()
+      },
+      { name: 'afterSetupHooks', run: () => this.runHooks('afterSetup') }
+    ];
+  }
+
+  async runHooks(hookName) {
+    const hooks = this.config.custom.hooks[hookName];
+    if (!hooks || hooks.length === 0) return;
+
+    for (const hook of hooks) {
+      // Replace wp commands with proper path
+      const hookWithPath = hook.replace(/wp /g, `wp --path="${this.websitePath}" `);
+      this.exec(hookWithPath, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
+    }
+  }
+
+  async runSteps(steps) {
+    for (const step of steps) {
+      if (this.state.completedSteps.includes(step.name)) {
+        console.log(chalk.gray(`Skipping completed step: ${step.name}`));
+        continue;
+      }
+      if (step.when && !step.when()) {
+        continue;
+      }
+
+      this.currentStep = step.name;
+      try {
+        await step.run();
+      } catch (error) {
+        this.state.failedStep = step.name;
+        await this.saveState();
+        throw error;
+      }
+
+      this.state.completedSteps.push(step.name);
+      this.state.failedStep = null;
+      await this.saveState();
+    }
+    this.currentStep = null;
+  }
+
+  getStatePath(websiteName) {
+    return path.join(STATE_DIR, `${websiteName}.json`);
+  }
+
+  async loadState(websiteName) {
+    const statePath = this.getStatePath(websiteName);
+    if (!await fs.pathExists(statePath)) {
+      throw new Error(`No saved setup state for '${websiteName}'. Nothing to resume.`);
+    }
+    return fs.readJson(statePath);
+  }
+
+  async saveState() {
+    if (this.dryRun) return;
+
+    // The state holds credentials, so keep it readable by the owner only
+    this.state = {
+      ...this.state,
+      websiteName: this.websiteName,
+      websitePath: this.websitePath,
+      dbName: this.dbName,
+      dbUser: this.dbUser || null,
+      dbPassword: this.dbPassword || null,
+      tablePrefix: this.tablePrefix || null,
+      seededUsers: this.seededUsers,
+      adminPassword: this.adminPassword,
+      adminEmail: this.adminEmail,
+      template: this.selectedTemplate,
+      variables: this.variableValues,
+      updatedAt: new Date().toISOString()
+    };
+    await fs.ensureDir(STATE_DIR);
+    await fs.writeJson(this.getStatePath(this.websiteName), this.state, { spaces: 2, mode: 0o600 });
+  }
+
+  async clearState() {
+    if (this.dryRun) return;
+    await fs.remove(this.getStatePath(this.websiteName));
+  }
+
+  registerRollback(action) {
+    if (this.dryRun) return;
+
+    // Stored as plain data in the state so resumed runs can still roll back
+    this.state.rollback = this.state.rollback || [];
+    this.state.rollback.push(action);
+  }
+
+  describeRollbackAction(action) {
+    switch (action.type) {
+      case 'removeDirectory':
+        return `Remove directory ${action.path}`;
+      case 'dropDatabase':
+        return `Drop database ${action.name}`;
+      case 'dropUser':
+        return `Drop MySQL user ${action.user}@${action.host}`;
+      case 'valetUnlink':
+        return `Unlink ${action.name} from Valet`;
+      case 'valetUnsecure':
+        return `Remove Valet certificate for ${action.name}`;
+      case 'valetUnproxy':
+        return `Remove Valet proxy for ${action.name}`;
+      case 'restoreBackup':
+        return `Restore backup from ${action.backupDir}`;
+      default:
+        return `Unknown action ${action.type}`;
+    }
+  }
+
+  async runRollbackAction(action) {
+    switch (action.type) {
+      case 'removeDirectory':
+        await fs.remove(action.path);
+        break;
+      case 'dropDatabase':
+        await this.query('DROP DATABASE IF EXISTS ??', [action.name], { role: 'root' });
+        break;
+      case 'dropUser':
+        await this.query('DROP USER IF EXISTS ?@?', [action.user, action.host], { role: 'root' });
+        break;
+      case 'valetUnlink':
+        execSync(`valet unlink ${this.shellArg(action.name)}`, { stdio: 'pipe' });
+        break;
+      case 'valetUnsecure':
+        execSync(`valet unsecure ${this.shellArg(action.name)}`, { stdio: 'pipe' });
+        break;
+      case 'valetUnproxy':
+        execSync(`valet unproxy ${this.shellArg(action.name)}`, { stdio: 'pipe' });
+        break;
+      case 'restoreBackup':
+        await this.restoreBackup(action.backupDir);
+        break;
+      default:
+        throw new Error(`Unknown rollback action: ${action.type}`);
+    }
+  }
+
+  async rollback() {
+    const actions = (this.state.rollback || []).slice().reverse();
+    if (actions.length === 0) return;
+
+    console.log(chalk.yellow('\n↩️  Rolling back partial setup...'));
+    for (const action of actions) {
+      const description = this.describeRollbackAction(action);
+      try {
+        await this.runRollbackAction(action);
+        console.log(chalk.gray(`  ✓ ${description}`));
+      } catch (error) {
+        // Keep going so one stuck resource does not leave the rest behind
+        console.warn(chalk.yellow(`  ⚠️  ${description} failed: ${error.message}`));
+      }
     }
   }
 
-  async setupValet() {
-    if (this.config.advanced.skipValetSetup) {
-      console.log(chalk.yellow('Skipping Valet setup (configured to skip)'));
-      return;
+  async findSiteResources(websiteName) {
+    if (!WEBSITE_NAME_PATTERN.test(websiteName)) {
+      throw new Error(`Invalid website name '${websiteName}': only letters, numbers, hyphens and underscores are allowed`);
+    }
+    await this.useSite(websiteName);
+    // Never remove anything but a site folder directly inside server.path
+    if (path.dirname(path.resolve(this.websitePath)) !== this.getServerPath()) {
+      throw new Error(`Refusing to delete ${this.websitePath}: it is not a site folder inside ${this.getServerPath()}`);
     }
+    const actions = [];
 
-    if (!this.config.valet.enabled) {
-      console.log(chalk.yellow('Valet setup disabled in config'));
-      return;
+    // Valet keeps links and certificates under ~/.config/valet (~/.valet on older versions)
+    const valetHomes = [
+      path.join(require('os').homedir(), '.config', 'valet'),
+      path.join(require('os').homedir(), '.valet')
+    ];
+    const domain = `${websiteName}${this.config.valet.domain}`;
+    let linked = false;
+    let secured = false;
+    let proxied = false;
+    for (const valetHome of valetHomes) {
+      const linkPath = path.join(valetHome, 'Sites', websiteName);
+      const nginxPath = path.join(valetHome, 'Nginx', domain);
+      linked = linked || await fs.pathExists(linkPath);
+      secured = secured || await fs.pathExists(path.join(valetHome, 'Certificates', `${domain}.crt`));
+      if (await fs.pathExists(nginxPath)) {
+        const nginxConfig = await fs.readFile(nginxPath, 'utf8');
+        proxied = proxied || nginxConfig.includes('proxy_pass');
+      }
+    }
+    if (proxied) {
+      actions.push({ type: 'valetUnproxy', name: websiteName });
+    } else if (secured) {
+      actions.push({ type: 'valetUnsecure', name: websiteName });
+    }
+    if (linked) {
+      actions.push({ type: 'valetUnlink', name: websiteName });
     }
 
-    const spinner = ora('Setting up Valet...').start();
-    
     try {
-      if (this.config.valet.park) {
-        // Park the directory
-        const command = `cd "${path.dirname(this.websitePath)}" && valet park`;
-        execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-        spinner.succeed(`Valet park complete. Your site is available at: http://${this.websiteName}${this.config.valet.domain}`);
-      } else if (this.config.valet.proxy) {
-        // Use proxy
-        const command = `valet proxy ${this.websiteName} http://localhost:8080`;
-        execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-        spinner.succeed(`Valet proxy complete. Your site is available at: http://${this.websiteName}${this.config.valet.domain}`);
-      } else {
-        // Link the site with Valet
-        const command = `cd "${this.websitePath}" && valet link ${this.websiteName}`;
-        execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-        
-        // Secure with HTTPS if configured
-        if (this.config.valet.secure) {
-          spinner.text = 'Securing with HTTPS...';
-          const secureCommand = `valet secure ${this.websiteName}`;
-          execSync(secureCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-        }
-        
-        spinner.succeed(`Valet setup complete. Your site is available at: http${this.config.valet.secure ? 's' : ''}://${this.websiteName}${this.config.valet.domain}`);
+      if (this.config.database.docker.enabled) {
+        await this.ensureDockerMysql();
+      }
+      const dbUser = `${this.config.database.userPrefix}${websiteName}`;
+      const userRows = await this.query('SELECT Host FROM mysql.user WHERE User = ?', [dbUser], { role: 'root' });
+      for (const row of userRows) {
+        actions.push({ type: 'dropUser', user: dbUser, host: row.Host });
+      }
+
+      const dbRows = await this.query('SHOW DATABASES LIKE ?', [this.dbName], { role: 'root' });
+      if (dbRows.length > 0) {
+        actions.push({ type: 'dropDatabase', name: this.dbName });
       }
     } catch (error) {
-      spinner.fail('Failed to setup Valet');
-      console.log(chalk.yellow('Make sure Laravel Valet is installed and running'));
+      console.warn(chalk.yellow(`⚠️  Could not inspect MySQL, skipping database cleanup: ${error.message}`));
     }
-  }
 
-  async installWordPress() {
-    const spinner = ora('Installing WordPress...').start();
-    
-    try {
-      const url = `http://${this.websiteName}${this.config.valet.domain}`;
-      
-      const command = `wp core install --url="${url}" --title="${this.config.wordpress.siteTitle}" --admin_user="${this.config.wordpress.adminUser}" --admin_password="${this.adminPassword}" --admin_email="${this.adminEmail}" --path="${this.websitePath}"`;
-      execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-      
-      spinner.succeed('WordPress installed successfully');
-      
-      // Apply additional site settings
-      await this.updateSiteSettings();
-    } catch (error) {
-      spinner.fail('Failed to install WordPress');
-      throw error;
+    if (await fs.pathExists(this.websitePath)) {
+      actions.push({ type: 'removeDirectory', path: this.websitePath });
     }
+
+    return actions;
+  }
+
+  async resumeFromState(websiteName) {
+    const state = await this.loadState(websiteName);
+
+    this.selectedTemplate = state.template || null;
+    this.mergeTemplateConfig();
+    await this.applySiteConfig(state.websiteName);
+    this.setWebsiteName(state.websiteName);
+    this.websitePath = state.websitePath || this.websitePath;
+    this.dbName = state.dbName || this.dbName;
+    this.dbUser = state.dbUser || undefined;
+    this.dbPassword = state.dbPassword || undefined;
+    this.tablePrefix = state.tablePrefix || null;
+    this.seededUsers = state.seededUsers || [];
+    this.adminPassword = state.adminPassword || this.config.wordpress.adminPassword;
+    this.adminEmail = state.adminEmail || this.config.wordpress.adminEmail;
+    this.variableValues = state.variables || {};
+    this.renderTemplateVariables();
+    this.state = state;
+
+    console.log(chalk.cyan(`Resuming setup of ${this.websiteName} from step: ${state.failedStep || 'next pending step'}`));
   }
 
   async run() {
@@ -2208,76 +5876,37 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
       console.log(chalk.gray('This script will help you quickly set up a WordPress website for testing.\n'));
 
       await this.loadConfig();
-      await this.selectTemplate();
-      this.mergeTemplateConfig();
-      await this.promptForWebsiteName();
+      await this.loadAnswers();
+
+      if (this.options.resume) {
+        await this.resumeFromState(this.options.resume);
+      } else {
+        await this.selectTemplate();
+        this.mergeTemplateConfig();
+        await this.promptForWebsiteName();
+        this.state = { completedSteps: [], failedStep: null, startedAt: new Date().toISOString() };
+      }
+      this.applyCliConfig();
+      this.dryRun = Boolean(this.config.advanced.dryRun);
       
+      if (this.dryRun) {
+        console.log(chalk.yellow('\nDry run: planning steps without touching disk or the database.'));
+      }
       console.log(chalk.cyan(`\nSetting up website: ${this.websiteName}`));
       console.log(chalk.gray(`Path: ${this.websitePath}`));
       console.log(chalk.gray(`Database: ${this.dbName}\n`));
 
-      // Run before setup hooks
-      if (this.config.custom.hooks.beforeSetup && this.config.custom.hooks.beforeSetup.length > 0) {
-        for (const hook of this.config.custom.hooks.beforeSetup) {
-          // Replace wp commands with proper path
-          const hookWithPath = hook.replace(/wp /g, `wp --path="${this.websitePath}" `);
-          execSync(hookWithPath, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-        }
-      }
-
-      await this.createWebsiteDirectory();
-      await this.downloadWordPress();
-      await this.createDatabase();
-      await this.updateWpConfig();
-      
-      // Install WordPress if no SQL file is provided
-      if (!this.config.sql || !this.config.sql.source) {
-        await this.installWordPress();
-      } else {
-        await this.importDatabase();
-        await this.performSearchReplace();
-        await this.manageAdminUser();
-        
-        // Update site settings to ensure config values are applied
-        await this.updateSiteSettings();
-        
-        // Run after database import hooks
-        if (this.config.custom.hooks.afterDatabaseImport && this.config.custom.hooks.afterDatabaseImport.length > 0) {
-          for (const hook of this.config.custom.hooks.afterDatabaseImport) {
-            // Replace wp commands with proper path
-            const hookWithPath = hook.replace(/wp /g, `wp --path="${this.websitePath}" `);
-            execSync(hookWithPath, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-          }
-        }
-        
-        // Run after search-replace hooks
-        if (this.config.custom.hooks.afterSearchReplace && this.config.custom.hooks.afterSearchReplace.length > 0) {
-          for (const hook of this.config.custom.hooks.afterSearchReplace) {
-            // Replace wp commands with proper path
-            const hookWithPath = hook.replace(/wp /g, `wp --path="${this.websitePath}" `);
-            execSync(hookWithPath, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-          }
-        }
-      }
-      
-      await this.installPlugins();
-      await this.installThemes();
-      await this.copyUploads();
-      await this.setupValet();
+      await this.saveState();
+      await this.runSteps(this.getSetupSteps());
+      await this.closeDatabase();
 
-      // Create final backup if configured
-      if (this.config.backup.enabled && this.config.backup.afterSetup) {
-        await this.createBackup();
+      if (this.dryRun) {
+        this.printPlan();
+        return;
       }
 
-      // Run after setup hooks
-      if (this.config.custom.hooks.afterSetup && this.config.custom.hooks.afterSetup.length > 0) {
-        for (const hook of this.config.custom.hooks.afterSetup) {
-          // Replace wp commands with proper path
-          const hookWithPath = hook.replace(/wp /g, `wp --path="${this.websitePath}" `);
-          execSync(hookWithPath, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-        }
-      }
+      await this.clearState();
+      await this.registerSite();
 
       console.log(chalk.green.bold('\n✅ WordPress setup completed successfully!'));
       console.log(chalk.cyan(`🌐 Your website is available at: http${this.config.valet.secure ? 's' : ''}://${this.websiteName}${this.config.valet.domain}`));
@@ -2286,11 +5915,26 @@ define( 'NONCE_SALT',       '${generateKey()}' );`;
       console.log(chalk.gray(`🗄️  Database: ${this.dbName}`));
       console.log(chalk.gray(`👤 Admin user: ${this.config.wordpress.adminUser}`));
       console.log(chalk.gray(`📧 Admin email: ${this.adminEmail}`));
+      if (this.seededUsers.length > 0) {
+        console.log(chalk.gray('👥 Users:'));
+        for (const user of this.seededUsers) {
+          console.log(chalk.gray(`   ${user.login} (${user.role}): ${user.password || 'password from config'}`));
+        }
+      }
 
     } catch (error) {
-      console.error(chalk.red.bold('\n❌ Setup failed:'), error.message);
-      if (this.config.advanced.verbose) {
-        console.error(error.stack);
+      console.error(chalk.red.bold('\n❌ Setup failed:'), this.maskSecrets(error.message));
+      if (this.state.failedStep && !this.dryRun) {
+        if (this.options.keepOnFailure) {
+          console.error(chalk.yellow(`Failed at step '${this.state.failedStep}'. The partial site was kept. Fix the problem and continue with:`));
+          console.error(chalk.yellow(`  node index.js setup --resume ${this.websiteName}`));
+        } else {
+          await this.rollback();
+          await this.clearState();
+        }
+      }
+      if (this.config && this.config.advanced.verbose) {
+        console.error(this.maskSecrets(error.stack));
       }
       process.exit(1);
     }
@@ -2306,12 +5950,25 @@ program
 program
   .command('setup')
   .description('Set up a new WordPress website')
-  .action(async () => {
-    const setup = new WordPressSetup();
+  .option('-n, --name <name>', 'website name')
+  .option('-t, --template <key>', 'template to use')
+  .option('--admin-email <email>', 'admin email address')
+  .option('--admin-password <password>', 'admin password')
+  .option('--var <name=value>', 'value for a template variable (repeatable)', (value, previous) => [...previous, value], [])
+  .option('-a, --answers <file>', 'JSON file with answers for every prompt')
+  .option('-y, --yes', 'accept default answers instead of prompting')
+  .option('-f, --force', 'overwrite an existing website without asking')
+  .option('--dry-run', 'print the execution plan without making changes')
+  .option('--skip-tables <tables>', 'comma-separated tables to leave out of the SQL import (* wildcards allowed)')
+  .option('--only-tables <tables>', 'comma-separated tables to import, skipping all others')
+  .option('-r, --resume <name>', 'continue a failed setup from the step that failed')
+  .option('--keep-on-failure', 'keep the partial site instead of rolling back when setup fails')
+  .action(async (options) => {
+    const setup = new WordPressSetup(options);
     await setup.run();
   });
 
-program
+const configCommand = program
   .command('config')
   .description('Open config file for editing')
   .action(async () => {
@@ -2324,18 +5981,243 @@ program
     }
   });
 
-program
+configCommand
+  .command('validate [file]')
+  .description('Validate a config file against the configuration schema')
+  .action(async (file) => {
+    try {
+      const setup = new WordPressSetup();
+
+      if (!file) {
+        // Same check as at load time: the global, user and project layers merged
+        await setup.loadConfig();
+        setup.configLayers.forEach(layer => {
+          console.log(chalk.gray(`  ${layer.name}: ${layer.file}`));
+        });
+        console.log(chalk.green('✅ Configuration is valid'));
+        return;
+      }
+
+      const configFile = path.resolve(file);
+      const config = await fs.readJson(configFile);
+      const errors = setup.validateConfig(config);
+
+      if (errors.length > 0) {
+        setup.printConfigErrors(errors, configFile);
+        process.exit(1);
+      }
+      console.log(chalk.green(`✅ ${configFile} is valid`));
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to validate config:'), error.message);
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('show')
+  .description('Print the merged configuration and the layer each value came from')
+  .option('-r, --resolved <site>', 'include the template and site overrides of a website')
+  .option('-t, --template <key>', 'template to apply (defaults to the site\'s registered template)')
+  .action(async (options) => {
+    try {
+      const setup = new WordPressSetup();
+      await setup.loadConfig();
+
+      if (options.resolved) {
+        await setup.useSite(options.resolved);
+      }
+      if (options.template) {
+        if (!setup.config.templates || !setup.config.templates.list || !setup.config.templates.list[options.template]) {
+          throw new Error(`Template '${options.template}' not found`);
+        }
+        setup.selectedTemplate = options.template;
+      }
+      setup.mergeTemplateConfig();
+      if (options.resolved) {
+        await setup.applySiteConfig(options.resolved);
+      }
+
+      console.log(chalk.blue.bold('📚 Configuration layers (lowest to highest precedence):'));
+      const nameWidth = Math.max(...setup.configLayers.map(layer => layer.name.length));
+      setup.configLayers.forEach((layer, index) => {
+        console.log(chalk.gray(`  ${index + 1}. ${layer.name.padEnd(nameWidth)}  ${layer.file || ''}`.trimEnd()));
+      });
+      console.log(chalk.gray('  Command-line flags are applied last.\n'));
+
+      const rows = [];
+      const collect = (value, prefix) => {
+        for (const key of Object.keys(value)) {
+          const keyPath = prefix ? `${prefix}.${key}` : key;
+          const child = value[key];
+          // Template definitions are inputs, not resolved values
+          if (keyPath === 'templates.list' || keyPath.startsWith('//')) continue;
+          if (child && typeof child === 'object' && !Array.isArray(child) && Object.keys(child).length > 0) {
+            collect(child, keyPath);
+          } else {
+            rows.push({ keyPath, value: setup.maskSecrets(JSON.stringify(child)), source: setup.getConfigSource(keyPath) || '-' });
+          }
+        }
+      };
+      collect(setup.config, '');
+
+      const title = options.resolved ? `Resolved configuration for '${options.resolved}':` : 'Resolved configuration:';
+      console.log(chalk.cyan.bold(title));
+      const pathWidth = Math.max(...rows.map(row => row.keyPath.length));
+      rows.forEach(row => {
+        console.log(`  ${row.keyPath.padEnd(pathWidth)}  ${row.value}  ${chalk.gray(`← ${row.source}`)}`);
+      });
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to show config:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const secretCommand = program
+  .command('secret')
+  .description('Manage encrypted secrets referenced as "secret:<name>" in config values');
+
+secretCommand
+  .command('set <name> [value]')
+  .description('Store a secret (prompts for the value when it is omitted)')
+  .action(async (name, value) => {
+    try {
+      const setup = new WordPressSetup();
+      let secretValue = value;
+      if (secretValue === undefined) {
+        ({ secretValue } = await setup.ask([
+          {
+            type: 'password',
+            name: 'secretValue',
+            message: `Value for ${name}:`,
+            validate: (input) => input.length > 0 || 'A value is required'
+          }
+        ]));
+      }
+
+      const secrets = { ...setup.loadSecrets(true), [name]: secretValue };
+      setup.saveSecrets(secrets);
+      console.log(chalk.green(`✅ Secret '${name}' saved to ${SECRETS_FILE}`));
+      console.log(chalk.gray(`Reference it in config as "secret:${name}"`));
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to save secret:'), error.message);
+      process.exit(1);
+    }
+  });
+
+secretCommand
   .command('list')
-  .description('List all websites in ~/Server')
+  .description('List stored secret names')
   .action(async () => {
     try {
-      const websites = await fs.readdir(SERVER_PATH);
-      console.log(chalk.blue.bold('📁 Websites in ~/Server:'));
-      websites.forEach(website => {
-        console.log(chalk.cyan(`  • ${website}`));
-      });
+      const setup = new WordPressSetup();
+      const names = Object.keys(setup.loadSecrets()).sort();
+      if (names.length === 0) {
+        console.log(chalk.yellow('No secrets stored.'));
+        return;
+      }
+      console.log(chalk.blue.bold('🔐 Stored secrets:'));
+      names.forEach(name => console.log(chalk.cyan(`  • ${name}`)));
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to read secrets:'), error.message);
+      process.exit(1);
+    }
+  });
+
+secretCommand
+  .command('remove <name>')
+  .description('Delete a stored secret')
+  .action(async (name) => {
+    try {
+      const setup = new WordPressSetup();
+      const secrets = { ...setup.loadSecrets() };
+      if (!Object.prototype.hasOwnProperty.call(secrets, name)) {
+        console.log(chalk.yellow(`Secret '${name}' does not exist.`));
+        return;
+      }
+      delete secrets[name];
+      setup.saveSecrets(secrets);
+      console.log(chalk.green(`✅ Secret '${name}' removed`));
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to remove secret:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('list')
+  .description('List websites created by this script')
+  .option('--json', 'output as JSON')
+  .option('-t, --template <key>', 'only sites created from this template')
+  .option('--older-than <days>', 'only sites created more than N days ago')
+  .option('--newer-than <days>', 'only sites created less than N days ago')
+  .action(async (options) => {
+    try {
+      const setup = new WordPressSetup();
+      await setup.loadConfig();
+
+      const registry = await setup.loadRegistry();
+      const dayMs = 24 * 60 * 60 * 1000;
+      const now = Date.now();
+
+      let sites = Object.values(registry.sites);
+      if (options.template) {
+        sites = sites.filter(site => site.template === options.template);
+      }
+      if (options.olderThan !== undefined) {
+        sites = sites.filter(site => now - new Date(site.createdAt).getTime() > Number(options.olderThan) * dayMs);
+      }
+      if (options.newerThan !== undefined) {
+        sites = sites.filter(site => now - new Date(site.createdAt).getTime() < Number(options.newerThan) * dayMs);
+      }
+      sites.sort((a, b) => a.name.localeCompare(b.name));
+
+      if (options.json) {
+        console.log(JSON.stringify(sites, null, 2));
+        return;
+      }
+
+      console.log(chalk.blue.bold('📁 Registered websites:'));
+      if (sites.length === 0) {
+        console.log(chalk.gray('  No websites match.'));
+      } else {
+        const columns = [
+          { title: 'Name', value: site => site.name },
+          { title: 'Template', value: site => site.template || '-' },
+          { title: 'WP', value: site => site.wordpressVersion || '-' },
+          { title: 'URL', value: site => site.url },
+          { title: 'Path', value: site => site.path },
+          { title: 'Database', value: site => site.database },
+          { title: 'DB User', value: site => site.dbUser },
+          { title: 'Created', value: site => site.createdAt.slice(0, 10) },
+          { title: 'Source', value: site => site.source || '-' }
+        ];
+        const widths = columns.map(column => Math.max(column.title.length, ...sites.map(site => String(column.value(site)).length)));
+        const formatRow = values => values.map((value, index) => String(value).padEnd(widths[index])).join('  ').trimEnd();
+
+        console.log(chalk.cyan(formatRow(columns.map(column => column.title))));
+        console.log(chalk.gray(formatRow(widths.map(width => '-'.repeat(width)))));
+        sites.forEach(site => {
+          console.log(formatRow(columns.map(column => column.value(site))));
+        });
+      }
+
+      // Point out WordPress folders that predate the registry
+      const serverPath = setup.config.server.path.startsWith('~') 
+        ? path.join(require('os').homedir(), setup.config.server.path.slice(1))
+        : path.resolve(setup.config.server.path);
+      if (await fs.pathExists(serverPath)) {
+        const unregistered = [];
+        for (const entry of await fs.readdir(serverPath)) {
+          if (!registry.sites[entry] && await fs.pathExists(path.join(serverPath, entry, 'wp-config.php'))) {
+            unregistered.push(entry);
+          }
+        }
+        if (unregistered.length > 0) {
+          console.log(chalk.yellow(`\nUnregistered WordPress sites in ${serverPath}: ${unregistered.join(', ')}`));
+        }
+      }
     } catch (error) {
-      console.error(chalk.red('Error reading Server directory:'), error.message);
+      console.error(chalk.red('Error listing websites:'), error.message);
     }
   });
 
@@ -2364,17 +6246,26 @@ program
       console.log(chalk.gray(`Default template: ${setup.config.templates.default || 'none'}\n`));
 
       templateKeys.forEach(key => {
-        const template = templates[key];
+        const template = setup.resolveTemplate(key);
         console.log(chalk.cyan.bold(`• ${template.name}`));
         console.log(chalk.gray(`  Key: ${key}`));
         console.log(chalk.gray(`  Description: ${template.description}`));
+
+        console.log(chalk.gray(`  Source: ${setup.getTemplateOrigin(key)}`));
+
+        if (template.extends) {
+          console.log(chalk.gray(`  Extends: ${[].concat(template.extends).join(', ')}`));
+        }
         
         if (template.wordpress && template.wordpress.siteTitle) {
           console.log(chalk.gray(`  Site Title: ${template.wordpress.siteTitle}`));
         }
         
-        if (template.plugins && template.plugins.wordpressOrg && template.plugins.wordpressOrg.length > 0) {
-          console.log(chalk.gray(`  Plugins: ${template.plugins.wordpressOrg.join(', ')}`));
+        const plugins = template.plugins && setup.isListDirective(template.plugins.wordpressOrg)
+          ? setup.applyListDirective(setup.config.plugins.wordpressOrg, template.plugins.wordpressOrg)
+          : template.plugins && template.plugins.wordpressOrg;
+        if (plugins && plugins.length > 0) {
+          console.log(chalk.gray(`  Plugins: ${plugins.join(', ')}`));
         }
         
         if (template.themes && template.themes.activate) {
@@ -2388,7 +6279,132 @@ program
         console.log(''); // Empty line for spacing
       });
     } catch (error) {
-      console.error(chalk.red('Error loading templates:'), error.message);
+      console.error(chalk.red('Error loading templates:'), error.message);
+    }
+  });
+
+const templateCommand = program
+  .command('template')
+  .description('Share templates as files');
+
+templateCommand
+  .command('export <key> <file>')
+  .description('Export a template to a .json/.yaml file, or to a folder bundling its SQL, uploads and plugin/theme files')
+  .action(async (key, file) => {
+    try {
+      const setup = new WordPressSetup();
+      await setup.loadConfig();
+
+      if (!setup.config.templates || !setup.config.templates.list || !setup.config.templates.list[key]) {
+        console.log(chalk.red(`❌ Template '${key}' not found.`));
+        process.exit(1);
+      }
+
+      const { file: templateFile, assets } = await setup.exportTemplate(key, path.resolve(file));
+      console.log(chalk.green(`✅ Template '${key}' exported to ${templateFile}`));
+      assets.forEach(asset => console.log(chalk.gray(`  • ${asset}`)));
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to export template:'), error.message);
+      process.exit(1);
+    }
+  });
+
+templateCommand
+  .command('import <source>')
+  .description('Import a template file or template folder into the templates directory')
+  .option('-k, --key <key>', 'Template key (defaults to the file or folder name)')
+  .option('-f, --force', 'Replace an existing template with the same key')
+  .action(async (source, options) => {
+    try {
+      const setup = new WordPressSetup();
+      await setup.loadConfig();
+
+      const { key, destination } = await setup.importTemplate(path.resolve(source), options);
+      console.log(chalk.green(`✅ Template '${key}' imported to ${destination}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to import template:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('delete-site <name>')
+  .description('Delete a website with its database, MySQL user and Valet link')
+  .option('-b, --backup', 'take a final backup before deleting')
+  .option('-y, --yes', 'delete without asking for confirmation')
+  .action(async (name, options) => {
+    try {
+      const setup = new WordPressSetup(options);
+      await setup.loadConfig();
+
+      console.log(chalk.blue(`🔍 Looking for resources of: ${name}`));
+      const actions = await setup.findSiteResources(name);
+
+      if (actions.length === 0) {
+        console.log(chalk.yellow(`Nothing found for '${name}'.`));
+        await fs.remove(setup.getStatePath(name));
+        await setup.unregisterSite(name);
+        await setup.closeDatabase();
+        return;
+      }
+
+      console.log(chalk.cyan.bold('\nThe following will be removed:'));
+      actions.forEach(action => {
+        console.log(chalk.gray(`  • ${setup.describeRollbackAction(action)}`));
+      });
+      console.log('');
+
+      if (!options.yes) {
+        const { confirm } = await setup.ask([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Delete '${name}' permanently?`,
+            default: false
+          }
+        ]);
+
+        if (!confirm) {
+          console.log(chalk.yellow('Operation cancelled.'));
+          await setup.closeDatabase();
+          return;
+        }
+      }
+
+      if (options.backup) {
+        console.log(chalk.blue('📦 Creating final backup...'));
+        setup.config.backup.enabled = true;
+        const backupDir = await setup.createBackup();
+        if (backupDir) {
+          console.log(chalk.gray(`Backup saved to: ${backupDir}`));
+        }
+      }
+
+      let failures = 0;
+      for (const action of actions) {
+        const description = setup.describeRollbackAction(action);
+        try {
+          await setup.runRollbackAction(action);
+          console.log(chalk.green(`✅ ${description}`));
+        } catch (error) {
+          failures++;
+          console.warn(chalk.yellow(`⚠️  ${description} failed: ${error.message}`));
+        }
+      }
+      await fs.remove(setup.getStatePath(name));
+      if (failures === 0) {
+        await setup.unregisterSite(name);
+      }
+
+      if (failures > 0) {
+        console.error(chalk.red(`❌ Site '${name}' was only partially deleted (${failures} action(s) failed).`));
+        process.exit(1);
+      }
+      console.log(chalk.green.bold(`\n✅ Site '${name}' deleted.`));
+      await setup.closeDatabase();
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to delete site:'), error.message);
+      process.exit(1);
     }
   });
 
@@ -2416,7 +6432,7 @@ program
       }
 
       // Validate new site name
-      if (!/^[a-zA-Z0-9-_]+$/.test(newSiteName)) {
+      if (!WEBSITE_NAME_PATTERN.test(newSiteName)) {
         console.error(chalk.red('❌ Site name can only contain letters, numbers, hyphens, and underscores'));
         process.exit(1);
       }
@@ -2464,6 +6480,9 @@ program
       console.log(chalk.blue('🔍 Analyzing source WordPress site...'));
       const siteAnalysis = await setup.analyzeWordPressSite(resolvedSourcePath);
 
+      // Keep the source site's table prefix
+      setup.tablePrefix = siteAnalysis.databasePrefix || await setup.readTablePrefix(resolvedSourcePath);
+
       // Copy WordPress files
       console.log(chalk.blue('📁 Copying WordPress files...'));
       await fs.copy(resolvedSourcePath, setup.websitePath);
@@ -2533,22 +6552,13 @@ program
         
         try {
           // Query the imported database for URLs
-          const dbUser = setup.config.database.user;
-          const dbPassword = setup.config.database.password;
-          const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-          
-          let queryCommand;
-          if (setup.config.database.docker.enabled) {
-            queryCommand = `docker exec ${setup.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${setup.dbName} -e "SELECT option_value FROM ${setup.config.database.prefix}options WHERE option_name = 'home' LIMIT 1;"`;
-          } else {
-            queryCommand = `mysql -h${setup.config.database.host} -u${dbUser} ${passwordParam} -P${setup.config.database.port} ${setup.dbName} -e "SELECT option_value FROM ${setup.config.database.prefix}options WHERE option_name = 'home' LIMIT 1;"`;
-          }
-          
-          const output = execSync(queryCommand, { stdio: 'pipe' }).toString();
-          const lines = output.split('\n').filter(line => line.trim() && !line.includes('option_value'));
+          const rows = await setup.query(
+            'SELECT option_value FROM ?? WHERE option_name = ? LIMIT 1',
+            [setup.getTableName('options'), 'home']
+          );
           
-          if (lines.length > 0) {
-            oldUrl = lines[0].trim();
+          if (rows.length > 0 && rows[0].option_value) {
+            oldUrl = rows[0].option_value.trim();
             try {
               const url = new URL(oldUrl);
               oldDomain = url.hostname;
@@ -2566,7 +6576,7 @@ program
         console.log(chalk.blue('🔄 Performing search-replace...'));
         
         // Set up the new URL
-        const newUrl = `http://${setup.websiteName}${setup.config.valet.domain}`;
+        const newUrl = setup.getSiteUrl();
         const newDomain = `${setup.websiteName}${setup.config.valet.domain}`;
         
         console.log(chalk.gray(`  Old URL: ${oldUrl}`));
@@ -2577,109 +6587,20 @@ program
         setup.config.sql = {
           oldUrl: oldUrl,
           oldDomain: oldDomain || new URL(oldUrl).hostname,
+          urlMigration: {
+            enabled: true,
+            variants: URL_VARIANTS
+          },
           searchReplace: {
             enabled: true,
             caseSensitive: false,
             regex: false,
             dryRun: false,
-            additionalReplacements: [
-              // Domain without protocol
-              {
-                search: oldUrl.replace(/^https?:\/\//, ''),
-                replace: newDomain
-              },
-              // HTTPS version
-              {
-                search: oldUrl.replace(/^https?:\/\//, 'https://'),
-                replace: newUrl
-              },
-              // HTTP version
-              {
-                search: oldUrl.replace(/^https?:\/\//, 'http://'),
-                replace: newUrl
-              },
-              // JSON encoded URLs
-              {
-                search: oldUrl.replace(/^https?:\/\//, 'https:\\/\\/'),
-                replace: newUrl.replace(/:/g, '\\:').replace(/\//g, '\\/')
-              },
-              {
-                search: oldUrl.replace(/^https?:\/\//, 'http:\\/\\/'),
-                replace: newUrl.replace(/:/g, '\\:').replace(/\//g, '\\/')
-              },
-              // Serialized PHP URLs
-              {
-                search: `s:${oldUrl.length}:"${oldUrl}"`,
-                replace: `s:${newUrl.length}:"${newUrl}"`
-              }
-            ]
-          }
-        };
-        
-        // Temporarily override the performSearchReplace method to use our new URL
-        const originalPerformSearchReplace = setup.performSearchReplace.bind(setup);
-        setup.performSearchReplace = async function() {
-          const oldUrl = this.config.sql.oldUrl || 'http://example.com';
-          const newUrl = `http://${this.websiteName}${this.config.valet.domain}`;
-          
-          const oldDomain = this.config.sql.oldDomain || 'example.com';
-          const newDomain = `${this.websiteName}${this.config.valet.domain}`;
-          
-          // Perform main URL replacement
-          if (oldUrl !== newUrl) {
-            const dryRunFlag = this.config.sql.searchReplace.dryRun ? '--dry-run' : '';
-            const caseSensitiveFlag = this.config.sql.searchReplace.caseSensitive ? '--case-sensitive' : '';
-            const regexFlag = this.config.sql.searchReplace.regex ? '--regex' : '';
-            
-            const command = `wp search-replace "${oldUrl}" "${newUrl}" --path="${this.websitePath}" --all-tables ${dryRunFlag} ${caseSensitiveFlag} ${regexFlag}`;
-            
-            try {
-              execSync(command, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-            } catch (wpError) {
-              console.log(chalk.yellow('WP-CLI search-replace failed, trying direct MySQL approach...'));
-              await this.performDirectSearchReplace(oldUrl, newUrl);
-            }
-          }
-          
-          // Perform domain replacement
-          if (oldDomain !== newDomain) {
-            const dryRunFlag = this.config.sql.searchReplace.dryRun ? '--dry-run' : '';
-            const caseSensitiveFlag = this.config.sql.searchReplace.caseSensitive ? '--case-sensitive' : '';
-            const regexFlag = this.config.sql.searchReplace.regex ? '--regex' : '';
-            
-            const domainCommand = `wp search-replace "${oldDomain}" "${newDomain}" --path="${this.websitePath}" --all-tables ${dryRunFlag} ${caseSensitiveFlag} ${regexFlag}`;
-            
-            try {
-              execSync(domainCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-            } catch (wpError) {
-              console.log(chalk.yellow('WP-CLI domain replacement failed, trying direct MySQL approach...'));
-              await this.performDirectSearchReplace(oldDomain, newDomain);
-            }
-          }
-          
-          // Perform additional replacements
-          if (this.config.sql.searchReplace.additionalReplacements && this.config.sql.searchReplace.additionalReplacements.length > 0) {
-            for (const replacement of this.config.sql.searchReplace.additionalReplacements) {
-              const dryRunFlag = this.config.sql.searchReplace.dryRun ? '--dry-run' : '';
-              const caseSensitiveFlag = this.config.sql.searchReplace.caseSensitive ? '--case-sensitive' : '';
-              const regexFlag = this.config.sql.searchReplace.regex ? '--regex' : '';
-              
-              const additionalCommand = `wp search-replace "${replacement.search}" "${replacement.replace}" --path="${this.websitePath}" --all-tables ${dryRunFlag} ${caseSensitiveFlag} ${regexFlag}`;
-              
-              try {
-                execSync(additionalCommand, { stdio: this.config.advanced.verbose ? 'inherit' : 'pipe' });
-              } catch (wpError) {
-                console.log(chalk.yellow(`WP-CLI replacement failed for "${replacement.search}", trying direct MySQL approach...`));
-                await this.performDirectSearchReplace(replacement.search, replacement.replace);
-              }
-            }
+            additionalReplacements: []
           }
         };
         
-        await setup.performSearchReplace();
-        
-        // Restore original method
-        setup.performSearchReplace = originalPerformSearchReplace;
+        await setup.migrateUrls();
         
         // Update WordPress site URLs directly in database
         console.log(chalk.blue('🔗 Updating WordPress site URLs...'));
@@ -2716,6 +6637,8 @@ program
         await setup.createBackup();
       }
 
+      await setup.registerSite({ source: resolvedSourcePath });
+
       console.log(chalk.green.bold('\n✅ WordPress site copied successfully!'));
       console.log(chalk.cyan(`🌐 Your new website is available at: http${setup.config.valet.secure ? 's' : ''}://${setup.websiteName}${setup.config.valet.domain}`));
       console.log(chalk.cyan(`🌐 Admin login: http${setup.config.valet.secure ? 's' : ''}://${setup.websiteName}${setup.config.valet.domain}/wp-admin`));
@@ -2723,7 +6646,7 @@ program
       console.log(chalk.gray(`🗄️  Database: ${setup.dbName}`));
       console.log(chalk.gray(`👤 Admin user: ${setup.config.wordpress.adminUser}`));
       console.log(chalk.gray(`📧 Admin email: ${setup.config.wordpress.adminEmail}`));
-
+      await setup.closeDatabase();
     } catch (error) {
       console.error(chalk.red('❌ Failed to copy WordPress site:'), error.message);
       if (setup.config && setup.config.advanced && setup.config.advanced.verbose) {
@@ -2866,14 +6789,11 @@ program
         }
       };
 
-      // Add template to config
-      setup.config.templates.list[answers.key] = template;
-
-      // Save config
-      await fs.writeJson(CONFIG_FILE, setup.config, { spaces: 2 });
+      const templateFile = await setup.saveTemplate(answers.key, template);
 
       console.log(chalk.green(`✅ Template '${answers.name}' created successfully!`));
       console.log(chalk.cyan(`Key: ${answers.key}`));
+      console.log(chalk.gray(`Saved to: ${templateFile}`));
       console.log(chalk.gray(`Based on: ${resolvedPath}`));
       
       if (siteAnalysis.wordpressOrgPlugins.length > 0) {
@@ -2887,8 +6807,10 @@ program
       }
       
       console.log(chalk.gray('You can now use this template when setting up new WordPress sites.'));
+      await setup.closeDatabase();
     } catch (error) {
       console.error(chalk.red('Error creating template from site:'), error.message);
+      process.exit(1);
     }
   });
 
@@ -3014,14 +6936,11 @@ program
         }
       };
 
-      // Add template to config
-      setup.config.templates.list[answers.key] = template;
-
-      // Save config
-      await fs.writeJson(CONFIG_FILE, setup.config, { spaces: 2 });
+      const templateFile = await setup.saveTemplate(answers.key, template);
 
       console.log(chalk.green(`✅ Template '${answers.name}' created successfully!`));
       console.log(chalk.cyan(`Key: ${answers.key}`));
+      console.log(chalk.gray(`Saved to: ${templateFile}`));
       console.log(chalk.gray('You can now use this template when setting up new WordPress sites.'));
     } catch (error) {
       console.error(chalk.red('Error creating template:'), error.message);
@@ -3042,6 +6961,7 @@ program
       }
       
       await setup.ensureDockerMysql();
+      await setup.closeDatabase();
       console.log(chalk.green('✅ Docker MySQL container is ready!'));
     } catch (error) {
       console.error(chalk.red('❌ Failed to setup Docker MySQL:'), error.message);
@@ -3170,7 +7090,7 @@ program
         console.log(chalk.green('✅ Site analysis completed successfully!'));
         console.log(chalk.green('   This site can be copied using the copy-site command.'));
       }
-      
+      await setup.closeDatabase();
     } catch (error) {
       console.error(chalk.red('❌ Failed to analyze site:'), error.message);
       if (setup.config && setup.config.advanced && setup.config.advanced.verbose) {
@@ -3189,12 +7109,7 @@ program
       await setup.loadConfig();
       
       // Set up website path and database name
-      const serverPath = setup.config.server.path.startsWith('~') 
-        ? path.join(require('os').homedir(), setup.config.server.path.slice(1))
-        : path.resolve(setup.config.server.path);
-      
-      setup.websitePath = path.join(serverPath, website);
-      setup.dbName = `${setup.config.database.userPrefix}${website}`;
+      await setup.useSite(website);
       
       // Check if website directory exists
       if (!await fs.pathExists(setup.websitePath)) {
@@ -3206,27 +7121,16 @@ program
       console.log(chalk.gray(`📁 Path: ${setup.websitePath}`));
       console.log(chalk.gray(`🗄️  Database: ${setup.dbName}\n`));
       
-      // Get database connection details
-      const dbUser = setup.config.database.user;
-      const dbPassword = setup.config.database.password;
-      const passwordParam = dbPassword === '' ? '' : `-p${dbPassword}`;
-      
       // Query for URL-related options
-      let queryCommand;
-      if (setup.config.database.docker.enabled) {
-        queryCommand = `docker exec ${setup.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${setup.dbName} -e "SELECT option_name, option_value FROM ${setup.config.database.prefix}options WHERE option_name IN ('home', 'siteurl', 'admin_email', 'blogname') ORDER BY option_name;"`;
-      } else {
-        queryCommand = `mysql -h${setup.config.database.host} -u${dbUser} ${passwordParam} -P${setup.config.database.port} ${setup.dbName} -e "SELECT option_name, option_value FROM ${setup.config.database.prefix}options WHERE option_name IN ('home', 'siteurl', 'admin_email', 'blogname') ORDER BY option_name;"`;
-      }
-      
-      const output = execSync(queryCommand, { stdio: 'pipe' }).toString();
-      const lines = output.split('\n').filter(line => line.trim() && !line.includes('option_name'));
+      const optionRows = await setup.query(
+        'SELECT option_name, option_value FROM ?? WHERE option_name IN (?) ORDER BY option_name',
+        [setup.getTableName('options'), ['home', 'siteurl', 'admin_email', 'blogname']]
+      );
       
       console.log(chalk.cyan.bold('📋 Current WordPress Settings:'));
       console.log('');
       
-      for (const line of lines) {
-        const [optionName, optionValue] = line.split('\t');
+      for (const { option_name: optionName, option_value: optionValue } of optionRows) {
         if (optionName && optionValue) {
           const label = optionName === 'home' ? 'Home URL' :
                        optionName === 'siteurl' ? 'Site URL' :
@@ -3242,18 +7146,13 @@ program
       // Check for any URLs in post content that might be problematic
       console.log(chalk.cyan.bold('🔍 Checking for hardcoded URLs in content...'));
       
-      let contentQueryCommand;
-      if (setup.config.database.docker.enabled) {
-        contentQueryCommand = `docker exec ${setup.config.database.docker.containerName} mysql -hlocalhost -u${dbUser} ${passwordParam} -P3306 ${setup.dbName} -e "SELECT COUNT(*) as count FROM ${setup.config.database.prefix}posts WHERE post_content LIKE '%http%' AND post_status = 'publish';"`;
-      } else {
-        contentQueryCommand = `mysql -h${setup.config.database.host} -u${dbUser} ${passwordParam} -P${setup.config.database.port} ${setup.dbName} -e "SELECT COUNT(*) as count FROM ${setup.config.database.prefix}posts WHERE post_content LIKE '%http%' AND post_status = 'publish';"`;
-      }
-      
       try {
-        const contentOutput = execSync(contentQueryCommand, { stdio: 'pipe' }).toString();
-        const contentLines = contentOutput.split('\n').filter(line => line.trim() && !line.includes('count'));
-        if (contentLines.length > 0) {
-          const count = parseInt(contentLines[0].trim());
+        const contentRows = await setup.query(
+          'SELECT COUNT(*) AS count FROM ?? WHERE post_content LIKE ? AND post_status = ?',
+          [setup.getTableName('posts'), '%http%', 'publish']
+        );
+        const count = contentRows.length > 0 ? Number(contentRows[0].count) : 0;
+        if (count > 0) {
           console.log(chalk.yellow(`⚠️  Found ${count} published posts with hardcoded URLs`));
           console.log(chalk.gray('   You may need to run search-replace to update these URLs'));
         } else {
@@ -3262,13 +7161,462 @@ program
       } catch (error) {
         console.log(chalk.yellow(`⚠️  Could not check post content: ${error.message}`));
       }
-      
+      await setup.closeDatabase();
     } catch (error) {
       console.error(chalk.red('❌ Failed to check URLs:'), error.message);
       process.exit(1);
     }
   });
 
+program
+  .command('search-replace <site> <search> <replace>')
+  .description('Search and replace in the database of a registered website')
+  .option('--dry-run', 'only report what would be replaced, per table and column')
+  .option('--tables <tables>', 'comma-separated tables to search (* wildcards allowed)')
+  .option('--exclude-tables <tables>', 'comma-separated tables to leave out (* wildcards allowed)')
+  .option('--regex', 'treat <search> as a regular expression')
+  .option('--case-sensitive', 'match case exactly')
+  .option('--export <file>', 'write the changed database to a SQL file instead of updating it')
+  .action(async (site, search, replace, options) => {
+    try {
+      const setup = new WordPressSetup();
+      await setup.loadConfig();
+
+      if (!await setup.useSite(site)) {
+        console.error(chalk.red(`❌ Site '${site}' is not registered. Run the list command to see your sites.`));
+        process.exit(1);
+      }
+
+      // Flags switch on what the sql.searchReplace settings leave off
+      const defaults = (setup.config.sql && setup.config.sql.searchReplace) || {};
+      const settings = {
+        caseSensitive: Boolean(options.caseSensitive || defaults.caseSensitive),
+        regex: Boolean(options.regex || defaults.regex),
+        dryRun: Boolean(options.dryRun || defaults.dryRun),
+        onlyTables: setup.parseTableList(options.tables),
+        skipTables: setup.parseTableList(options.excludeTables)
+      };
+      const pairs = [{ search, replace }];
+
+      console.log(chalk.blue(`🔄 Search-replace in ${site} (${setup.dbName})`));
+      console.log(chalk.gray(`  "${search}" → "${replace}"${settings.regex ? ' (regex)' : ''}${settings.caseSensitive ? ' (case-sensitive)' : ''}\n`));
+
+      const exportPath = options.export && !settings.dryRun ? path.resolve(options.export) : null;
+      const spinner = ora(exportPath ? `Exporting ${setup.dbName} with replacements...` : 'Searching database...').start();
+      let report;
+      try {
+        report = exportPath
+          ? await setup.dumpDatabase(exportPath, { searchReplace: { pairs, ...settings } })
+          : await setup.searchReplaceDatabase(pairs, { ...settings, spinner });
+      } catch (error) {
+        spinner.fail(exportPath ? 'Export failed' : 'Search-replace failed');
+        throw error;
+      }
+
+      const summary = `${report.replacements} replacement(s) in ${report.rows} row(s)`;
+      if (exportPath) {
+        spinner.succeed(`Exported to ${exportPath} with ${summary}; the database was not changed`);
+      } else {
+        spinner.succeed(settings.dryRun ? `Dry run: ${summary} would be made` : `Search-replace completed: ${summary}`);
+      }
+
+      setup.printSearchReplaceReport(report);
+      await setup.closeDatabase();
+    } catch (error) {
+      console.error(chalk.red('❌ Search-replace failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const dbCommand = program
+  .command('db')
+  .description('Export and import website databases');
+
+dbCommand
+  .command('export <site> [file]')
+  .description('Export the database of a registered website to a SQL file')
+  .option('-z, --gzip', 'compress the dump with gzip (implied by a .gz file name)')
+  .option('--tables <tables>', 'comma-separated tables to export (* wildcards allowed)')
+  .option('--exclude-tables <tables>', 'comma-separated tables to leave out (* wildcards allowed)')
+  .option('--search-replace <old=new>', 'replace a value in the exported data only (repeatable)', (value, previous) => [...previous, value], [])
+  .action(async (site, file, options) => {
+    try {
+      const setup = new WordPressSetup();
+      await setup.loadConfig();
+
+      if (!await setup.useSite(site)) {
+        console.error(chalk.red(`❌ Site '${site}' is not registered. Run the list command to see your sites.`));
+        process.exit(1);
+      }
+
+      const pairs = options.searchReplace.map(value => {
+        const separator = value.indexOf('=');
+        if (separator < 1) {
+          throw new Error(`Invalid --search-replace value '${value}', expected old=new`);
+        }
+        return { search: value.slice(0, separator), replace: value.slice(separator + 1) };
+      });
+
+      const gzip = Boolean(options.gzip) || /\.gz$/i.test(file || '');
+      const defaultName = `${site}-${new Date().toISOString().replace(/[:.]/g, '-')}.sql`;
+      let outputPath = path.resolve(file || defaultName);
+      if (gzip && !/\.gz$/i.test(outputPath)) {
+        outputPath += '.gz';
+      }
+
+      const defaults = (setup.config.sql && setup.config.sql.searchReplace) || {};
+      const spinner = ora(`Exporting ${setup.dbName}...`).start();
+      let report;
+      try {
+        report = await setup.dumpDatabase(outputPath, {
+          gzip,
+          onlyTables: setup.parseTableList(options.tables),
+          skipTables: setup.parseTableList(options.excludeTables),
+          searchReplace: pairs.length > 0 ? { pairs, caseSensitive: defaults.caseSensitive } : undefined
+        });
+      } catch (error) {
+        spinner.fail('Export failed');
+        throw error;
+      }
+
+      const { size } = await fs.stat(outputPath);
+      spinner.succeed(`Exported ${setup.dbName} to ${outputPath} (${setup.formatBytes(size)})`);
+      if (report) {
+        console.log(chalk.gray(`  ${report.replacements} replacement(s) in ${report.rows} row(s) of the export`));
+        setup.printSearchReplaceReport(report);
+      }
+      await setup.closeDatabase();
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to export database:'), error.message);
+      process.exit(1);
+    }
+  });
+
+dbCommand
+  .command('import <site> <file>')
+  .description('Import a .sql, .sql.gz, .bz2 or .zip dump into the database of a registered website')
+  .option('--tables <tables>', 'comma-separated tables to import (* wildcards allowed)')
+  .option('--exclude-tables <tables>', 'comma-separated tables to leave out (* wildcards allowed)')
+  .option('-y, --yes', 'import without asking for confirmation')
+  .action(async (site, file, options) => {
+    try {
+      const setup = new WordPressSetup(options);
+      await setup.loadConfig();
+
+      if (!await setup.useSite(site)) {
+        console.error(chalk.red(`❌ Site '${site}' is not registered. Run the list command to see your sites.`));
+        process.exit(1);
+      }
+
+      const sqlPath = path.resolve(file);
+      if (!await fs.pathExists(sqlPath)) {
+        console.error(chalk.red(`❌ SQL file not found: ${sqlPath}`));
+        process.exit(1);
+      }
+
+      if (!options.yes) {
+        const { confirm } = await setup.ask([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Import ${path.basename(sqlPath)} into ${setup.dbName}? Tables in the dump replace the existing ones.`,
+            default: false
+          }
+        ]);
+
+        if (!confirm) {
+          console.log(chalk.yellow('Operation cancelled.'));
+          return;
+        }
+      }
+
+      const spinner = ora(`Importing ${path.basename(sqlPath)} into ${setup.dbName}...`).start();
+      try {
+        await setup.importDatabaseFromFile(sqlPath, spinner, {
+          onlyTables: setup.parseTableList(options.tables),
+          skipTables: setup.parseTableList(options.excludeTables)
+        });
+      } catch (error) {
+        spinner.fail('Import failed');
+        throw error;
+      }
+
+      spinner.succeed(`Imported ${path.basename(sqlPath)} into ${setup.dbName}`);
+      await setup.closeDatabase();
+    } catch (error) {
+      // importDatabaseFromFile already says what failed
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+dbCommand
+  .command('change-prefix <site> <newPrefix>')
+  .description('Rename the tables of a registered website to a new prefix and update wp-config.php')
+  .option('-y, --yes', 'change the prefix without asking for confirmation')
+  .action(async (site, newPrefix, options) => {
+    try {
+      const setup = new WordPressSetup(options);
+      await setup.loadConfig();
+
+      if (!await setup.useSite(site)) {
+        console.error(chalk.red(`❌ Site '${site}' is not registered. Run the list command to see your sites.`));
+        process.exit(1);
+      }
+
+      if (!options.yes) {
+        const { confirm } = await setup.ask([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Rename the ${setup.getTablePrefix()}* tables of ${setup.dbName} to ${newPrefix}*?`,
+            default: false
+          }
+        ]);
+
+        if (!confirm) {
+          console.log(chalk.yellow('Operation cancelled.'));
+          return;
+        }
+      }
+
+      const spinner = ora(`Changing table prefix to ${newPrefix}...`).start();
+      let result;
+      try {
+        result = await setup.changeTablePrefix(newPrefix);
+      } catch (error) {
+        spinner.fail('Failed to change table prefix');
+        throw error;
+      }
+
+      if (result.tables === 0) {
+        spinner.info(`Table prefix is already ${newPrefix}`);
+      } else {
+        spinner.succeed(`Table prefix changed from ${result.oldPrefix} to ${newPrefix} (${result.tables} tables)`);
+      }
+      await setup.closeDatabase();
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+async function openRegisteredSite(site) {
+  const setup = new WordPressSetup();
+  await setup.loadConfig();
+
+  if (!await setup.useSite(site)) {
+    console.error(chalk.red(`❌ Site '${site}' is not registered. Run the list command to see your sites.`));
+    process.exit(1);
+  }
+  return setup;
+}
+
+const userCommand = program
+  .command('user')
+  .description('Manage the users of a registered website (uses WP-CLI when installed)');
+
+userCommand
+  .command('list <site>')
+  .description('List the users of a registered website')
+  .option('--role <role>', 'only list users with this role')
+  .option('--json', 'print the users as JSON')
+  .action(async (site, options) => {
+    try {
+      const setup = await openRegisteredSite(site);
+      let users = await setup.listUsers();
+      if (options.role) {
+        users = users.filter(user => user.roles.includes(options.role));
+      }
+      await setup.closeDatabase();
+
+      if (options.json) {
+        console.log(JSON.stringify(users, null, 2));
+        return;
+      }
+
+      if (users.length === 0) {
+        console.log(chalk.yellow('No users found.'));
+        return;
+      }
+
+      const rows = users.map(user => [String(user.id), user.login, user.email, user.roles.join(', ') || '-', user.registered || '-']);
+      const header = ['ID', 'Login', 'Email', 'Roles', 'Registered'];
+      const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+      const format = (row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ');
+      console.log(chalk.cyan(format(header)));
+      rows.forEach(row => console.log(chalk.gray(format(row))));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+userCommand
+  .command('create <site> <login> <email>')
+  .description('Create a user on a registered website')
+  .option('--role <role>', 'role of the new user', 'subscriber')
+  .option('--password <password>', 'password of the new user (generated when omitted)')
+  .option('--display-name <name>', 'display name of the new user')
+  .action(async (site, login, email, options) => {
+    try {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        console.error(chalk.red('❌ Please enter a valid email address'));
+        process.exit(1);
+      }
+
+      const setup = await openRegisteredSite(site);
+      const password = options.password || setup.generateRandomPassword();
+      await setup.createUser({ login, email, role: options.role, password, displayName: options.displayName });
+      await setup.closeDatabase();
+
+      console.log(chalk.green(`✅ Created ${options.role} '${login}'`));
+      if (!options.password) {
+        console.log(chalk.gray(`🔑 Password: ${password}`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+userCommand
+  .command('delete <site> <login>')
+  .description('Delete a user from a registered website')
+  .option('--reassign <login>', 'give the posts of the deleted user to this user')
+  .option('-y, --yes', 'delete without asking for confirmation')
+  .action(async (site, login, options) => {
+    try {
+      const setup = await openRegisteredSite(site);
+
+      if (!options.yes) {
+        const { confirm } = await setup.ask([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Delete user '${login}' from ${site}?`,
+            default: false
+          }
+        ]);
+
+        if (!confirm) {
+          console.log(chalk.yellow('Operation cancelled.'));
+          return;
+        }
+      }
+
+      await setup.deleteUser(login, options.reassign);
+      await setup.closeDatabase();
+      console.log(chalk.green(`✅ Deleted user '${login}'${options.reassign ? `, posts reassigned to '${options.reassign}'` : ''}`));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+userCommand
+  .command('set-password <site> <login> [password]')
+  .description('Set the password of a user (generated when omitted)')
+  .action(async (site, login, password) => {
+    try {
+      const setup = await openRegisteredSite(site);
+      const newPassword = password || setup.generateRandomPassword();
+      await setup.setUserPassword(login, newPassword);
+      await setup.closeDatabase();
+
+      console.log(chalk.green(`✅ Password updated for '${login}'`));
+      if (!password) {
+        console.log(chalk.gray(`🔑 Password: ${newPassword}`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+userCommand
+  .command('set-role <site> <login> <role>')
+  .description('Replace the role of a user')
+  .action(async (site, login, role) => {
+    try {
+      const setup = await openRegisteredSite(site);
+      await setup.setUserRole(login, role);
+      await setup.closeDatabase();
+      console.log(chalk.green(`✅ '${login}' is now ${role}`));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('seed <site>')
+  .description('Generate test posts, pages, comments, terms, authors and images (defaults from content in config)')
+  .option('--posts <n>', 'number of posts')
+  .option('--pages <n>', 'number of pages')
+  .option('--comments <n>', 'maximum comments per post')
+  .option('--images <n>', 'number of placeholder images')
+  .option('--authors <n>', 'number of author accounts')
+  .option('--seed <n>', 'random seed; the same seed generates the same content')
+  .option('--base-date <date>', 'YYYY-MM-DD the generated dates count back from')
+  .action(async (site, options) => {
+    try {
+      const setup = await openRegisteredSite(site);
+      const overrides = { baseDate: options.baseDate };
+      for (const key of ['posts', 'pages', 'comments', 'images', 'authors', 'seed']) {
+        if (options[key] === undefined) continue;
+        const value = Number(options[key]);
+        if (!Number.isInteger(value) || value < 0) {
+          console.error(chalk.red(`❌ --${key} must be a whole number`));
+          process.exit(1);
+        }
+        overrides[key] = value;
+      }
+
+      await setup.seedContent(overrides);
+      await setup.closeDatabase();
+
+      for (const user of setup.seededUsers) {
+        console.log(chalk.gray(`👤 ${user.login} (${user.role}): ${user.password}`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('import-wxr <site> <file>')
+  .description('Import a WordPress export (WXR) file into a registered website without downloading anything')
+  .option('--attachments <dir>', 'local directory holding the exported attachments')
+  .option('--map-author <old=new>', 'assign an exported author to an existing user (repeatable)', (value, previous) => [...previous, value], [])
+  .option('--default-author <login>', 'user receiving content of unmapped authors (default: first administrator)')
+  .action(async (site, file, options) => {
+    try {
+      const setup = await openRegisteredSite(site);
+      const defaults = (setup.config.content && setup.config.content.wxr) || {};
+
+      const authorMap = { ...(defaults.authorMap || {}) };
+      for (const value of options.mapAuthor) {
+        const separator = value.indexOf('=');
+        if (separator < 1) {
+          throw new Error(`Invalid --map-author value '${value}', expected old=new`);
+        }
+        authorMap[value.slice(0, separator)] = value.slice(separator + 1);
+      }
+
+      await setup.importWxr(file, {
+        attachmentsDir: options.attachments || defaults.attachmentsDir,
+        authorMap,
+        defaultAuthor: options.defaultAuthor || defaults.defaultAuthor
+      });
+      await setup.closeDatabase();
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('update-email <website> <email>')
   .description('Update admin email for an existing WordPress website (bypasses confirmation)')
@@ -3285,12 +7633,7 @@ program
       }
       
       // Set up website path and database name
-      const serverPath = setup.config.server.path.startsWith('~') 
-        ? path.join(require('os').homedir(), setup.config.server.path.slice(1))
-        : path.resolve(setup.config.server.path);
-      
-      setup.websitePath = path.join(serverPath, website);
-      setup.dbName = `${setup.config.database.userPrefix}${website}`;
+      await setup.useSite(website);
       
       // Check if website directory exists
       if (!await fs.pathExists(setup.websitePath)) {
@@ -3308,7 +7651,7 @@ program
       console.log(chalk.green('✅ Admin email updated successfully!'));
       console.log(chalk.cyan(`🌐 Your website: http://${website}${setup.config.valet.domain}`));
       console.log(chalk.cyan(`🌐 Admin login: http://${website}${setup.config.valet.domain}/wp-admin`));
-      
+      await setup.closeDatabase();
     } catch (error) {
       console.error(chalk.red('❌ Failed to update admin email:'), error.message);
       process.exit(1);
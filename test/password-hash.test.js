@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const WordPressSetup = require('..');
+
+const setup = new WordPressSetup();
+
+test('hashPasswordPhpass matches known phpass hashes', () => {
+  // From phpass's own test.php; $P$9 is 2^11 rounds
+  assert.strictEqual(setup.hashPasswordPhpass('test12345', '$P$9IQRaTwmfeRo7ud9Fh4E2PdI0S3r.L0'), '$P$9IQRaTwmfeRo7ud9Fh4E2PdI0S3r.L0');
+  // WordPress' $P$B setting is 2^13 rounds
+  assert.strictEqual(setup.hashPasswordPhpass('admin', '$P$B12345678'), '$P$B12345678/c7bOMfLdQB9B/ypks8iB/');
+  assert.strictEqual(setup.hashPasswordPhpass('pässword', '$P$BSaltSalt'), '$P$BSaltSaltKoernr7o/XWCO/YE1qKQq0');
+});
+
+test('hashPasswordPhpass generates $P$B hashes that verify against themselves', () => {
+  const hash = setup.hashPasswordPhpass('correct horse');
+  assert.match(hash, /^\$P\$B[./0-9A-Za-z]{30}$/);
+  assert.strictEqual(setup.hashPasswordPhpass('correct horse', hash), hash);
+  assert.notStrictEqual(setup.hashPasswordPhpass('wrong horse', hash), hash);
+});
+
+test('encodePhpass64 packs bytes little-endian into the phpass alphabet', () => {
+  assert.strictEqual(setup.encodePhpass64(Buffer.from([0, 1, 2, 255, 254, 253]), 6), '.2U.zvTz');
+  assert.strictEqual(setup.encodePhpass64(Buffer.from([97]), 1), 'V/');
+  assert.strictEqual(setup.encodePhpass64(Buffer.from([97, 98]), 2), 'V74');
+});
+
+test('hashPasswordBcrypt writes a $wp$2y$ hash of the HMAC-SHA384 pre-hash', () => {
+  const password = 'pässword with a long tail that bcrypt alone would cut off at seventy-two bytes';
+  const hash = setup.hashPasswordBcrypt(password);
+  assert.match(hash, /^\$wp\$2y\$10\$[./0-9A-Za-z]{53}$/);
+
+  // wp_check_password(): password_verify(base64(hmac_sha384(password, 'wp-sha384')), substr($hash, 3))
+  const prehash = crypto.createHmac('sha384', 'wp-sha384').update(password, 'utf8').digest('base64');
+  const bcryptHash = hash.slice(3).replace(/^\$2y\$/, '$2b$');
+  assert.ok(bcrypt.compareSync(prehash, bcryptHash));
+  assert.ok(!bcrypt.compareSync(crypto.createHmac('sha384', 'wp-sha384').update('other', 'utf8').digest('base64'), bcryptHash));
+});
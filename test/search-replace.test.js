@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const WordPressSetup = require('..');
+
+const setup = new WordPressSetup();
+
+// Replace with fresh counts and return the result plus the total number of replacements
+function replace(value, pairs, options = {}) {
+  const matcher = setup.compileReplacements(pairs, options);
+  const counts = matcher.rules.map(() => 0);
+  const result = setup.replaceInValue(value, matcher, counts);
+  return { result, counts, total: counts.reduce((sum, count) => sum + count, 0) };
+}
+
+const serializedLength = (value) => Buffer.byteLength(value);
+
+test('unserializePhp reads string lengths as UTF-8 bytes', () => {
+  assert.deepStrictEqual(setup.unserializePhp('s:6:"héllo";'), { type: 's', value: 'héllo' });
+  assert.deepStrictEqual(setup.unserializePhp('s:7:"日本";'), null);
+  assert.deepStrictEqual(setup.unserializePhp('s:6:"日本";'), { type: 's', value: '日本' });
+  assert.strictEqual(setup.unserializePhp('s:5:"héllo";'), null);
+});
+
+test('serializePhp writes nested arrays and objects back byte for byte', () => {
+  const values = [
+    'a:2:{i:0;s:3:"one";s:3:"two";a:1:{s:4:"deep";b:1;}}',
+    'O:8:"stdClass":2:{s:3:"url";s:15:"http://old.test";s:5:"inner";O:3:"Foo":1:{s:1:"n";d:1.50;}}',
+    'a:3:{i:-1;N;i:7;i:42;s:1:"e";C:11:"ArrayObject":21:{x:i:0;a:0:{};m:a:0:{}}}'
+  ];
+  for (const value of values) {
+    assert.strictEqual(setup.serializePhp(setup.unserializePhp(value)), value);
+  }
+});
+
+test('unserializePhp rejects invalid serialized data', () => {
+  for (const value of [
+    's:3:"abcd";',
+    'a:2:{i:0;s:1:"a";}',
+    'a:1:{i:0;s:1:"a";}trailing',
+    'i:12a;',
+    'b:2;',
+    'O:3:"Foo":1:{s:1:"a";',
+    'x:1;',
+    'plain text'
+  ]) {
+    assert.strictEqual(setup.unserializePhp(value), null, value);
+  }
+});
+
+test('replaceInValue fixes serialized lengths after multibyte replacements', () => {
+  const value = 'a:2:{s:4:"name";s:5:"Hello";s:4:"city";s:7:"Zürich";}';
+  const { result, total } = replace(value, [{ search: 'Zürich', replace: 'Genève' }, { search: 'Hello', replace: 'Grüße' }]);
+  assert.strictEqual(total, 2);
+  assert.strictEqual(result, 'a:2:{s:4:"name";s:7:"Grüße";s:4:"city";s:7:"Genève";}');
+  assert.ok(setup.unserializePhp(result));
+});
+
+test('replaceInValue keeps objects, classes and raw values of nested data', () => {
+  const value = 'O:8:"stdClass":3:{s:3:"url";s:15:"http://old.test";s:1:"n";d:1.50;s:4:"list";a:1:{i:0;O:3:"Foo":1:{s:4:"link";s:19:"http://old.test/foo";}}}';
+  const { result, total } = replace(value, [{ search: 'http://old.test', replace: 'https://new.test' }]);
+  assert.strictEqual(total, 2);
+  assert.strictEqual(result, 'O:8:"stdClass":3:{s:3:"url";s:16:"https://new.test";s:1:"n";d:1.50;s:4:"list";a:1:{i:0;O:3:"Foo":1:{s:4:"link";s:20:"https://new.test/foo";}}}');
+});
+
+test('replaceInValue replaces JSON inside serialized strings', () => {
+  const json = '{"url":"http:\\/\\/old.test\\/page","id":12345678901234567890}';
+  const value = `a:1:{s:4:"data";s:${serializedLength(json)}:"${json}";}`;
+  const { result, total } = replace(value, [{ search: 'http://old.test', replace: 'https://new.test' }]);
+  const expectedJson = '{"url":"https:\\/\\/new.test\\/page","id":12345678901234567890}';
+  assert.strictEqual(total, 1);
+  assert.strictEqual(result, `a:1:{s:4:"data";s:${serializedLength(expectedJson)}:"${expectedJson}";}`);
+});
+
+test('replaceInValue changes only the string tokens of JSON', () => {
+  const value = '{\n    "id": 9007199254740993,\n    "n": 1.0,\n    "old.test": "caf\\u00e9 on old.test",\n    "list": [ "old.test", 1e3 ]\n}';
+  const { result, total } = replace(value, [{ search: 'old.test', replace: 'new.test' }]);
+  assert.strictEqual(total, 2);
+  assert.strictEqual(result, '{\n    "id": 9007199254740993,\n    "n": 1.0,\n    "old.test": "caf\\u00e9 on new.test",\n    "list": [ "new.test", 1e3 ]\n}');
+});
+
+test('replaceInValue returns values without a match untouched', () => {
+  for (const value of [
+    'a:1:{s:1:"n";d:0.1000000000000000055511151231257827;}',
+    '{"n":1.0,"s":"a\\/b"}',
+    'plain text',
+    '',
+    null,
+    42
+  ]) {
+    const { result, total } = replace(value, [{ search: 'missing', replace: 'x' }]);
+    assert.strictEqual(result, value);
+    assert.strictEqual(total, 0);
+  }
+});
+
+test('replaceInValue falls back to plain text for broken serialized data', () => {
+  const value = 'a:1:{s:3:"url";s:99:"http://old.test";}';
+  const { result, total } = replace(value, [{ search: 'old.test', replace: 'new.test' }]);
+  assert.strictEqual(total, 1);
+  assert.strictEqual(result, 'a:1:{s:3:"url";s:99:"http://new.test";}');
+});
+
+test('compileReplacements matches plain pairs in one pass, case-insensitively by default', () => {
+  assert.strictEqual(replace('a b A', [{ search: 'a', replace: 'b' }, { search: 'b', replace: 'c' }]).result, 'b c b');
+  assert.strictEqual(replace('Old OLD old', [{ search: 'old', replace: 'new' }]).result, 'new new new');
+  assert.strictEqual(replace('Old OLD old', [{ search: 'old', replace: 'new' }], { caseSensitive: true }).result, 'Old OLD new');
+  assert.strictEqual(replace('a.c abc', [{ search: 'a.c', replace: 'x' }]).result, 'x abc');
+});
+
+test('compileReplacements runs regex pairs in order', () => {
+  const pairs = [{ search: 'v(\\d+)', replace: 'version-$1' }, { search: 'VERSION', replace: 'release' }];
+  assert.deepStrictEqual(replace('v1 and V2', pairs, { regex: true }), { result: 'release-1 and release-2', counts: [2, 2], total: 4 });
+  assert.strictEqual(replace('v1 and V2', pairs, { regex: true, caseSensitive: true }).result, 'version-1 and V2');
+  assert.throws(() => setup.compileReplacements([{ search: '(', replace: '' }], { regex: true }), /Invalid search pattern "\("/);
+});
+
+test('compileReplacements ignores empty searches and treats a missing replace as empty', () => {
+  const matcher = setup.compileReplacements([{ search: '', replace: 'x' }, null, { search: 'gone' }]);
+  assert.strictEqual(matcher.rules.length, 1);
+  assert.strictEqual(replace('all gone', [{ search: 'gone' }]).result, 'all ');
+});
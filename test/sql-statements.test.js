@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const WordPressSetup = require('..');
+
+const fixture = path.join(__dirname, 'fixtures', 'mysqldump.sql');
+
+async function readStatements() {
+  const setup = new WordPressSetup();
+  const statements = [];
+  for await (const { sql } of setup.readSqlStatements(fs.createReadStream(fixture, 'utf8'))) {
+    statements.push(sql.trim());
+  }
+  return { setup, statements };
+}
+
+test('getStatementTable finds the table of every mysqldump statement', async () => {
+  const { setup, statements } = await readStatements();
+  const tables = statements.map(sql => setup.getStatementTable(sql));
+  const tableStatements = statements.filter((sql, index) => tables[index] === 'wp_wfhits');
+
+  assert.deepStrictEqual(tableStatements.map(sql => sql.split(/\s+/).slice(0, 3).join(' ')), [
+    'DROP TABLE IF',
+    'CREATE TABLE `wp_wfhits`',
+    'LOCK TABLES `wp_wfhits`',
+    '/*!40000 ALTER TABLE',
+    'INSERT INTO `wp_demo`.`wp_wfhits`',
+    '/*!40000 ALTER TABLE'
+  ]);
+  assert.strictEqual(tables.filter(table => table === 'wp_options').length, 6);
+  assert.ok(statements.filter((sql, index) => tables[index] === null).every(sql => /^(?:\/\*!\d+ SET|UNLOCK TABLES)/.test(sql)));
+});
+
+test('getStatementTable unwraps version comments and schema-qualified names', () => {
+  const setup = new WordPressSetup();
+  assert.strictEqual(setup.getStatementTable('/*!40000 ALTER TABLE `wp_x` DISABLE KEYS */'), 'wp_x');
+  assert.strictEqual(setup.getStatementTable('INSERT INTO `db`.`wp_x` VALUES (1)'), 'wp_x');
+  assert.strictEqual(setup.getStatementTable('INSERT INTO db.wp_x VALUES (1)'), 'wp_x');
+  assert.strictEqual(setup.getStatementTable('INSERT INTO `db` . `wp_x` VALUES (1)'), 'wp_x');
+  assert.strictEqual(setup.getStatementTable('INSERT INTO wp_x(a) VALUES (1)'), 'wp_x');
+  assert.strictEqual(setup.getStatementTable('/* note */ TRUNCATE `wp``odd`'), 'wp`odd');
+  assert.strictEqual(setup.getStatementTable('/*!40101 SET NAMES utf8mb4 */'), null);
+});
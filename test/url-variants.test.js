@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const WordPressSetup = require('..');
+
+const setup = new WordPressSetup();
+const pairs = (variants) => variants.map(({ search, replace }) => [search, replace]);
+
+const cases = [
+  {
+    name: 'scheme gives both schemes of the old URL',
+    args: ['http://old.com', 'https://new.test', ['scheme']],
+    expected: [['https://old.com', 'https://new.test'], ['http://old.com', 'https://new.test']]
+  },
+  {
+    name: 'without scheme only the old scheme is replaced',
+    args: ['https://old.com/', 'http://new.test', []],
+    expected: [['https://old.com', 'http://new.test']]
+  },
+  {
+    name: 'www adds the other host spelling, in both directions',
+    args: ['https://www.old.com/blog', 'http://new.test', ['www']],
+    expected: [['https://www.old.com/blog', 'http://new.test'], ['https://old.com/blog', 'http://new.test']]
+  },
+  {
+    name: 'escaped covers JSON-encoded slashes',
+    args: ['http://old.com/blog', 'https://new.test', ['escaped']],
+    expected: [['http://old.com/blog', 'https://new.test'], ['http:\\/\\/old.com\\/blog', 'https:\\/\\/new.test']]
+  },
+  {
+    name: 'encoded covers URL-encoded values',
+    args: ['http://old.com', 'https://new.test', ['encoded']],
+    expected: [['http://old.com', 'https://new.test'], ['http%3A%2F%2Fold.com', 'https%3A%2F%2Fnew.test']]
+  },
+  {
+    name: 'protocolRelative keeps the scheme out',
+    args: ['http://old.com', 'https://new.test', ['protocolRelative']],
+    expected: [['http://old.com', 'https://new.test'], ['//old.com', '//new.test']]
+  },
+  {
+    name: 'domain comes last and uses the host only',
+    args: ['http://old.com/blog', 'https://new.test/site', ['domain', 'www']],
+    expected: [
+      ['http://old.com/blog', 'https://new.test/site'],
+      ['http://www.old.com/blog', 'https://new.test/site'],
+      ['old.com', 'new.test'],
+      ['www.old.com', 'new.test']
+    ]
+  },
+  {
+    name: 'oldDomain overrides the domain taken from the old URL',
+    args: ['http://old.com', 'https://new.test', ['domain'], 'mail.old.com'],
+    expected: [['http://old.com', 'https://new.test'], ['mail.old.com', 'new.test']]
+  },
+  {
+    name: 'a URL that already matches gives no variants',
+    args: ['http://new.test/', 'http://new.test', ['escaped', 'encoded', 'protocolRelative']],
+    expected: []
+  }
+];
+
+for (const { name, args, expected } of cases) {
+  test(`getUrlVariants: ${name}`, () => {
+    assert.deepStrictEqual(pairs(setup.getUrlVariants(...args)), expected);
+  });
+}
+
+test('getUrlVariants: every kind at once gives unique searches', () => {
+  const variants = setup.getUrlVariants('http://old.com', 'http://new.test');
+  assert.strictEqual(variants.length, 16);
+  assert.strictEqual(new Set(variants.map(variant => variant.search)).size, variants.length);
+  assert.deepStrictEqual(variants.slice(-2).map(variant => variant.label), ['domain', 'domain (www)']);
+});
+
+test('getUrlVariants: valet.secure picks the target scheme', () => {
+  for (const [secure, scheme] of [[true, 'https'], [false, 'http']]) {
+    const site = new WordPressSetup();
+    site.config = { valet: { secure, domain: '.test' } };
+    const variants = site.getUrlVariants('http://old.com', site.getSiteUrl('shop'), ['scheme', 'escaped']);
+    assert.deepStrictEqual(pairs(variants), [
+      ['https://old.com', `${scheme}://shop.test`],
+      ['https:\\/\\/old.com', `${scheme}:\\/\\/shop.test`],
+      ['http://old.com', `${scheme}://shop.test`],
+      ['http:\\/\\/old.com', `${scheme}:\\/\\/shop.test`]
+    ]);
+  }
+});